@@ -0,0 +1,113 @@
+/**
+ * Address normalization for Google Drive Email Access Remover
+ *
+ * Drive keeps addresses the way they were typed when a file was shared, so
+ * 'John.Doe@Company.com' and 'john.doe@company.com' are the same person.
+ * Targets are matched on canonical addresses:
+ * - case is ignored
+ * - CONFIG.ADDRESS_ALIASES adds other addresses (or domains) of a target:
+ *     ADDRESS_ALIASES: {
+ *       'john.doe@company.com': ['jdoe@company.com', 'john.doe@company-old.com'],
+ *       '@agency.com': ['@agency.co.uk']
+ *     }
+ * - with CONFIG.NORMALIZE_GMAIL, dots and +suffixes in Gmail addresses are
+ *   ignored ('j.doe+work@googlemail.com' is 'jdoe@gmail.com')
+ *
+ * Searches include every alias, and each match records which one it was.
+ */
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// ==================== NORMALIZATION ====================
+
+/**
+ * The canonical form two addresses are compared in
+ */
+function normalizeAddress(address) {
+  const value = String(address || '').trim().toLowerCase();
+  if (!CONFIG.NORMALIZE_GMAIL) {
+    return value;
+  }
+
+  const [local, domain] = value.split('@');
+  if (!GMAIL_DOMAINS.includes(domain)) {
+    return value;
+  }
+  return `${local.split('+')[0].replace(/\./g, '')}@gmail.com`;
+}
+
+function isSameAddress(a, b) {
+  return !!a && !!b && normalizeAddress(a) === normalizeAddress(b);
+}
+
+/**
+ * The configured aliases of a target entry, looked up without regard to case
+ */
+function getConfiguredAliases(entry) {
+  const aliases = CONFIG.ADDRESS_ALIASES || {};
+  const key = Object.keys(aliases).find(candidate => candidate.trim().toLowerCase() === String(entry).trim().toLowerCase());
+  return key ? [].concat(aliases[key]).map(alias => String(alias).trim()) : [];
+}
+
+/**
+ * The target address first, then its aliases, without duplicates
+ */
+function getTargetAddresses(email) {
+  const addresses = [];
+  for (const address of [email, ...getConfiguredAliases(email)]) {
+    if (!addresses.some(existing => isSameAddress(existing, address))) {
+      addresses.push(address);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * The target domain first, then its alias domains, all lower case
+ */
+function getTargetDomains(domain) {
+  const domains = [domain, ...getConfiguredAliases(`@${domain}`).map(alias => alias.replace(/^@/, ''))];
+  return [...new Set(domains.map(entry => entry.toLowerCase()))];
+}
+
+/**
+ * Addresses to search Drive for - the target's addresses plus their Gmail
+ * canonical forms, since Drive search only finds the exact address
+ */
+function getSearchAddresses(target) {
+  const addresses = [...target.addresses];
+  for (const address of target.addresses) {
+    const canonical = normalizeAddress(address);
+    if (!addresses.some(existing => existing.toLowerCase() === canonical)) {
+      addresses.push(canonical);
+    }
+  }
+  return addresses;
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Which of the target's addresses (or domains) a permission was granted to,
+ * or null if it isn't the target's. Public link targets match by type and
+ * report the visibility instead
+ */
+function findMatchedAlias(permission, target) {
+  if (target.kind === TARGET_KINDS.PUBLIC) {
+    return permission.type === 'anyone' || permission.type === 'domain' ? permission.type : null;
+  }
+
+  if (target.kind === TARGET_KINDS.DOMAIN) {
+    const domain = target.domains.find(candidate =>
+      (permission.type === 'domain' && String(permission.domain).toLowerCase() === candidate) ||
+      (permission.emailAddress && permission.emailAddress.toLowerCase().endsWith(`@${candidate}`))
+    );
+    return domain ? `@${domain}` : null;
+  }
+
+  if (target.kind === TARGET_KINDS.GROUP && permission.type !== 'group') {
+    return null;
+  }
+
+  return target.addresses.find(address => isSameAddress(address, permission.emailAddress)) || null;
+}
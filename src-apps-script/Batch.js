@@ -0,0 +1,291 @@
+/**
+ * Batched Drive API calls for Google Drive Email Access Remover
+ *
+ * Listing and removing permissions one file at a time costs two sequential
+ * round trips per file. Drive's batch endpoint takes up to 100 calls in one
+ * multipart request, so a whole page of files is read - and its removals
+ * sent - in one or two requests. Each part succeeds or fails on its own and
+ * its result is mapped back onto the file or permission it belongs to.
+ * Set CONFIG.BATCH_REQUESTS to false to go back to one call at a time.
+ */
+
+const DRIVE_BATCH = {
+  URL: 'https://www.googleapis.com/batch/drive/v3',
+  MAX_PARTS: 100  // Drive's limit per batch request
+};
+
+// ==================== BATCH REQUESTS ====================
+
+/**
+ * Sends requests ({ method, path }) as Drive batch requests and returns
+ * one result per request, in order: { status, body, error }
+ * Parts that fail transiently are sent again with backoff (see Retry.js).
+ * Within a batch's time budget, parts left when no retry fits - and the
+ * requests not sent yet - come back with deferred set instead;
+ * throws only if a batch request as a whole fails
+ */
+function executeDriveBatch(requests) {
+  const results = [];
+
+  for (let start = 0; start < requests.length; start += DRIVE_BATCH.MAX_PARTS) {
+    const chunk = requests.slice(start, start + DRIVE_BATCH.MAX_PARTS);
+    if (isBatchDeadlineMissed()) {
+      results.push(...chunk.map(deferredResult));
+      continue;
+    }
+
+    const chunkResults = [];
+    let pending = chunk.map((request, index) => index);
+
+    for (let attempt = 0; ; attempt++) {
+      const parts = withDriveRetry(() => sendDriveBatch(pending.map(index => chunk[index])), 'Drive batch request');
+      pending.forEach((index, partIndex) => { chunkResults[index] = parts[partIndex]; });
+
+      pending = pending.filter(index => chunkResults[index].error && isTransientDriveError(chunkResults[index].error));
+      if (pending.length === 0 || attempt >= CONFIG.MAX_CALL_RETRIES) break;
+
+      const delay = getBackoffDelay(attempt, CONFIG.BACKOFF_BASE_DELAY);
+      if (batchDeadline !== null && Date.now() + delay > batchDeadline) {
+        batchDeadlineMissed = true;
+        console.warn(`⏰ ${pending.length} call(s) in a Drive batch failed (${describeDriveError(chunkResults[pending[0]].error)}) - no time left in this batch to wait for a retry`);
+        pending.forEach(index => { chunkResults[index].deferred = true; });
+        break;
+      }
+
+      console.warn(`🔁 ${pending.length} call(s) in a Drive batch failed (${describeDriveError(chunkResults[pending[0]].error)}) - retry ${attempt + 1}/${CONFIG.MAX_CALL_RETRIES} in ${Math.round(delay / 1000)}s`);
+      callRetryCount += pending.length;
+      Utilities.sleep(delay);
+    }
+
+    results.push(...chunkResults);
+  }
+
+  return results;
+}
+
+/**
+ * Result of a request left for the next batch
+ */
+function deferredResult() {
+  return { status: 0, body: null, error: new Error('No time left in this batch'), deferred: true };
+}
+
+/**
+ * Sends one batch request of at most DRIVE_BATCH.MAX_PARTS requests
+ */
+function sendDriveBatch(requests) {
+  const boundary = `batch_${Utilities.getUuid()}`;
+
+  const payload = requests.map((request, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item${index}>`,
+    '',
+    `${request.method} ${request.path}`,
+    '',
+    ''
+  ].join('\r\n')).join('') + `--${boundary}--`;
+
+  const response = UrlFetchApp.fetch(DRIVE_BATCH.URL, {
+    method: 'post',
+    contentType: `multipart/mixed; boundary=${boundary}`,
+    payload,
+    headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+    muteHttpExceptions: true
+  });
+
+  if (response.getResponseCode() !== 200) {
+    const error = new Error(`Drive batch request failed (${response.getResponseCode()}): ${response.getContentText().slice(0, 200)}`);
+    error.code = response.getResponseCode();
+    throw error;
+  }
+
+  const parts = parseBatchResponse(response);
+  return requests.map((request, index) =>
+    parts[`item${index}`] || { status: 0, body: null, error: new Error('No response for this request in the batch') }
+  );
+}
+
+/**
+ * Splits a multipart/mixed batch response into { [contentId]: result }
+ */
+function parseBatchResponse(response) {
+  const headers = response.getHeaders();
+  const contentType = headers['Content-Type'] || headers['content-type'] || '';
+  const boundaryMatch = /boundary=("?)([^";]+)\1/.exec(contentType);
+  if (!boundaryMatch) {
+    throw new Error(`Drive batch response has no multipart boundary (${contentType})`);
+  }
+
+  const results = {};
+  for (const part of response.getContentText().split(`--${boundaryMatch[2]}`)) {
+    const idMatch = /Content-ID:\s*<response-([^>]+)>/i.exec(part);
+    const statusMatch = /HTTP\/[\d.]+ (\d{3})/.exec(part);
+    if (!idMatch || !statusMatch) continue;
+
+    // The part's own HTTP response: status line, headers, blank line, body
+    const httpResponse = part.slice(statusMatch.index);
+    const bodyMatch = /\r?\n\r?\n([\s\S]*)$/.exec(httpResponse);
+    const bodyText = bodyMatch ? bodyMatch[1].trim() : '';
+
+    let body = null;
+    try {
+      body = bodyText ? JSON.parse(bodyText) : null;
+    } catch (error) {
+      body = null;
+    }
+
+    const status = parseInt(statusMatch[1]);
+    results[idMatch[1]] = {
+      status,
+      body,
+      error: status >= 200 && status < 300 ? null : toDriveError(status, body)
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Turns a failed part into an Error shaped like the ones the Drive service throws
+ */
+function toDriveError(status, body) {
+  const details = (body && body.error) || {};
+  const error = new Error(details.message || `Drive API error ${status}`);
+  error.code = status;
+  error.reason = ((details.errors || [])[0] || {}).reason || null;
+  return error;
+}
+
+// ==================== PERMISSION READS ====================
+
+/**
+ * Fetches the permissions of every file that doesn't have them yet in batch
+ * requests. Returns the files with permissions - or permissionsError for
+ * the ones that failed - attached; if batching fails as a whole the files
+ * are returned unchanged and listed one by one as before
+ */
+function attachPermissionsInBatch(files) {
+  const pending = files.filter(file => !file.permissions);
+  if (!CONFIG.BATCH_REQUESTS || pending.length === 0) {
+    return files;
+  }
+
+  const fields = encodeURIComponent(`permissions(${PERMISSION_FIELDS})`);
+  let results;
+  try {
+    results = executeDriveBatch(pending.map(file => ({
+      method: 'GET',
+      path: `/drive/v3/files/${encodeURIComponent(file.id)}/permissions?fields=${fields}&supportsAllDrives=true`
+    })));
+  } catch (error) {
+    console.warn(`⚠️ Batched permission listing failed, listing one file at a time: ${error.message}`);
+    return files;
+  }
+
+  const resultsById = {};
+  pending.forEach((file, index) => { resultsById[file.id] = results[index]; });
+
+  return files.map(file => {
+    const result = resultsById[file.id];
+    if (!result) return file;
+    if (result.error) return { ...file, permissionsError: result.error };
+    return { ...file, permissions: (result.body && result.body.permissions) || [] };
+  });
+}
+
+// ==================== PERMISSION REMOVALS ====================
+
+/**
+ * Collects removals while a batch of files is processed, so they can be
+ * sent together by flushRemovals() - see options.removalQueue in processTargetPermission
+ */
+function createRemovalQueue() {
+  return CONFIG.BATCH_REQUESTS ? [] : null;
+}
+
+/**
+ * Takes a file's removals back out of the queue before they are sent
+ */
+function dropQueuedRemovals(removalQueue, fileId) {
+  if (!removalQueue) {
+    return;
+  }
+  const kept = removalQueue.filter(({ file }) => file.id !== fileId);
+  removalQueue.splice(0, removalQueue.length, ...kept);
+}
+
+/**
+ * Sends the queued removals within the batch's time budget and records each
+ * outcome on its match, then refreshes the file-level fields of every file
+ * involved. A file whose removals ran out of time before a retry, and that
+ * changed nothing else, is taken back out of batchLogs to be done again by
+ * the next batch - returns the IDs of those files
+ */
+function flushRemovals(removalQueue, startTime, batchLogs) {
+  if (!removalQueue || removalQueue.length === 0) {
+    return [];
+  }
+
+  const { result: results } = withinBatchBudget(startTime, () => sendRemovals(removalQueue));
+  removalQueue.forEach(({ file, fileInfo, match }, index) => {
+    if (!results[index].deferred) {
+      recordRemovalResult(file, fileInfo, match, results[index].error);
+    }
+  });
+
+  // Files whose other changes went through keep their results, so the changes are journaled
+  const deferredFileIds = new Set(removalQueue.filter((entry, index) => results[index].deferred).map(({ file }) => file.id));
+  const leftFileIds = [...deferredFileIds].filter(fileId => !batchLogs.some(log => log.id === fileId && hasSharingChanges(log)));
+
+  const updatedFiles = new Set();
+  removalQueue.forEach(({ file, fileInfo, match }, index) => {
+    if (leftFileIds.includes(file.id)) {
+      return;
+    }
+    if (results[index].deferred) {
+      recordRemovalResult(file, fileInfo, match, results[index].error);
+    }
+    updatedFiles.add(fileInfo);
+  });
+
+  for (const fileInfo of updatedFiles) {
+    summarizeMatches(fileInfo, {});
+  }
+
+  for (const fileId of leftFileIds) {
+    const { file } = removalQueue.find(entry => entry.file.id === fileId);
+    console.log(`⏰ No time left to retry the removals from "${file.name}" - leaving it for the next batch`);
+  }
+  const kept = batchLogs.filter(log => !leftFileIds.includes(log.id));
+  batchLogs.splice(0, batchLogs.length, ...kept);
+
+  removalQueue.length = 0;
+  return leftFileIds;
+}
+
+/**
+ * Sends the queued removals as batch requests, or one at a time if batching
+ * fails as a whole - returns one { error, deferred } per removal
+ */
+function sendRemovals(removalQueue) {
+  try {
+    return executeDriveBatch(removalQueue.map(({ file, match }) => ({
+      method: 'DELETE',
+      path: `/drive/v3/files/${encodeURIComponent(file.id)}/permissions/${encodeURIComponent(match.permissionId)}?supportsAllDrives=true`
+    })));
+  } catch (error) {
+    console.warn(`⚠️ Batched removal failed, removing one permission at a time: ${error.message}`);
+    return removalQueue.map(({ file, match }) => {
+      if (isBatchDeadlineMissed()) {
+        return deferredResult();
+      }
+      try {
+        withDriveRetry(() => Drive.Permissions.remove(file.id, match.permissionId, { supportsAllDrives: true }), 'Removing permission');
+        return { error: null };
+      } catch (removeError) {
+        return { error: removeError, deferred: isBatchDeadlineMissed() };
+      }
+    });
+  }
+}
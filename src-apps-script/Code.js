@@ -12,7 +12,8 @@
  * SETUP REQUIRED:
  * 1. Enable Drive API v3 in Advanced Google Services
  * 2. Update TARGET_EMAILS array below with emails to remove
- * 3. Run startEmailCleanup() to begin the process
+ * 3. Run startDryRun() to preview what would be removed (optional)
+ * 4. Run startEmailCleanup() or executePlan() to begin the process
  */
 
 // ==================== CONFIGURATION ====================
@@ -21,26 +22,138 @@ const TARGET_EMAILS = [
   'dhruv@wezake.com'
   // 'former.employee@company.com',
   // 'freelancer@example.com'
+  // '@agency.com'                  <- everyone at a domain, plus domain-wide sharing
+  // 'group:team@company.com'       <- a Google Group's own permissions
+  // { email: 'contractor@example.com', action: 'downgradeToReader' }  <- keep as viewer
+  // { email: 'leaver@company.com', successor: 'manager@company.com' }  <- hand over owned files
   // Add emails to remove here - one per line
 ];
 
 const CONFIG = {
-  BATCH_SIZE: 15,                    // Files to process per batch
+  BATCH_SIZE: 50,                    // Files to process per batch
+  BATCH_REQUESTS: true,              // Read and remove permissions through Drive batch requests (see Batch.js)
   MAX_EXECUTION_TIME: 280000,        // 4.5 minutes (safety margin)
   RETRY_DELAY: 5000,                 // 5 seconds delay between batches
-  MAX_LOG_SIZE: 8000                 // Max log size before truncation
+  MAX_CALL_RETRIES: 5,               // Retries of a Drive call hitting rate limits or server errors (see Retry.js)
+  MAX_BATCH_RETRIES: 5,              // Retries of a whole batch that still failed, before the run stops
+  BACKOFF_BASE_DELAY: 1000,          // First call retry waits about 1 second, doubling each time
+  MAX_BACKOFF_DELAY: 60000,          // Longest wait between retries
+  LOCK_TIMEOUT: 30000,               // How long a batch waits for another one to finish before skipping (see Watchdog.js)
+  STALL_TIMEOUT: 900000,             // 15 minutes without a finished batch counts as a stalled run
+  WATCHDOG_INTERVAL_MINUTES: 10,     // How often the watchdog checks a running run (1, 5, 10, 15 or 30)
+  MAX_WATCHDOG_RESUMES: 3,           // Resumes of a stalled run before it is stopped and reported
+  MAX_LOG_SIZE: 8000,                // Max size of the recent-results tail kept in script properties
+  MAX_QUERY_LENGTH: 1500,            // Longest Drive search - more targets are split into several passes
+  PUBLIC_LINK_ACTION: 'remove',      // Public link sweep: 'remove' or 'downgradeToReader'
+  SHARED_DRIVE_MEMBERSHIPS: true,    // Also remove targets from shared drives we manage
+  VERIFY_AFTER_RUN: true,            // Search again at the end and report anything still shared (see Verification.js)
+  EXPORT_CSV: true,                  // Attach every file's result as a CSV to the summary email (see Report.js)
+  EXPORT_SPREADSHEET: true,          // Also create a report spreadsheet in the data folder, linked from the email
+  MAX_CSV_ATTACHMENT_SIZE: 20000000, // Larger CSVs aren't attached (email attachments are limited to 25MB)
+  OWNER_OUTREACH: false,             // Email the owners of files we couldn't change, one email per owner (see Outreach.js)
+  MAX_OUTREACH_EMAILS: 50,           // Outreach emails per run - owners beyond this are only listed in the summary
+  OUTREACH_QUOTA_RESERVE: 5,         // Daily MailApp quota always left for the script's own emails
+  OUTREACH_SEND_DELAY: 1000,         // Pause between outreach emails
+  COMPLIANCE_SWEEP_INTERVAL_HOURS: 24, // How often compliance sweeps re-check the blocked list (see Compliance.js)
+  COMPLIANCE_LOOKUP_SHARERS: true,   // Look up who made each new share (needs the Drive Activity and People APIs)
+  MAX_SHARER_LOOKUPS: 50,            // New shares per sweep whose sharer is looked up
+  COMPLIANCE_EMAIL_WHEN_UNCHANGED: false, // Also email sweeps that found nothing new
+  ADDRESS_ALIASES: {},               // Other addresses of a target, e.g. { 'jane@company.com': ['jdoe@company.com'] } (see Addresses.js)
+  NORMALIZE_GMAIL: false,            // Treat Gmail addresses that only differ in dots or a +suffix as the same
+  SCOPE: null,                       // Limit runs to { folderIds: [...] } or { sharedDriveId: '...' } (see Scope.js)
+  PROTECTED: {                       // Sharing on these is never changed (see Protected.js)
+    fileIds: [],
+    folderIds: [],                   // Protects everything inside these folders too
+    fileTypes: []                    // Categories from getFileType(), e.g. 'Google Forms'
+  },
+  DATA_FOLDER_NAME: 'Drive Access Remover Data', // Drive folder for plans and run data
+  MAX_DATA_FILE_SIZE: 1000000        // Run logs and plans continue in a new file part beyond this (see Storage.js)
 };
 
 // ==================== STATE MANAGEMENT ====================
 
 const STATE_KEYS = {
-  CURRENT_EMAIL_INDEX: 'currentEmailIndex',
+  PASS_INDEX: 'passIndex',
+  PASSES: 'targetPasses',
   NEXT_PAGE_TOKEN: 'nextPageToken',
   PROCESSED_COUNT: 'processedCount',
   LOGS: 'processLogs',
+  MANUAL_REVIEW_LOGS: 'manualReviewLogs',  // Recent results needing manual review, for the web app
+  MANUAL_REVIEW_COUNT: 'manualReviewCount',
   START_TIME: 'startTime',
   IS_RUNNING: 'isRunning',
-  CURRENT_EMAIL: 'currentEmail'
+  CURRENT_TARGETS: 'currentTargets',
+  RUN_ID: 'runId',
+  RUN_MODE: 'runMode',
+  TARGETS: 'targetEmails',
+  PLAN_FILE_ID: 'planFileId',
+  PLAN_INDEX: 'planIndex',
+  JOURNAL_FILE_ID: 'journalFileId',
+  RUN_LOG_FILE_ID: 'runLogFileId',
+  TARGET_GROUPS: 'targetGroups',
+  TARGET_OPTIONS: 'targetOptions',
+  TARGET_SOURCE: 'targetSource',
+  SHARED_DRIVE_PAGE_TOKEN: 'sharedDrivePageToken',
+  SHARED_DRIVES_DONE: 'sharedDrivesDone',
+  SCOPE: 'scope',
+  CALL_RETRIES: 'callRetries',
+  BATCH_RETRIES: 'batchRetries',
+  FAILED_BATCH_ATTEMPTS: 'failedBatchAttempts',
+  PAGE_DONE_IDS: 'pageDoneIds',  // Files of the current page already handled
+  VERIFYING: 'verifying',
+  VERIFY_INDEX: 'verifyIndex',
+  VERIFY_PAGE_TOKEN: 'verifyPageToken',
+  VERIFY_FILE_ID: 'verifyFileId',
+  FOLDER_REMOVALS: 'folderRemovals',  // Inherited permissions already removed at their folder
+  COMPLETION_STEP: 'completionStep',  // Set once every file is done (see Completion.js)
+  OUTREACH_FILE_ID: 'outreachFileId',
+  OUTREACH_INDEX: 'outreachIndex',
+  OUTREACH_EMAILS_SENT: 'outreachEmailsSent',
+  REPORT_URL: 'reportUrl'
+};
+
+// Everything needed to re-create a removed permission, plus where it comes from
+const PERMISSION_FIELDS = 'id, emailAddress, domain, role, type, allowFileDiscovery, expirationTime, pendingOwner, permissionDetails';
+
+// Persistent settings - unlike STATE_KEYS these survive clearState()
+const SETTINGS_KEYS = {
+  DATA_FOLDER_ID: 'dataFolderId',
+  LAST_PLAN_ID: 'lastPlanId',
+  CONTROL_SHEET_ID: 'controlSheetId',
+  LAST_RUN_SUMMARY: 'lastRunSummary',
+  BLOCKED_ADDRESSES: 'blockedAddresses',      // Compliance sweep targets
+  COMPLIANCE_HISTORY_ID: 'complianceHistoryId'
+};
+
+const TARGET_KINDS = {
+  USER: 'user',      // A single address, e.g. 'person@company.com'
+  GROUP: 'group',    // A Google Group, e.g. 'group:team@company.com'
+  DOMAIN: 'domain',  // Everyone at a domain, e.g. '@agency.com'
+  PUBLIC: 'public'   // "Anyone with the link" and domain-wide sharing (public link sweep)
+};
+
+// Reserved target used by startPublicLinkSweep()
+const PUBLIC_LINKS_TARGET = 'public-links';
+
+// What to do with a matching permission
+const PERMISSION_ACTIONS = {
+  REMOVE: 'remove',
+  DOWNGRADE_TO_READER: 'downgradeToReader',
+  DOWNGRADE_TO_COMMENTER: 'downgradeToCommenter'
+};
+
+const DOWNGRADE_ROLES = {
+  [PERMISSION_ACTIONS.DOWNGRADE_TO_READER]: 'reader',
+  [PERMISSION_ACTIONS.DOWNGRADE_TO_COMMENTER]: 'commenter'
+};
+
+const ROLE_RANK = { reader: 0, commenter: 1, writer: 2, fileOrganizer: 3, organizer: 4, owner: 5 };
+
+const RUN_MODES = {
+  CLEANUP: 'cleanup',          // Search and remove permissions
+  DRY_RUN: 'dryRun',           // Search and record what would be removed
+  EXECUTE_PLAN: 'executePlan', // Remove exactly what a dry run recorded
+  INVENTORY: 'inventory'       // Search and record who can reach what, changing nothing (see Inventory.js)
 };
 
 // ==================== MAIN FUNCTIONS ====================
@@ -51,24 +164,77 @@ const STATE_KEYS = {
  */
 function startEmailCleanup() {
   console.log('🚀 Starting Google Drive Email Access Remover v1.0');
+  startRun(RUN_MODES.CLEANUP, TARGET_EMAILS);
+}
+
+/**
+ * Preview the cleanup without changing anything
+ * Walks the same search and permission listing as startEmailCleanup(),
+ * records every permission that would be removed in a plan file and
+ * emails a preview report. Run executePlan() afterwards to apply it.
+ */
+function startDryRun() {
+  console.log('🔍 Starting Google Drive Email Access Remover v1.0 (dry run - no changes will be made)');
+  startRun(RUN_MODES.DRY_RUN, TARGET_EMAILS);
+}
+
+// Why the last startRun() didn't start, for callers that show it (e.g. the control sheet)
+let startRunError = null;
+
+/**
+ * Shared start-up for every run mode
+ * Target entries are addresses or objects with per-target options (see
+ * TARGET_EMAILS). extraState[STATE_KEYS.SCOPE] may hold a scope object,
+ * otherwise CONFIG.SCOPE applies. With runInline false the first batch is
+ * left to a trigger, for callers that can't wait for it (e.g. the web app)
+ * or still have to record the start (e.g. the control sheet)
+ */
+function startRun(mode, targetEntries, extraState = {}, runInline = true) {
+  const { targetEmails, targetOptions } = normalizeTargetEntries(targetEntries);
+  startRunError = null;
   
   // Validate configuration
-  if (!validateConfiguration()) {
-    return;
+  if (!validateConfiguration(targetEmails, targetOptions) || !validateTargetOptions(targetOptions) || !validateProtectedList()) {
+    startRunError = 'Invalid configuration - see the execution log';
+    return false;
+  }
+  
+  const scope = resolveScope(STATE_KEYS.SCOPE in extraState ? extraState[STATE_KEYS.SCOPE] : CONFIG.SCOPE);
+  if (scope === false) {
+    startRunError = 'Invalid scope - see the execution log';
+    return false;
   }
   
   // Check if already running
   if (isProcessRunning()) {
     console.log('⚠️ Process is already running. Use checkStatus() to monitor progress.');
-    return;
+    startRunError = 'Another run is in progress';
+    return false;
+  }
+  
+  // A restore puts back what a cleanup would take away - one at a time
+  if (isRestoreRunning()) {
+    console.log('⚠️ A restore is running. Wait for it to finish or run stopRestore() first.');
+    startRunError = 'A restore is running';
+    return false;
   }
   
   // Initialize and start
-  initializeState();
-  console.log(`🎯 Target emails: ${TARGET_EMAILS.join(', ')}`);
+  initializeState(mode, targetEmails, {
+    ...extraState,
+    [STATE_KEYS.TARGET_OPTIONS]: JSON.stringify(targetOptions),
+    [STATE_KEYS.SCOPE]: JSON.stringify(scope)
+  });
+  console.log(`🎯 Target emails: ${targetEmails.join(', ')}`);
+  console.log(`📂 Scope: ${describeScope(scope)}`);
   console.log('📋 Starting batch processing...');
   
-  processBatch();
+  if (runInline) {
+    processBatch();
+  } else {
+    scheduleNextBatch();
+  }
+  return true;
 }
 
 /**
@@ -85,22 +251,47 @@ function checkStatus() {
   }
   
   const processedCount = properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0';
-  const currentEmail = properties.getProperty(STATE_KEYS.CURRENT_EMAIL) || 'None';
-  const currentEmailIndex = parseInt(properties.getProperty(STATE_KEYS.CURRENT_EMAIL_INDEX) || '0');
+  const currentTargets = properties.getProperty(STATE_KEYS.CURRENT_TARGETS) || 'None';
+  const passIndex = parseInt(properties.getProperty(STATE_KEYS.PASS_INDEX) || '0');
   const startTime = properties.getProperty(STATE_KEYS.START_TIME);
+  const mode = properties.getProperty(STATE_KEYS.RUN_MODE) || RUN_MODES.CLEANUP;
+  const targetEmails = getRunTargets();
+  const totalPasses = mode === RUN_MODES.EXECUTE_PLAN ? 1 : getRunPasses().length;
+  const retries = getRetryCounts();
+  const lastHeartbeat = getLastHeartbeat();
+  const verifying = properties.getProperty(STATE_KEYS.VERIFYING) === 'true';
+  const completionStep = getCompletionStep();
   
   console.log('📊 Process Status:');
-  console.log(`   📧 Current email: ${currentEmail} (${currentEmailIndex + 1}/${TARGET_EMAILS.length})`);
+  console.log(`   🏷️ Mode: ${mode}${mode === RUN_MODES.DRY_RUN || mode === RUN_MODES.INVENTORY ? ' (no changes are being made)' : ''}`);
+  if (completionStep) {
+    console.log(`   🏁 Completing: ${completionStep} step`);
+  } else if (verifying) {
+    console.log('   🔎 Verifying: searching again for anything still shared');
+  } else {
+    console.log(`   📧 Current targets: ${currentTargets} (pass ${passIndex + 1}/${totalPasses}, ${targetEmails.length} targets in total)`);
+  }
+  console.log(`   📂 Scope: ${describeScope(getRunScope())}`);
   console.log(`   📁 Files processed: ${processedCount}`);
+  console.log(`   🔁 Retries: ${retries.calls} call(s), ${retries.batches} batch(es)`);
+  console.log(`   💓 Last batch finished: ${lastHeartbeat ? new Date(lastHeartbeat).toLocaleString() : 'not yet'}`);
   console.log(`   ⏰ Started: ${new Date(startTime).toLocaleString()}`);
   console.log(`   ⏳ Running time: ${Math.round((Date.now() - new Date(startTime)) / 60000)} minutes`);
   
   return {
     isRunning: true,
-    currentEmail,
-    currentEmailIndex: currentEmailIndex + 1,
-    totalEmails: TARGET_EMAILS.length,
+    mode,
+    runId: properties.getProperty(STATE_KEYS.RUN_ID),
+    scope: describeScope(getRunScope()),
+    currentTargets,
+    verifying,
+    completionStep,
+    currentPass: passIndex + 1,
+    totalPasses,
+    totalEmails: targetEmails.length,
     filesProcessed: parseInt(processedCount),
+    retries,
+    lastHeartbeat,
     startTime: startTime,
     runningMinutes: Math.round((Date.now() - new Date(startTime)) / 60000)
   };
@@ -118,83 +309,317 @@ function stopProcess() {
 // ==================== CORE PROCESSING ====================
 
 /**
- * Processes a batch of files and schedules the next batch
+ * Trigger handler for every batch of a run - only one batch runs at a time
  */
 function processBatch() {
+  withBatchLock('processBatch', processNextBatch);
+}
+
+/**
+ * Processes a batch of files and schedules the next batch
+ * Targets are handled in passes (see buildTargetPasses): every file a pass
+ * finds is visited once for all of its targets
+ */
+function processNextBatch() {
   const startTime = Date.now();
   const properties = PropertiesService.getScriptProperties();
   
   try {
-    const currentEmailIndex = parseInt(properties.getProperty(STATE_KEYS.CURRENT_EMAIL_INDEX) || '0');
+    const mode = properties.getProperty(STATE_KEYS.RUN_MODE) || RUN_MODES.CLEANUP;
+    
+    // Everything is searched and verified - email owners and the summary
+    if (getCompletionStep()) {
+      processCompletionBatch(startTime);
+      return;
+    }
+    
+    // Every pass is done - check that nothing was left behind
+    if (properties.getProperty(STATE_KEYS.VERIFYING) === 'true') {
+      processVerificationBatch(startTime);
+      return;
+    }
+    
+    // Approved plans are replayed entry by entry instead of searching again
+    if (mode === RUN_MODES.EXECUTE_PLAN) {
+      processPlanBatch(startTime);
+      return;
+    }
+    
+    // Inventories only record access (see Inventory.js)
+    if (mode === RUN_MODES.INVENTORY) {
+      processInventoryBatch(startTime);
+      return;
+    }
+    
+    const passes = getRunPasses();
+    const passIndex = parseInt(properties.getProperty(STATE_KEYS.PASS_INDEX) || '0');
     const nextPageToken = properties.getProperty(STATE_KEYS.NEXT_PAGE_TOKEN);
     const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
+    const dryRun = mode === RUN_MODES.DRY_RUN;
+    const scope = getRunScope();
     
-    // Check if all emails processed
-    if (currentEmailIndex >= TARGET_EMAILS.length) {
-      completeProcess();
+    // Check if all passes processed
+    if (passIndex >= passes.length) {
+      finishRun();
       return;
     }
     
-    const currentEmail = TARGET_EMAILS[currentEmailIndex];
-    console.log(`📧 Processing: ${currentEmail} (${currentEmailIndex + 1}/${TARGET_EMAILS.length})`);
+    const passTargets = passes[passIndex];
+    const targets = passTargets.map(parseTarget);
+    const passLabel = passTargets.join(', ');
+    console.log(`📧 Processing: ${passLabel} (pass ${passIndex + 1}/${passes.length})`);
     
-    // Search for files shared with current email
-    // Using a more inclusive search approach to find all accessible files
-    const searchQuery = `'${currentEmail}' in readers or '${currentEmail}' in writers or '${currentEmail}' in owners`;
-    const filesResponse = Drive.Files.list({
-      q: searchQuery,
+    // First batch for this pass
+    if (!nextPageToken) {
+      passTargets.forEach(markControlSheetTargetRunning);
+    }
+    
+    // Removals are collected while the page is processed and sent together
+    const removalQueue = dryRun ? null : createRemovalQueue();
+    const targetOptions = getPassTargetOptions(targets, dryRun, removalQueue);
+    
+    // Shared drive memberships come first - they cover every file in the drive
+    if (needsSharedDrivePhase(targets, scope)) {
+      processSharedDriveBatch(passTargets, passIndex, startTime, targetOptions, scope, removalQueue);
+      return;
+    }
+    
+    // Search for files shared with any target of the pass
+    // Scans also fetch permissions inline to avoid a call per file
+    const isScan = targets.some(isScanTarget);
+    const permissionsField = isScan ? `, permissions(${PERMISSION_FIELDS})` : '';
+    const filesResponse = withDriveRetry(() => Drive.Files.list(applyScopeToSearch({
+      q: buildPassQuery(targets),
       pageSize: CONFIG.BATCH_SIZE,
       pageToken: nextPageToken || undefined,
-      fields: 'nextPageToken, files(id, name, mimeType)',
+      fields: `nextPageToken, files(id, name, mimeType, driveId, parents, modifiedTime, capabilities(canShare)${permissionsField})`,
       includeItemsFromAllDrives: true,
       supportsAllDrives: true
-    });
+    }, scope)), 'Searching files');
     
-    const files = filesResponse.files || [];
-    console.log(`📋 Found ${files.length} files shared with ${currentEmail}`);
+    const foundFiles = filesResponse.files || [];
+    console.log(`📋 Found ${foundFiles.length} files ${isScan ? 'to scan for' : 'shared with'} ${passLabel}`);
+    
+    // A page cut short by the time limit is searched again, skipping the files already done
+    // Files outside the run's folders are left alone
+    // The public link sweep only covers files we own or can manage
+    const doneFileIds = getPageDoneIds();
+    const files = attachPermissionsInBatch(foundFiles.filter(file =>
+      !doneFileIds.includes(file.id) &&
+      isInScope(file, scope) &&
+      !(targets[0].kind === TARGET_KINDS.PUBLIC && file.capabilities && !file.capabilities.canShare)
+    ));
     
     // Process each file
     const batchLogs = [];
-    let filesProcessedInBatch = 0;
+    let pageFinished = true;
     
     for (const file of files) {
       if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
         console.log('⏰ Approaching execution time limit, stopping batch');
+        pageFinished = false;
+        break;
+      }
+      
+      const visit = withinBatchBudget(startTime, () => processFileForTargets(file, passTargets, targetOptions));
+      if (shouldLeaveForNextBatch(visit, file, removalQueue)) {
+        pageFinished = false;
         break;
       }
       
-      const result = processFile(file, currentEmail);
-      batchLogs.push(result);
-      filesProcessedInBatch++;
+      batchLogs.push(...visit.result);
+      doneFileIds.push(file.id);
+    }
+    const leftFileIds = flushRemovals(removalQueue, startTime, batchLogs);
+    if (leftFileIds.length > 0) {
+      pageFinished = false;
     }
     
-    // Update state
+    // Record what a real run would remove so it can be executed as approved
+    if (dryRun) {
+      appendPlanEntries(properties.getProperty(STATE_KEYS.PLAN_FILE_ID), batchLogs);
+    } else {
+      appendJournalEntries(batchLogs);
+    }
+    
+    // Update state - an unfinished page is resumed from its checkpoint
     updateState(
-      filesResponse.nextPageToken,
-      processedCount + filesProcessedInBatch,
+      pageFinished ? filesResponse.nextPageToken : nextPageToken,
+      processedCount + batchLogs.length,
       batchLogs,
-      currentEmailIndex,
-      currentEmail
+      passIndex,
+      passLabel,
+      pageFinished ? [] : doneFileIds.filter(fileId => !leftFileIds.includes(fileId))
     );
     
-    // Schedule next batch or move to next email
-    if (filesResponse.nextPageToken) {
+    // Schedule next batch or move to next pass
+    if (!pageFinished || filesResponse.nextPageToken) {
       scheduleNextBatch();
     } else {
-      moveToNextEmail();
+      moveToNextPass();
     }
     
   } catch (error) {
     console.error('❌ Error in processBatch:', error);
-    handleProcessError(error);
+    if (!retryBatchLater(error)) {
+      handleProcessError(error);
+    }
   }
 }
 
+/**
+ * Whether a file visit ran out of time for a retry and should be done again
+ * by the next batch. Files whose sharing already changed are kept, so the
+ * change is journaled; the rest have their queued removals dropped
+ */
+function shouldLeaveForNextBatch(visit, file, removalQueue) {
+  const results = [].concat(visit.result);
+  if (!visit.outOfTime || results.some(hasSharingChanges)) {
+    return false;
+  }
+  
+  console.log(`⏰ No time left to retry "${file.name}" - leaving it for the next batch`);
+  dropQueuedRemovals(removalQueue, file.id);
+  return true;
+}
+
+function hasSharingChanges(fileInfo) {
+  return fileInfo.matches.some(match => match.removed || match.downgraded || match.transferred || match.pendingTransfer ||
+    (match.folderRemovalPerformed && match.folderRemoval.removed));
+}
+
+/**
+ * Options processFile() needs for each target of a pass
+ */
+function getPassTargetOptions(targets, dryRun, removalQueue = null) {
+  const targetOptions = {};
+  
+  for (const target of targets) {
+    targetOptions[target.key] = {
+      dryRun,
+      removalQueue,
+      action: getTargetAction(target),
+      transfer: getOwnershipTransfer(target),
+      // Groups the person belongs to, so files shared only through them are found too
+      targetGroups: target.kind === TARGET_KINDS.USER ? getTargetGroups(target.email) : []
+    };
+  }
+  
+  return targetOptions;
+}
+
+/**
+ * Visits a file once for all targets of a pass: its permissions are listed
+ * a single time and every target's matches are handled in the same visit.
+ * Returns one result per target that can reach the file
+ */
+function processFileForTargets(file, targetKeys, targetOptions) {
+  let visitedFile = file;
+  
+  if (!file.permissions) {
+    try {
+      // Set when the batched listing failed for this file
+      if (file.permissionsError) {
+        throw file.permissionsError;
+      }
+      visitedFile = {
+        ...file,
+        permissions: withDriveRetry(() => Drive.Permissions.list(file.id, {
+          fields: `permissions(${PERMISSION_FIELDS})`,
+          supportsAllDrives: true
+        }), 'Listing permissions').permissions || []
+      };
+    } catch (listError) {
+      // We can't tell which of the targets the file was found for
+      const fileInfo = createFileInfo(file, targetKeys.join(', '));
+      recordPermissionError(fileInfo, file, listError);
+      return [fileInfo];
+    }
+  }
+  
+  return targetKeys
+    .map(targetKey => processFile(visitedFile, targetKey, targetOptions[targetKey]))
+    .filter(result => result.matches.length > 0 || result.groupAccess.length > 0 || result.protected || result.error);
+}
+
 /**
  * Process a single file to remove target email permissions
+ * With options.dryRun the permission is only recorded, never removed;
+ * with options.approvedEntry it is only removed if it still matches the plan;
+ * options.action (PERMISSION_ACTIONS) chooses removal or a downgrade;
+ * options.transfer hands files the target owns to a successor first;
+ * options.removalQueue defers removals to a batch request (see Batch.js)
  */
-function processFile(file, targetEmail) {
-  const fileInfo = {
+function processFile(file, targetEmail, options = {}) {
+  const target = parseTarget(targetEmail);
+  const fileInfo = createFileInfo(file, targetEmail);
+  
+  try {
+    if (file.permissionsError) {
+      throw file.permissionsError;
+    }
+    
+    // Get file permissions - scans and multi-target visits already have them
+    const permissions = file.permissions || withDriveRetry(() => Drive.Permissions.list(file.id, {
+      fields: `permissions(${PERMISSION_FIELDS})`,
+      supportsAllDrives: true
+    }), 'Listing permissions').permissions || [];
+    
+    // Find target email permission(s)
+    let targetPermissions = findTargetPermissions(permissions, target);
+    if (options.approvedEntry) {
+      targetPermissions = targetPermissions.filter(p => getPermissionAddress(p) === options.approvedEntry.email);
+    }
+    
+    // Removing a direct permission doesn't help if a group still grants access
+    if (target.kind === TARGET_KINDS.USER) {
+      fileInfo.groupAccess = findGroupAccess(permissions, target.email, options.targetGroups || []);
+      fileInfo.unverifiedGroups = findUnverifiedGroups(permissions, target.email, options.targetGroups || []);
+      for (const access of fileInfo.groupAccess) {
+        console.log(`👥 ${targetEmail} can still reach "${file.name}" through group ${access.groupEmail} (${access.role})`);
+      }
+    }
+    
+    if (targetPermissions.length === 0) {
+      console.log(`ℹ️ ${targetEmail} not found in "${file.name}" permissions`);
+      return fileInfo;
+    }
+    
+    const owner = permissions.find(p => p.role === 'owner');
+    if (owner && owner.emailAddress) {
+      fileInfo.ownerEmail = owner.emailAddress;
+    }
+    
+    // Protected files are reported but never changed
+    const protectionReason = isSharedDrive(file) ? null : getProtectionReason(file);
+    if (protectionReason) {
+      fileInfo.protected = true;
+      fileInfo.protectionReason = protectionReason;
+      fileInfo.targetPermissionRole = [...new Set(targetPermissions.map(p => p.role))].join(', ');
+      fileInfo.targetPermissionType = targetPermissions[0].type;
+      console.log(`🛡️ "${file.name}" is protected (${protectionReason}) - leaving ${targetEmail} in place`);
+      return fileInfo;
+    }
+    
+    for (const permission of targetPermissions) {
+      const match = processTargetPermission(file, fileInfo, permission, options);
+      match.matchedAlias = findMatchedAlias(permission, target);
+      fileInfo.matches.push(match);
+    }
+    summarizeMatches(fileInfo, options);
+    
+  } catch (permError) {
+    recordPermissionError(fileInfo, file, permError);
+  }
+  
+  return fileInfo;
+}
+
+/**
+ * The per-file result record written to the run log
+ */
+function createFileInfo(file, targetEmail) {
+  return {
     id: file.id,
     title: file.name,
     mimeType: file.mimeType,
@@ -203,126 +628,699 @@ function processFile(file, targetEmail) {
     removed: false,
     error: null,
     skipped: false,
+    protected: false,           // On the protected list - left exactly as is
+    protectionReason: null,
     foundButCantRemove: false,  // New field for permission issues
     targetPermissionRole: null,  // What access the target email had
-    webViewLink: `https://drive.google.com/file/d/${file.id}/view`  // Direct link
+    targetPermissionType: null,
+    permissionId: null,
+    wouldRemove: false,  // Dry run only: removal expected to succeed
+    canRemove: null,     // Dry run only: whether we have rights to remove it
+    matches: [],         // One entry per matching permission (several for domain targets)
+    groupAccess: [],     // User targets: groups on this file the person is a member of
+    unverifiedGroups: [], // User targets: groups on this file whose membership couldn't be checked
+    driveId: file.driveId || null,  // Set for files in a shared drive
+    webViewLink: isSharedDrive(file) ? getSharedDriveUrl(file.id) : `https://drive.google.com/file/d/${file.id}/view`  // Direct link
   };
+}
+
+/**
+ * Records why a file's permissions couldn't be read or changed
+ */
+function recordPermissionError(fileInfo, file, permError) {
+  if (classifyDriveError(permError) === DRIVE_ERROR_TYPES.NO_ACCESS) {
+    fileInfo.skipped = true;
+    fileInfo.error = 'Cannot access file permissions';
+    console.log(`⚠️ Skipped "${file.name}": Cannot access permissions`);
+  } else {
+    fileInfo.error = `Permission error: ${permError.message}`;
+    console.error(`❌ Error accessing "${file.name}":`, permError.message);
+  }
+}
+
+/**
+ * Removes (or, in a dry run, previews removing) one matching permission
+ * and returns its outcome
+ */
+function processTargetPermission(file, fileInfo, permission, options) {
+  const address = getPermissionAddress(permission);
+  const action = options.action || PERMISSION_ACTIONS.REMOVE;
+  const match = {
+    emailAddress: address,
+    type: permission.type,
+    role: permission.role,
+    permissionId: permission.id,
+    permission,  // Kept for the undo journal
+    action,
+    removed: false,
+    wouldRemove: false,
+    downgraded: false,
+    wouldDowngrade: false,
+    unchanged: false,  // Downgrade only: already at or below the new role
+    transferred: false,
+    wouldTransfer: false,
+    pendingTransfer: false,  // Successor has to accept before the old owner can be removed
+    memberAccess: false,     // Comes from shared drive membership, not from the file
+    pendingOwner: !!permission.pendingOwner,  // Offered ownership - removing the permission cancels the offer
+    inheritedFrom: null,            // Folder the permission is inherited from (see Inheritance.js)
+    coveredByFolderRemoval: false,  // Removed once at that folder instead of on the file
+    canRemove: null,
+    foundButCantRemove: false,
+    skipped: false,
+    error: null
+  };
+  
+  // Plans only change what was approved - anything changed since is left alone
+  if (options.approvedEntry && !matchesPlanEntry(permission, options.approvedEntry)) {
+    match.skipped = true;
+    match.skipReason = `Sharing changed since the preview (was ${options.approvedEntry.role}, now ${permission.role})`;
+    console.log(`⏭️ Skipped "${file.name}": ${match.skipReason}`);
+    return match;
+  }
+  
+  // Drive members can only be removed from the drive (see SharedDrives.js)
+  if (isMemberAccess(permission)) {
+    match.memberAccess = true;
+    match.skipped = true;
+    match.skipReason = 'Access comes from shared drive membership';
+    return match;
+  }
+  
+  // Inherited access can only be removed at the folder that grants it - and
+  // that folder may turn up in the search after the files inside it
+  const inheritedFrom = getInheritedFrom(permission) || getEarlierFolderRemoval(file, permission);
+  if (inheritedFrom && !DOWNGRADE_ROLES[action]) {
+    return removeAtFolder(file, match, inheritedFrom, options.dryRun);
+  }
+
+  // A folder's own permission reaches everything inside it too
+  const folderBlock = file.mimeType === FOLDER_MIME_TYPE ? getFolderRemovalBlock(file.id) : null;
+  if (folderBlock) {
+    match.foundButCantRemove = true;
+    match.error = `Left on the folder because ${folderBlock}`;
+    console.log(`🛡️ Leaving ${match.emailAddress} on folder "${file.name}": ${folderBlock}`);
+    return match;
+  }
+
+  // Owners can't be removed - hand the file over first when we know to whom
+  if (permission.role === 'owner' && options.transfer &&
+      !transferTargetOwnership(file, fileInfo, match, options.transfer, options.dryRun)) {
+    return match;
+  }
+  
+  if (DOWNGRADE_ROLES[action]) {
+    return downgradeTargetPermission(file, fileInfo, match, DOWNGRADE_ROLES[action], options.dryRun);
+  }
+  
+  if (options.dryRun) {
+    return previewRemoval(file, match);
+  }
+  
+  // Sent with the rest of the batch by flushRemovals()
+  if (options.removalQueue) {
+    options.removalQueue.push({ file, fileInfo, match });
+    return match;
+  }
   
   try {
-    // Get file permissions
-    const permissionsResponse = Drive.Permissions.list(file.id, {
-      fields: 'permissions(id, emailAddress, role, type)'
-    });
-    
-    const permissions = permissionsResponse.permissions || [];
-    
-    // Find target email permission
-    const targetPermission = permissions.find(p => p.emailAddress === targetEmail);
+    // Try to remove the permission
+    withDriveRetry(() => Drive.Permissions.remove(file.id, match.permissionId, { supportsAllDrives: true }), 'Removing permission');
+    recordRemovalResult(file, fileInfo, match, null);
+  } catch (removeError) {
+    recordRemovalResult(file, fileInfo, match, removeError);
+  }
+  
+  return match;
+}
+
+/**
+ * Records the outcome of removing a matching permission (removeError is null on success)
+ */
+function recordRemovalResult(file, fileInfo, match, removeError) {
+  if (!removeError) {
+    match.removed = true;
+    console.log(`✅ Removed ${match.emailAddress} (${match.role}) from "${file.name}"`);
+    return;
+  }
+  
+  // This is the key scenario you asked about
+  match.foundButCantRemove = true;
+  match.error = `Found ${match.emailAddress} as ${match.role}, but insufficient permissions to remove`;
+  
+  console.error(`❌ Found ${match.emailAddress} as ${match.role} in "${file.name}" but cannot remove - insufficient permissions`);
+  console.error(`🔗 File link: https://drive.google.com/file/d/${file.id}/view`);
+  console.error(`🔒 Error details: ${removeError.message}`);
+  if (fileInfo.ownerEmail) {
+    console.error(`👤 File owner: ${fileInfo.ownerEmail}`);
+  }
+}
+
+/**
+ * Lowers a matching permission to newRole instead of removing it
+ */
+function downgradeTargetPermission(file, fileInfo, match, newRole, dryRun) {
+  match.previousRole = match.role;
+  match.newRole = newRole;
+  
+  if (ROLE_RANK[match.role] <= ROLE_RANK[newRole]) {
+    match.unchanged = true;
+    console.log(`ℹ️ ${match.emailAddress} already has ${match.role} access to "${file.name}" - nothing to downgrade`);
+    return match;
+  }
+  
+  if (dryRun) {
+    match.canRemove = canChangePermission(file, match);
+    if (match.canRemove) {
+      match.wouldDowngrade = true;
+      console.log(`🔍 Would downgrade ${match.emailAddress} from ${match.role} to ${newRole} on "${file.name}"`);
+    } else {
+      match.foundButCantRemove = true;
+      match.error = `Found ${match.emailAddress} as ${match.role}, but insufficient permissions to downgrade`;
+    }
+    return match;
+  }
+  
+  try {
+    withDriveRetry(() => Drive.Permissions.update({ role: newRole }, file.id, match.permissionId, { supportsAllDrives: true }), 'Downgrading permission');
+    match.downgraded = true;
+    console.log(`⬇️ Downgraded ${match.emailAddress} from ${match.role} to ${newRole} on "${file.name}"`);
     
-    if (targetPermission) {
-      fileInfo.targetPermissionRole = targetPermission.role;
-      
-      try {
-        // Try to remove the permission
-        Drive.Permissions.remove(file.id, targetPermission.id);
-        fileInfo.removed = true;
-        console.log(`✅ Removed ${targetEmail} (${targetPermission.role}) from "${file.name}"`);
-        
-      } catch (removeError) {
-        // This is the key scenario you asked about
-        fileInfo.foundButCantRemove = true;
-        fileInfo.error = `Found ${targetEmail} as ${targetPermission.role}, but insufficient permissions to remove`;
-        
-        console.error(`❌ Found ${targetEmail} as ${targetPermission.role} in "${file.name}" but cannot remove - insufficient permissions`);
-        console.error(`🔗 File link: https://drive.google.com/file/d/${file.id}/view`);
-        console.error(`🔒 Error details: ${removeError.message}`);
-        
-        // Try to get the file owner information if possible
-        try {
-          const owner = permissions.find(p => p.role === 'owner');
-          if (owner && owner.emailAddress) {
-            fileInfo.ownerEmail = owner.emailAddress;
-            console.error(`👤 File owner: ${owner.emailAddress}`);
-          }
-        } catch(e) {
-          console.error(`⚠️ Could not determine file owner: ${e.message}`);
-        }
+  } catch (updateError) {
+    match.foundButCantRemove = true;
+    match.error = `Found ${match.emailAddress} as ${match.role}, but insufficient permissions to downgrade`;
+    console.error(`❌ Found ${match.emailAddress} as ${match.role} in "${file.name}" but cannot downgrade - ${updateError.message}`);
+    if (fileInfo.ownerEmail) {
+      console.error(`👤 File owner: ${fileInfo.ownerEmail}`);
+    }
+  }
+  
+  return match;
+}
+
+/**
+ * Owners can't be removed or downgraded (unless ownership is transferred
+ * first), and without canShare we can't change sharing at all
+ */
+function canChangePermission(file, match) {
+  const canShare = !file.capabilities || file.capabilities.canShare !== false;
+  return canShare && (match.role !== 'owner' || match.wouldTransfer);
+}
+
+/**
+ * Dry run counterpart of the removal in processTargetPermission - records
+ * whether removing the permission is expected to work, without touching it
+ */
+function previewRemoval(file, match) {
+  match.canRemove = canChangePermission(file, match);
+  
+  if (match.canRemove) {
+    match.wouldRemove = true;
+    console.log(`🔍 Would remove ${match.emailAddress} (${match.role}) from "${file.name}"`);
+  } else {
+    match.foundButCantRemove = true;
+    match.error = `Found ${match.emailAddress} as ${match.role}, but insufficient permissions to remove`;
+    console.log(`⚠️ Found ${match.emailAddress} as ${match.role} in "${file.name}" - would need manual review`);
+  }
+  
+  return match;
+}
+
+/**
+ * Rolls the per-permission outcomes up into the file-level fields the
+ * summary works with - a file only counts as removed if every match was
+ */
+function summarizeMatches(fileInfo, options) {
+  const matches = fileInfo.matches;
+  
+  fileInfo.targetPermissionRole = [...new Set(matches.map(m => m.role))].join(', ');
+  fileInfo.targetPermissionType = matches[0].type;
+  fileInfo.permissionId = matches[0].permissionId;
+  fileInfo.removed = matches.every(m => m.removed);
+  fileInfo.wouldRemove = matches.every(m => m.wouldRemove);
+  fileInfo.downgraded = matches.some(m => m.downgraded);
+  fileInfo.wouldDowngrade = matches.some(m => m.wouldDowngrade);
+  fileInfo.unchanged = matches.every(m => m.unchanged);
+  fileInfo.transferred = matches.some(m => m.transferred);
+  fileInfo.wouldTransfer = matches.some(m => m.wouldTransfer);
+  fileInfo.pendingTransfer = matches.some(m => m.pendingTransfer);
+  fileInfo.transferTo = (matches.find(m => m.transferTo) || {}).transferTo || null;
+  fileInfo.canRemove = options.dryRun ? matches.every(m => m.canRemove) : null;
+  fileInfo.foundButCantRemove = matches.some(m => m.foundButCantRemove);
+  fileInfo.skipped = matches.every(m => m.skipped);
+  fileInfo.memberAccess = matches.every(m => m.memberAccess);
+  fileInfo.pendingOwner = matches.some(m => m.pendingOwner);
+  fileInfo.coveredByFolder = matches.every(m => m.coveredByFolderRemoval);
+  fileInfo.skipReason = (matches.find(m => m.skipReason) || {}).skipReason;
+  fileInfo.error = matches.map(m => m.error).filter(error => error).join('; ') || null;
+}
+
+// ==================== TARGETS ====================
+
+/**
+ * Turns a target entry into a target description
+ * 'person@company.com' targets one address, '@agency.com' everyone at that domain
+ */
+function parseTarget(entry) {
+  const value = String(entry).trim();
+  
+  if (value === PUBLIC_LINKS_TARGET) {
+    return { key: value, kind: TARGET_KINDS.PUBLIC };
+  }
+  
+  if (value.toLowerCase().startsWith(GROUP_TARGET_PREFIX)) {
+    const email = value.slice(GROUP_TARGET_PREFIX.length);
+    return { key: value, kind: TARGET_KINDS.GROUP, email, addresses: getTargetAddresses(email) };
+  }
+  
+  if (value.startsWith('@')) {
+    const domain = value.slice(1).toLowerCase();
+    return { key: value, kind: TARGET_KINDS.DOMAIN, domain, domains: getTargetDomains(domain) };
+  }
+  
+  return { key: value, kind: TARGET_KINDS.USER, email: value, addresses: getTargetAddresses(value) };
+}
+
+/**
+ * Scan targets can't be searched for directly, so every candidate file is
+ * checked and only files with a matching permission are reported
+ */
+function isScanTarget(target) {
+  return target.kind === TARGET_KINDS.DOMAIN || target.kind === TARGET_KINDS.PUBLIC;
+}
+
+function getTargetAction(target) {
+  if (target.kind === TARGET_KINDS.PUBLIC) {
+    return CONFIG.PUBLIC_LINK_ACTION;
+  }
+  
+  return getTargetOptions(target.key).action || PERMISSION_ACTIONS.REMOVE;
+}
+
+/**
+ * Splits target entries - plain strings or objects such as
+ * { email: 'x@y.com', action: 'downgradeToReader' } - into the list of
+ * targets and a map of per-target options
+ */
+function normalizeTargetEntries(entries) {
+  const targetEmails = [];
+  const targetOptions = {};
+  
+  for (const entry of entries) {
+    if (entry && typeof entry === 'object') {
+      const { email, ...options } = entry;
+      const key = String(email || '').trim();
+      targetEmails.push(key);
+      if (Object.keys(options).length > 0) {
+        targetOptions[key] = options;
       }
     } else {
-      console.log(`ℹ️ ${targetEmail} not found in "${file.name}" permissions`);
+      targetEmails.push(String(entry).trim());
+    }
+  }
+  
+  return { targetEmails, targetOptions };
+}
+
+/**
+ * The addresses configured in TARGET_EMAILS, without their options
+ */
+function getConfiguredTargets() {
+  return normalizeTargetEntries(TARGET_EMAILS).targetEmails;
+}
+
+/**
+ * Per-target options of the current run (e.g. { action })
+ */
+function getTargetOptions(targetKey) {
+  try {
+    const targetOptions = JSON.parse(PropertiesService.getScriptProperties().getProperty(STATE_KEYS.TARGET_OPTIONS) || '{}');
+    return targetOptions[targetKey] || {};
+  } catch (error) {
+    console.warn('⚠️ Could not parse target options, using defaults');
+    return {};
+  }
+}
+
+function buildSearchQuery(target, targetGroups = []) {
+  if (target.kind === TARGET_KINDS.PUBLIC) {
+    return "trashed = false and (visibility = 'anyoneCanFind' or visibility = 'anyoneWithLink' or " +
+      "visibility = 'domainCanFind' or visibility = 'domainWithLink')";
+  }
+  
+  if (target.kind === TARGET_KINDS.DOMAIN) {
+    // Drive search can't match addresses by domain, so every visible file is checked
+    return 'trashed = false';
+  }
+  
+  return getSearchClauses(target, targetGroups).join(' or ');
+}
+
+/**
+ * Search clauses for an address or group target
+ */
+function getSearchClauses(target, targetGroups = []) {
+  // Using a more inclusive search approach to find all accessible files
+  const clauses = [];
+  for (const address of getSearchAddresses(target)) {
+    clauses.push(`'${address}' in readers`, `'${address}' in writers`, `'${address}' in owners`);
+  }
+  for (const groupEmail of targetGroups) {
+    clauses.push(`'${groupEmail}' in readers`, `'${groupEmail}' in writers`);
+  }
+  return clauses;
+}
+
+/**
+ * One search for every target of a pass - the OR of their clauses
+ */
+function buildPassQuery(targets) {
+  if (targets.some(isScanTarget)) {
+    return buildSearchQuery(targets[0]);
+  }
+  
+  const clauses = new Set();
+  for (const target of targets) {
+    const targetGroups = target.kind === TARGET_KINDS.USER ? getTargetGroups(target.email) : [];
+    getSearchClauses(target, targetGroups).forEach(clause => clauses.add(clause));
+  }
+  return [...clauses].join(' or ');
+}
+
+/**
+ * Groups targets into passes that are searched and visited together
+ * Addresses and groups share OR'd searches, split whenever the query would
+ * exceed CONFIG.MAX_QUERY_LENGTH; domain and public link targets scan alone
+ */
+function buildTargetPasses(targetEmails) {
+  const passes = [];
+  let chunk = [];
+  
+  for (const entry of targetEmails) {
+    if (isScanTarget(parseTarget(entry))) {
+      passes.push([entry]);
+      continue;
     }
     
-  } catch (permError) {
-    if (permError.message.includes('insufficient permissions') || 
-        permError.message.includes('not found') ||
-        permError.message.includes('Forbidden')) {
-      fileInfo.skipped = true;
-      fileInfo.error = 'Cannot access file permissions';
-      console.log(`⚠️ Skipped "${file.name}": Cannot access permissions`);
+    const candidate = [...chunk, entry];
+    if (chunk.length > 0 && buildPassQuery(candidate.map(parseTarget)).length > CONFIG.MAX_QUERY_LENGTH) {
+      passes.push(chunk);
+      chunk = [entry];
     } else {
-      fileInfo.error = `Permission error: ${permError.message}`;
-      console.error(`❌ Error accessing "${file.name}":`, permError.message);
+      chunk = candidate;
     }
   }
   
-  return fileInfo;
+  if (chunk.length > 0) {
+    passes.push(chunk);
+  }
+  return passes;
+}
+
+/**
+ * Passes of the current run, worked out on first use and then kept in run
+ * state so every batch sees the same grouping
+ */
+function getRunPasses() {
+  const properties = PropertiesService.getScriptProperties();
+  const passesJson = properties.getProperty(STATE_KEYS.PASSES);
+  
+  if (passesJson) {
+    try {
+      return JSON.parse(passesJson);
+    } catch (error) {
+      console.warn('⚠️ Could not parse run passes, working them out again');
+    }
+  }
+  
+  const passes = buildTargetPasses(getRunTargets());
+  properties.setProperty(STATE_KEYS.PASSES, JSON.stringify(passes));
+  return passes;
+}
+
+/**
+ * Permissions on a file that belong to the target
+ */
+function findTargetPermissions(permissions, target) {
+  return permissions.filter(p => findMatchedAlias(p, target) !== null);
+}
+
+/**
+ * The address a permission was granted to, as shown in reports
+ */
+function getPermissionAddress(permission) {
+  if (permission.emailAddress) return permission.emailAddress;
+  if (permission.domain) return `@${permission.domain}`;
+  return permission.type;
 }
 
 // ==================== STATE & WORKFLOW ====================
 
-function validateConfiguration() {
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function validateConfiguration(targetEmails = getConfiguredTargets(), targetOptions = {}) {
   const currentUserEmail = Session.getActiveUser().getEmail();
   
-  if (TARGET_EMAILS.length === 0) {
+  if (targetEmails.length === 0) {
     console.error('❌ No target emails specified!');
     console.error('💡 Please update the TARGET_EMAILS array in the script');
     return false;
   }
   
-  if (TARGET_EMAILS.includes(currentUserEmail)) {
+  // Our own address is only allowed to hand our files over (see Ownership.js)
+  const ownTarget = targetEmails.find(email => isOwnAddressTarget(email, currentUserEmail));
+  if (ownTarget && !isOwnershipHandover(targetOptions[ownTarget])) {
     console.error(`❌ Cannot include your own email (${currentUserEmail}) in target list!`);
-    console.error('💡 Remove your email from TARGET_EMAILS array');
+    console.error('💡 Remove your email from TARGET_EMAILS array, or give it a successor or sharedDriveId to hand your files over');
+    return false;
+  }
+  
+  // Domain targets must not cover our own address either
+  const ownDomainTarget = targetEmails.find(email => isDomainTargetFor(email, currentUserEmail));
+  if (ownDomainTarget) {
+    console.error(`❌ ${ownDomainTarget} would include your own email (${currentUserEmail})!`);
+    console.error('💡 Remove that domain from TARGET_EMAILS array');
     return false;
   }
   
   // Validate emails format
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  const invalidEmails = TARGET_EMAILS.filter(email => !emailRegex.test(email));
+  const invalidEmails = targetEmails.filter(email => !isValidTargetFormat(email));
   
   if (invalidEmails.length > 0) {
     console.error(`❌ Invalid email format(s): ${invalidEmails.join(', ')}`);
     return false;
   }
   
-  console.log(`✅ Configuration validated: ${TARGET_EMAILS.length} target email(s)`);
+  console.log(`✅ Configuration validated: ${targetEmails.length} target email(s)`);
   return true;
 }
 
+function validateTargetOptions(targetOptions) {
+  const validActions = Object.values(PERMISSION_ACTIONS);
+  
+  for (const [email, options] of Object.entries(targetOptions)) {
+    if (options.action && !validActions.includes(options.action)) {
+      console.error(`❌ Unknown action "${options.action}" for ${email}`);
+      console.error(`💡 Use one of: ${validActions.join(', ')}`);
+      return false;
+    }
+    
+    const transferError = getOwnershipTransferError(email, options);
+    if (transferError) {
+      console.error(`❌ ${email}: ${transferError}`);
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Checks a single target address, returning an error message or null
+ * Used for targets that come from outside the script (e.g. the control sheet)
+ */
+function getTargetEmailError(email, currentUserEmail) {
+  if (!email) {
+    return 'Email is empty';
+  }
+  
+  if (!isValidTargetFormat(email)) {
+    return 'Invalid email format';
+  }
+  
+  if (isOwnAddressTarget(email, currentUserEmail)) {
+    return 'Cannot target your own email address';
+  }
+  
+  if (isDomainTargetFor(email, currentUserEmail)) {
+    return 'Domain would include your own email address';
+  }
+  
+  return null;
+}
+
+const DOMAIN_TARGET_REGEX = /^@[^\s@]+\.[^\s@]+$/;
+
+const GROUP_TARGET_PREFIX = 'group:';
+
+function isValidTargetFormat(entry) {
+  const target = parseTarget(entry);
+  if (target.kind === TARGET_KINDS.GROUP) {
+    return EMAIL_REGEX.test(target.email);
+  }
+  
+  return EMAIL_REGEX.test(entry) || DOMAIN_TARGET_REGEX.test(entry) || entry === PUBLIC_LINKS_TARGET;
+}
+
+function isDomainTargetFor(entry, email) {
+  return DOMAIN_TARGET_REGEX.test(entry) &&
+    getTargetDomains(entry.slice(1).toLowerCase()).some(domain => String(email).toLowerCase().endsWith(`@${domain}`));
+}
+
+/**
+ * Whether an address entry (or one of its aliases) is the given address
+ */
+function isOwnAddressTarget(entry, email) {
+  const target = parseTarget(entry);
+  return target.kind === TARGET_KINDS.USER && target.addresses.some(address => isSameAddress(address, email));
+}
+
 function isProcessRunning() {
   return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.IS_RUNNING) === 'true';
 }
 
-function initializeState() {
+/**
+ * Target emails of the current run, falling back to TARGET_EMAILS
+ */
+function getRunTargets() {
+  const targetsJson = PropertiesService.getScriptProperties().getProperty(STATE_KEYS.TARGETS);
+  
+  if (targetsJson) {
+    try {
+      return JSON.parse(targetsJson);
+    } catch (error) {
+      console.warn('⚠️ Could not parse run targets, using TARGET_EMAILS');
+    }
+  }
+  
+  return getConfiguredTargets();
+}
+
+/**
+ * Identifies the current run for summaries and reports
+ */
+function getRunInfo() {
   const properties = PropertiesService.getScriptProperties();
   
+  return {
+    runId: properties.getProperty(STATE_KEYS.RUN_ID),
+    mode: properties.getProperty(STATE_KEYS.RUN_MODE) || RUN_MODES.CLEANUP,
+    targetEmails: getRunTargets(),
+    planId: properties.getProperty(STATE_KEYS.PLAN_FILE_ID),
+    runLogId: properties.getProperty(STATE_KEYS.RUN_LOG_FILE_ID),
+    scope: getRunScope(),
+    retries: getRetryCounts(),
+    verification: getVerificationResults()
+  };
+}
+
+function generateRunId() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss');
+}
+
+function initializeState(mode = RUN_MODES.CLEANUP, targetEmails = getConfiguredTargets(), extraState = {}) {
+  const properties = PropertiesService.getScriptProperties();
+  const runId = generateRunId();
+  const modeState = {};
+  
+  // Every per-file result goes to the run log; the summary is built from it
+  modeState[STATE_KEYS.RUN_LOG_FILE_ID] = createRunLogFile(runId);
+  
+  // Dry runs write their plan as they go, so the file must exist up front;
+  // inventories change nothing; every other mode changes sharing and
+  // journals it for restorePermissions()
+  if (mode === RUN_MODES.DRY_RUN) {
+    modeState[STATE_KEYS.PLAN_FILE_ID] = createPlanFile(runId, targetEmails, JSON.parse(extraState[STATE_KEYS.SCOPE] || 'null'));
+  } else if (mode !== RUN_MODES.INVENTORY) {
+    modeState[STATE_KEYS.JOURNAL_FILE_ID] = createJournalFile(runId);
+  }
+  
   properties.setProperties({
-    [STATE_KEYS.CURRENT_EMAIL_INDEX]: '0',
+    ...extraState,
+    ...modeState,
+    [STATE_KEYS.RUN_ID]: runId,
+    [STATE_KEYS.RUN_MODE]: mode,
+    [STATE_KEYS.TARGETS]: JSON.stringify(targetEmails),
+    [STATE_KEYS.PASS_INDEX]: '0',
     [STATE_KEYS.NEXT_PAGE_TOKEN]: '',
     [STATE_KEYS.PROCESSED_COUNT]: '0',
     [STATE_KEYS.LOGS]: JSON.stringify([]),
+    [STATE_KEYS.MANUAL_REVIEW_LOGS]: JSON.stringify([]),
+    [STATE_KEYS.MANUAL_REVIEW_COUNT]: '0',
     [STATE_KEYS.START_TIME]: new Date().toISOString(),
     [STATE_KEYS.IS_RUNNING]: 'true',
-    [STATE_KEYS.CURRENT_EMAIL]: TARGET_EMAILS[0]
+    [STATE_KEYS.CURRENT_TARGETS]: targetEmails.join(', '),
+    [STATE_KEYS.CALL_RETRIES]: '0',
+    [STATE_KEYS.BATCH_RETRIES]: '0',
+    [STATE_KEYS.FAILED_BATCH_ATTEMPTS]: '0'
+  });
+}
+
+/**
+ * Saves a finished batch: its results and where the next batch starts
+ * (nextPageToken, plus doneFileIds when the page itself isn't finished)
+ */
+function updateState(nextPageToken, processedCount, batchLogs, passIndex, passLabel, doneFileIds = []) {
+  const properties = PropertiesService.getScriptProperties();
+  
+  // The run log is the complete record - it must be written before the
+  // processed count moves on, so the two can never disagree
+  appendJsonLines(properties.getProperty(STATE_KEYS.RUN_LOG_FILE_ID), batchLogs);
+  
+  // Keep a short tail of recent results for checkStatus() and the web app,
+  // and count the manual reviews so the web app never reads the run log
+  const manualReviews = batchLogs.filter(log => log.foundButCantRemove);
+  const manualReviewCount = parseInt(properties.getProperty(STATE_KEYS.MANUAL_REVIEW_COUNT) || '0') + manualReviews.length;
+  appendRecentLogs(STATE_KEYS.LOGS, batchLogs);
+  appendRecentLogs(STATE_KEYS.MANUAL_REVIEW_LOGS, manualReviews);
+  
+  // Update state
+  properties.setProperties({
+    [STATE_KEYS.NEXT_PAGE_TOKEN]: nextPageToken || '',
+    [STATE_KEYS.PROCESSED_COUNT]: processedCount.toString(),
+    [STATE_KEYS.MANUAL_REVIEW_COUNT]: manualReviewCount.toString(),
+    [STATE_KEYS.PASS_INDEX]: passIndex.toString(),
+    [STATE_KEYS.CURRENT_TARGETS]: passLabel,
+    [STATE_KEYS.PAGE_DONE_IDS]: JSON.stringify(doneFileIds)
   });
+  saveRetryCounts();
 }
 
-function updateState(nextPageToken, processedCount, batchLogs, currentEmailIndex, currentEmail) {
+/**
+ * IDs of the files on the current page that an earlier batch already handled
+ */
+function getPageDoneIds() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(STATE_KEYS.PAGE_DONE_IDS) || '[]');
+  } catch (error) {
+    console.warn('⚠️ Could not parse page checkpoint, processing the whole page');
+    return [];
+  }
+}
+
+/**
+ * Adds results to a tail kept in script properties, dropping the oldest
+ * ones once it is larger than MAX_LOG_SIZE
+ */
+function appendRecentLogs(key, logs) {
+  if (logs.length === 0) {
+    return;
+  }
+  
   const properties = PropertiesService.getScriptProperties();
   
-  // Handle logs with size limit
   let existingLogs = [];
   try {
-    const logsJson = properties.getProperty(STATE_KEYS.LOGS);
+    const logsJson = properties.getProperty(key);
     if (logsJson) {
       existingLogs = JSON.parse(logsJson);
     }
@@ -330,78 +1328,73 @@ function updateState(nextPageToken, processedCount, batchLogs, currentEmailIndex
     console.warn('⚠️ Could not parse existing logs, starting fresh');
   }
   
-  const updatedLogs = existingLogs.concat(batchLogs);
-  const logsJson = JSON.stringify(updatedLogs);
-  
-  if (logsJson.length > CONFIG.MAX_LOG_SIZE) {
-    const truncatedLogs = updatedLogs.slice(-Math.floor(updatedLogs.length * 0.7));
-    properties.setProperty(STATE_KEYS.LOGS, JSON.stringify(truncatedLogs));
-  } else {
-    properties.setProperty(STATE_KEYS.LOGS, logsJson);
+  let recentLogs = existingLogs.concat(logs.map(toRecentLog));
+  while (recentLogs.length > 1 && JSON.stringify(recentLogs).length > CONFIG.MAX_LOG_SIZE) {
+    recentLogs = recentLogs.slice(-Math.floor(recentLogs.length * 0.7));
   }
-  
-  // Update state
-  properties.setProperties({
-    [STATE_KEYS.NEXT_PAGE_TOKEN]: nextPageToken || '',
-    [STATE_KEYS.PROCESSED_COUNT]: processedCount.toString(),
-    [STATE_KEYS.CURRENT_EMAIL_INDEX]: currentEmailIndex.toString(),
-    [STATE_KEYS.CURRENT_EMAIL]: currentEmail
-  });
+  properties.setProperty(key, JSON.stringify(recentLogs));
+}
+
+/**
+ * Slimmed-down result for the recent-results tail; the full record is in the run log
+ */
+function toRecentLog(log) {
+  const { matches, mimeType, ...recent } = log;
+  return recent;
 }
 
-function moveToNextEmail() {
+function moveToNextPass() {
   const properties = PropertiesService.getScriptProperties();
-  const currentEmailIndex = parseInt(properties.getProperty(STATE_KEYS.CURRENT_EMAIL_INDEX) || '0');
-  const nextEmailIndex = currentEmailIndex + 1;
+  const passes = getRunPasses();
+  const passIndex = parseInt(properties.getProperty(STATE_KEYS.PASS_INDEX) || '0');
+  const nextPassIndex = passIndex + 1;
   
-  if (nextEmailIndex >= TARGET_EMAILS.length) {
-    completeProcess();
+  if (nextPassIndex >= passes.length) {
+    finishRun();
   } else {
     properties.setProperties({
-      [STATE_KEYS.CURRENT_EMAIL_INDEX]: nextEmailIndex.toString(),
+      [STATE_KEYS.PASS_INDEX]: nextPassIndex.toString(),
       [STATE_KEYS.NEXT_PAGE_TOKEN]: '',
-      [STATE_KEYS.CURRENT_EMAIL]: TARGET_EMAILS[nextEmailIndex]
+      [STATE_KEYS.PAGE_DONE_IDS]: '[]',
+      [STATE_KEYS.SHARED_DRIVE_PAGE_TOKEN]: '',
+      [STATE_KEYS.SHARED_DRIVES_DONE]: 'false',
+      [STATE_KEYS.CURRENT_TARGETS]: passes[nextPassIndex].join(', ')
     });
     
-    console.log(`➡️ Moving to next email: ${TARGET_EMAILS[nextEmailIndex]}`);
+    console.log(`➡️ Moving to next pass: ${passes[nextPassIndex].join(', ')}`);
     scheduleNextBatch();
   }
 }
 
-function scheduleNextBatch() {
-  console.log(`⏰ Scheduling next batch in ${CONFIG.RETRY_DELAY/1000} seconds...`);
+function scheduleNextBatch(handlerFunction = 'processBatch', delay = CONFIG.RETRY_DELAY) {
+  console.log(`⏰ Scheduling next batch in ${Math.round(delay/1000)} seconds...`);
   
-  ScriptApp.newTrigger('processBatch')
+  // Replaces whatever was still pending, so batches never pile up
+  deleteTriggersFor(handlerFunction);
+  ScriptApp.newTrigger(handlerFunction)
     .timeBased()
-    .after(CONFIG.RETRY_DELAY)
+    .after(delay)
     .create();
 }
 
-function completeProcess() {
-  console.log('🎉 All emails processed! Generating summary...');
-  
-  const properties = PropertiesService.getScriptProperties();
-  const startTimeStr = properties.getProperty(STATE_KEYS.START_TIME);
-  const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
-  
-  let logs = [];
-  try {
-    const logsJson = properties.getProperty(STATE_KEYS.LOGS);
-    if (logsJson) {
-      logs = JSON.parse(logsJson);
-    }
-  } catch (error) {
-    console.warn('⚠️ Could not parse logs for summary');
-  }
-  
-  // Generate and send summary
-  const summary = generateSummary(logs, processedCount, startTimeStr);
-  sendSummaryEmail(summary);
-  
-  // Clean up
-  clearState();
-  
-  console.log('✅ Cleanup process completed successfully!');
+/**
+ * Keeps the headline numbers of the last run for the control panel
+ */
+function saveLastRunSummary(summary) {
+  PropertiesService.getScriptProperties().setProperty(SETTINGS_KEYS.LAST_RUN_SUMMARY, JSON.stringify({
+    runId: summary.runId,
+    runLogId: summary.runLogId,
+    reportUrl: summary.reportUrl,
+    mode: summary.mode,
+    endTime: summary.endTime,
+    totalFiles: summary.totalFiles,
+    totalRemovals: summary.totalRemovals,
+    totalFoundButCantRemove: summary.totalFoundButCantRemove,
+    totalPendingTransfers: summary.totalPendingTransfers,
+    totalErrors: summary.totalErrors,
+    retries: summary.retries,
+    totalSkipped: summary.totalSkipped
+  }));
 }
 
 function clearState() {
@@ -413,12 +1406,8 @@ function clearState() {
   }
   
   // Remove any pending triggers
-  const triggers = ScriptApp.getProjectTriggers();
-  for (const trigger of triggers) {
-    if (trigger.getHandlerFunction() === 'processBatch') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  }
+  deleteTriggersFor('processBatch');
+  stopWatchdog('processBatch');
 }
 
 function handleProcessError(error) {
@@ -437,20 +1426,37 @@ function handleProcessError(error) {
 
 // ==================== UTILITIES ====================
 
+/**
+ * Makes text safe to put into an HTML email - file names and addresses
+ * come from other people and may contain markup
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const FILE_TYPES = {
+  'application/vnd.google-apps.document': 'Google Docs',
+  'application/vnd.google-apps.spreadsheet': 'Google Sheets',
+  'application/vnd.google-apps.presentation': 'Google Slides',
+  'application/vnd.google-apps.folder': 'Folders',
+  'application/vnd.google-apps.shared-drive': 'Shared Drives',
+  'application/vnd.google-apps.form': 'Google Forms',
+  'application/vnd.google-apps.drawing': 'Google Drawings',
+  'application/vnd.google-apps.map': 'Google My Maps',
+  'application/vnd.google-apps.site': 'Google Sites',
+  'application/pdf': 'PDF Files'
+};
+
+// Every category getFileType() can return
+const FILE_TYPE_CATEGORIES = [...Object.values(FILE_TYPES), 'Images', 'Videos', 'Audio Files', 'Other Files'];
+
 function getFileType(mimeType) {
-  const typeMap = {
-    'application/vnd.google-apps.document': 'Google Docs',
-    'application/vnd.google-apps.spreadsheet': 'Google Sheets',
-    'application/vnd.google-apps.presentation': 'Google Slides',
-    'application/vnd.google-apps.folder': 'Folders',
-    'application/vnd.google-apps.form': 'Google Forms',
-    'application/vnd.google-apps.drawing': 'Google Drawings',
-    'application/vnd.google-apps.map': 'Google My Maps',
-    'application/vnd.google-apps.site': 'Google Sites',
-    'application/pdf': 'PDF Files'
-  };
-  
-  for (const [key, value] of Object.entries(typeMap)) {
+  for (const [key, value] of Object.entries(FILE_TYPES)) {
     if (mimeType.startsWith(key)) {
       return value;
     }
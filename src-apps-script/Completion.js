@@ -0,0 +1,138 @@
+/**
+ * Run completion for Google Drive Email Access Remover
+ *
+ * Once every file has been searched (and verified), the run still has to
+ * email owners about manual reviews, export its report and send its
+ * summary. On a large run each of these can take minutes, so they don't
+ * run at the end of the last batch: completion is a phase of its own, made
+ * of steps that run in their own batches through processBatch(). A step
+ * that runs out of time carries on in the next batch, one that fails is
+ * retried like any other batch, and the run's state is only cleared after
+ * the last step.
+ */
+
+const COMPLETION_STEPS = {
+  OUTREACH: 'outreach',  // Owner outreach emails (see Outreach.js)
+  REPORT: 'report',      // Report spreadsheet (see Report.js)
+  SUMMARY: 'summary'     // Summary email and last-run bookkeeping
+};
+
+// ==================== COMPLETION PHASE ====================
+
+/**
+ * Called once every file has been handled - the completion steps start
+ * with the next batch
+ */
+function startCompletion() {
+  PropertiesService.getScriptProperties().setProperty(STATE_KEYS.COMPLETION_STEP, getCompletionSteps()[0]);
+
+  console.log('🏁 All files done - completing the run in the next batch');
+  scheduleNextBatch();
+}
+
+/**
+ * The steps this run needs, in order - inventories only send their own
+ * email (see Inventory.js)
+ */
+function getCompletionSteps() {
+  if (isAccessInventory()) {
+    return [COMPLETION_STEPS.SUMMARY];
+  }
+
+  const steps = [];
+  if (CONFIG.OWNER_OUTREACH) steps.push(COMPLETION_STEPS.OUTREACH);
+  if (CONFIG.EXPORT_SPREADSHEET) steps.push(COMPLETION_STEPS.REPORT);
+  steps.push(COMPLETION_STEPS.SUMMARY);
+  return steps;
+}
+
+function getCompletionStep() {
+  return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.COMPLETION_STEP);
+}
+
+function moveToNextCompletionStep() {
+  const steps = getCompletionSteps();
+  const nextStep = steps[steps.indexOf(getCompletionStep()) + 1] || COMPLETION_STEPS.SUMMARY;
+  PropertiesService.getScriptProperties().setProperty(STATE_KEYS.COMPLETION_STEP, nextStep);
+}
+
+/**
+ * processBatch() counterpart for completion - runs the current step, then
+ * schedules the next one
+ */
+function processCompletionBatch(startTime) {
+  const step = getCompletionStep();
+  if (step === COMPLETION_STEPS.SUMMARY) {
+    completeProcess();
+    return;
+  }
+
+  const { summary, logs } = buildRunSummary();
+  if (step === COMPLETION_STEPS.OUTREACH) {
+    if (runOwnerOutreach(summary, logs, startTime)) {
+      moveToNextCompletionStep();
+    }
+  } else if (step === COMPLETION_STEPS.REPORT) {
+    PropertiesService.getScriptProperties().setProperty(STATE_KEYS.REPORT_URL, exportReportSpreadsheet(summary, logs) || '');
+    moveToNextCompletionStep();
+  }
+  scheduleNextBatch();
+}
+
+/**
+ * The run's summary, built from the complete run log - never the recent tail
+ */
+function buildRunSummary() {
+  const properties = PropertiesService.getScriptProperties();
+  const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
+
+  const logs = readRunLog(properties.getProperty(STATE_KEYS.RUN_LOG_FILE_ID));
+  if (logs.length !== processedCount) {
+    console.error(`❌ Run log has ${logs.length} results but ${processedCount} files were counted`);
+  }
+
+  const summary = generateSummary(logs, processedCount, properties.getProperty(STATE_KEYS.START_TIME), getRunInfo());
+  return { summary, logs };
+}
+
+// ==================== SUMMARY STEP ====================
+
+/**
+ * Last completion step - sends the summary email with the report made by
+ * the earlier step and clears the run's state
+ */
+function completeProcess() {
+  console.log('🎉 All emails processed! Generating summary...');
+
+  const properties = PropertiesService.getScriptProperties();
+  const { summary, logs } = buildRunSummary();
+
+  if (isAccessInventory()) {
+    // Inventories only report access - no outreach and no cleanup report
+    summary.reportUrl = sendAccessInventory(summary, logs);
+  } else {
+    summary.outreach = getOwnerOutreach(summary);
+    summary.reportUrl = properties.getProperty(STATE_KEYS.REPORT_URL) || null;
+    const attachments = buildReportAttachments(summary, logs);
+    if (isComplianceSweep()) {
+      summary.compliance = recordComplianceSweep(summary, logs);
+      sendComplianceSweepEmail(summary, attachments);
+    } else if (isPublicLinkSweep(summary.targetEmails)) {
+      sendPublicLinkSweepEmail(summary, logs, attachments);
+    } else {
+      sendSummaryEmail(summary, attachments);
+    }
+  }
+  updateControlSheetResults(summary);
+  saveLastRunSummary(summary);
+
+  // Remember the preview so executePlan() can pick it up without an ID
+  if (summary.dryRun && summary.planId) {
+    properties.setProperty(SETTINGS_KEYS.LAST_PLAN_ID, summary.planId);
+  }
+
+  // Clean up
+  clearState();
+
+  console.log('✅ Cleanup process completed successfully!');
+}
@@ -0,0 +1,474 @@
+/**
+ * Recurring compliance sweeps for Google Drive Email Access Remover
+ *
+ * People get re-shared on files after they've been offboarded - old links,
+ * copies, colleagues adding them back. A compliance sweep re-runs the cleanup
+ * for a persistent list of blocked addresses on a schedule, keeps a history
+ * of every sweep and reports only what changed since the previous one: new
+ * shares (and who made them), what was removed, and what was cleared by
+ * someone else.
+ *
+ * SETUP:
+ * 1. blockAddresses(['former.employee@company.com', '@old-agency.com'])
+ * 2. Run startComplianceSweeps() - sweeps now and then every
+ *    CONFIG.COMPLIANCE_SWEEP_INTERVAL_HOURS
+ *
+ * Who re-shared a file is looked up through a resolver so it can be replaced:
+ *   setSharerResolver({
+ *     findSharer(fileId, address, since) { return 'colleague@company.com'; }  // or null if unknown
+ *   });
+ */
+
+const COMPLIANCE_HANDLER = 'runComplianceSweep';
+const COMPLIANCE_HISTORY_FILE_NAME = 'Compliance History.jsonl';
+
+// ==================== BLOCKED LIST ====================
+
+/**
+ * Adds addresses, domains or groups to the blocked list
+ * blockAddresses(['former.employee@company.com', '@old-agency.com'])
+ */
+function blockAddresses(entries) {
+  const currentUserEmail = Session.getActiveUser().getEmail();
+  const blocked = getBlockedAddresses();
+
+  for (const entry of [].concat(entries)) {
+    const address = String(entry).trim();
+    const error = parseTarget(address).kind === TARGET_KINDS.PUBLIC
+      ? 'Use startPublicLinkSweep() for public links'
+      : getTargetEmailError(address, currentUserEmail);
+
+    if (error) {
+      console.error(`❌ Not blocking "${address}": ${error}`);
+    } else if (blocked.includes(address)) {
+      console.log(`ℹ️ ${address} is already blocked`);
+    } else {
+      blocked.push(address);
+      console.log(`🚫 Blocked ${address}`);
+    }
+  }
+
+  saveBlockedAddresses(blocked);
+  return blocked;
+}
+
+function unblockAddress(address) {
+  const blocked = getBlockedAddresses();
+  const remaining = blocked.filter(entry => entry !== String(address).trim());
+
+  if (remaining.length === blocked.length) {
+    console.log(`ℹ️ ${address} is not on the blocked list`);
+  } else {
+    console.log(`✅ Unblocked ${address}`);
+  }
+
+  saveBlockedAddresses(remaining);
+  return remaining;
+}
+
+function getBlockedAddresses() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(SETTINGS_KEYS.BLOCKED_ADDRESSES) || '[]');
+  } catch (error) {
+    console.warn('⚠️ Could not parse the blocked list');
+    return [];
+  }
+}
+
+function saveBlockedAddresses(blocked) {
+  PropertiesService.getScriptProperties().setProperty(SETTINGS_KEYS.BLOCKED_ADDRESSES, JSON.stringify(blocked));
+}
+
+function listBlockedAddresses() {
+  const blocked = getBlockedAddresses();
+  console.log(`🚫 Blocked addresses (${blocked.length}): ${blocked.join(', ') || 'none'}`);
+  console.log(`⏰ Compliance sweeps: ${hasTriggerFor(COMPLIANCE_HANDLER) ? `every ${CONFIG.COMPLIANCE_SWEEP_INTERVAL_HOURS} hour(s)` : 'not scheduled'}`);
+  return blocked;
+}
+
+// ==================== SCHEDULE ====================
+
+/**
+ * Schedules a sweep every CONFIG.COMPLIANCE_SWEEP_INTERVAL_HOURS and runs
+ * the first one now
+ */
+function startComplianceSweeps() {
+  if (getBlockedAddresses().length === 0) {
+    console.error('❌ The blocked list is empty - add addresses with blockAddresses([...]) first');
+    return false;
+  }
+
+  deleteTriggersFor(COMPLIANCE_HANDLER);
+  ScriptApp.newTrigger(COMPLIANCE_HANDLER)
+    .timeBased()
+    .everyHours(CONFIG.COMPLIANCE_SWEEP_INTERVAL_HOURS)
+    .create();
+  console.log(`⏰ Compliance sweeps scheduled every ${CONFIG.COMPLIANCE_SWEEP_INTERVAL_HOURS} hour(s)`);
+
+  return runComplianceSweep();
+}
+
+function stopComplianceSweeps() {
+  deleteTriggersFor(COMPLIANCE_HANDLER);
+  console.log('🛑 Compliance sweeps stopped');
+}
+
+/**
+ * Trigger handler: sweeps for the blocked list. A sweep that comes due
+ * while another run is in progress is skipped until the next one
+ */
+function runComplianceSweep() {
+  const blocked = getBlockedAddresses();
+  if (blocked.length === 0) {
+    console.log('ℹ️ The blocked list is empty - nothing to sweep');
+    return false;
+  }
+
+  if (isProcessRunning() || isRestoreRunning()) {
+    console.log('⏭️ Another run or a restore is in progress - skipping this compliance sweep');
+    return false;
+  }
+
+  console.log(`🛡️ Starting compliance sweep for ${blocked.length} blocked address(es)`);
+  return startRun(RUN_MODES.CLEANUP, blocked, { [STATE_KEYS.TARGET_SOURCE]: TARGET_SOURCES.COMPLIANCE });
+}
+
+function isComplianceSweep() {
+  return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.TARGET_SOURCE) === TARGET_SOURCES.COMPLIANCE;
+}
+
+// ==================== HISTORY ====================
+
+/**
+ * Every sweep so far, oldest first
+ */
+function getComplianceHistory() {
+  const historyId = PropertiesService.getScriptProperties().getProperty(SETTINGS_KEYS.COMPLIANCE_HISTORY_ID);
+  if (!historyId) {
+    return [];
+  }
+
+  try {
+    return readJsonLines(historyId);
+  } catch (error) {
+    console.warn(`⚠️ Compliance history ${historyId} is no longer accessible`);
+    return [];
+  }
+}
+
+function appendComplianceHistory(record) {
+  const properties = PropertiesService.getScriptProperties();
+  const historyId = properties.getProperty(SETTINGS_KEYS.COMPLIANCE_HISTORY_ID);
+
+  try {
+    if (historyId) {
+      appendJsonLines(historyId, [record]);
+      return;
+    }
+  } catch (error) {
+    console.warn(`⚠️ Compliance history ${historyId} is no longer accessible, starting a new one`);
+  }
+
+  properties.setProperty(SETTINGS_KEYS.COMPLIANCE_HISTORY_ID, createDataFile(COMPLIANCE_HISTORY_FILE_NAME, [record]));
+}
+
+function showComplianceHistory() {
+  const history = getComplianceHistory();
+  console.log(`📜 ${history.length} compliance sweep(s)`);
+  for (const record of history) {
+    console.log(`  ${record.endTime} • ${record.runId}: ${record.changes.newShares} new, ${record.changes.removed} removed, ${record.changes.cleared} cleared, ${record.changes.stillOpen} still open`);
+  }
+  return history;
+}
+
+// ==================== DIFF ====================
+
+/**
+ * Compares this sweep with the previous one, looks up who made the new
+ * shares and adds the sweep to the history. Returns the changes for the
+ * sweep email
+ */
+function recordComplianceSweep(summary, logs) {
+  const history = getComplianceHistory();
+
+  // A retried completion step finds this sweep recorded already - compare with the one before
+  // Run IDs only go down to the second, so the run's own log file tells sweeps apart too
+  const last = history.length > 0 ? history[history.length - 1] : null;
+  const alreadyRecorded = Boolean(last && last.runId === summary.runId && last.runLogId === summary.runLogId);
+  const earlier = alreadyRecorded ? history.slice(0, -1) : history;
+  const previous = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+  const shares = getSweepShares(logs);
+  const changes = diffComplianceSweeps(previous, shares);
+
+  lookUpSharers(changes.newShares, previous ? previous.endTime : null);
+
+  if (alreadyRecorded) {
+    console.log(`ℹ️ Compliance sweep ${summary.runId} is already in the history`);
+    return changes;
+  }
+
+  appendComplianceHistory({
+    runId: summary.runId,
+    endTime: summary.endTime,
+    runLogId: summary.runLogId,
+    targets: summary.targetEmails,
+    changes: {
+      newShares: changes.newShares.length,
+      removed: changes.removed.length,
+      cleared: changes.cleared.length,
+      stillOpen: changes.stillOpen.length
+    },
+    shares
+  });
+
+  return changes;
+}
+
+/**
+ * Every blocked-address permission this sweep found, with whether it was removed
+ */
+function getSweepShares(logs) {
+  const shares = [];
+
+  for (const log of logs) {
+    const base = {
+      fileId: log.id,
+      title: log.title,
+      fileType: log.fileType,
+      link: log.webViewLink,
+      targetEmail: log.targetEmail,
+      ownerEmail: log.ownerEmail || null
+    };
+
+    if (log.protected) {
+      shares.push({ ...base, address: log.targetEmail, role: log.targetPermissionRole, removed: false, outcome: 'Protected' });
+      continue;
+    }
+
+    for (const match of log.matches || []) {
+      shares.push({
+        ...base,
+        address: match.emailAddress,
+        role: match.role,
+        removed: !!(match.removed || match.downgraded),
+        outcome: match.removed ? 'Removed' : match.downgraded ? `Downgraded to ${match.newRole}` : (match.error || 'Not removed')
+      });
+    }
+  }
+
+  return shares;
+}
+
+function getShareKey(share) {
+  return `${share.fileId}|${normalizeAddress(share.address)}`;
+}
+
+/**
+ * What changed since the previous sweep:
+ * - newShares: found now but not left open last time (everything on the first sweep)
+ * - removed: removed by this sweep
+ * - cleared: left open last time, gone now without this sweep removing them
+ * - stillOpen: found again and still not removable
+ */
+function diffComplianceSweeps(previous, shares) {
+  const previouslyOpen = {};
+  for (const share of previous ? previous.shares.filter(share => !share.removed) : []) {
+    previouslyOpen[getShareKey(share)] = share;
+  }
+
+  const foundNow = {};
+  for (const share of shares) {
+    foundNow[getShareKey(share)] = true;
+  }
+
+  return {
+    firstSweep: !previous,
+    previousSweep: previous ? { runId: previous.runId, endTime: previous.endTime } : null,
+    newShares: shares.filter(share => !previouslyOpen[getShareKey(share)]),
+    removed: shares.filter(share => share.removed),
+    cleared: Object.values(previouslyOpen).filter(share => !foundNow[getShareKey(share)]),
+    stillOpen: shares.filter(share => !share.removed && previouslyOpen[getShareKey(share)])
+  };
+}
+
+// ==================== SHARERS ====================
+
+let sharerResolver = null;
+
+/**
+ * Replaces the lookup of who shared a file (for tests or custom audit logs)
+ */
+function setSharerResolver(resolver) {
+  sharerResolver = resolver;
+}
+
+function getSharerResolver() {
+  return sharerResolver || createDefaultSharerResolver();
+}
+
+/**
+ * Sets sharedBy on each new share - skipped on the first sweep, where
+ * everything counts as new
+ */
+function lookUpSharers(newShares, since) {
+  if (!since || !CONFIG.COMPLIANCE_LOOKUP_SHARERS) {
+    return;
+  }
+
+  const resolver = getSharerResolver();
+  newShares.forEach((share, index) => {
+    share.sharedBy = null;
+    if (index >= CONFIG.MAX_SHARER_LOOKUPS) {
+      return;
+    }
+
+    try {
+      share.sharedBy = resolver.findSharer(share.fileId, share.address, since);
+    } catch (error) {
+      console.warn(`⚠️ Could not look up who shared "${share.title}" with ${share.address}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Default resolver: the Drive Activity API (Services > Drive Activity API)
+ * finds the permission change, and the People API (Services > People API)
+ * turns the person who made it into an address. Without them sharers are
+ * reported as unknown
+ */
+function createDefaultSharerResolver() {
+  const personEmails = {};
+
+  const getPersonEmail = knownUser => {
+    if (!knownUser) return null;
+    if (knownUser.isCurrentUser) return Session.getActiveUser().getEmail();
+    if (typeof People === 'undefined') return null;
+
+    if (!(knownUser.personName in personEmails)) {
+      try {
+        const person = People.People.get(knownUser.personName, { personFields: 'emailAddresses' });
+        personEmails[knownUser.personName] = person.emailAddresses && person.emailAddresses.length > 0
+          ? person.emailAddresses[0].value
+          : null;
+      } catch (error) {
+        personEmails[knownUser.personName] = null;
+      }
+    }
+    return personEmails[knownUser.personName];
+  };
+
+  const getAddedAddress = permission => {
+    if (permission.group) return permission.group.email;
+    if (permission.domain) return `@${permission.domain.name}`;
+    return permission.user ? getPersonEmail(permission.user.knownUser) : null;
+  };
+
+  return {
+    findSharer(fileId, address, since) {
+      if (typeof DriveActivity === 'undefined') {
+        return null;
+      }
+
+      const response = DriveActivity.Activity.query({
+        itemName: `items/${fileId}`,
+        filter: `time > "${since}" AND detail.action_detail_case:PERMISSION_CHANGE`
+      });
+
+      // Newest first - the last time the address was added is the one that counts
+      for (const activity of response.activities || []) {
+        const change = activity.primaryActionDetail.permissionChange;
+        const added = change && (change.addedPermissions || []).some(permission => {
+          const addedAddress = getAddedAddress(permission);
+          return isSameAddress(addedAddress, address);
+        });
+
+        if (added) {
+          const actor = (activity.actors || []).find(candidate => candidate.user);
+          return actor ? getPersonEmail(actor.user.knownUser) : null;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+// ==================== REPORTING ====================
+
+/**
+ * Emails what changed since the previous sweep. Sweeps where nothing changed
+ * only go to the history unless CONFIG.COMPLIANCE_EMAIL_WHEN_UNCHANGED is on
+ */
+function sendComplianceSweepEmail(summary, attachments = []) {
+  const changes = summary.compliance;
+  const changed = changes.newShares.length + changes.removed.length + changes.cleared.length > 0;
+
+  if (!changed && !CONFIG.COMPLIANCE_EMAIL_WHEN_UNCHANGED) {
+    console.log('🛡️ Compliance sweep found nothing new - recorded in the history, no email sent');
+    return;
+  }
+
+  const currentUser = Session.getActiveUser().getEmail();
+  const since = changes.previousSweep
+    ? `since the sweep of ${new Date(changes.previousSweep.endTime).toLocaleString()}`
+    : 'on the first sweep - everything found counts as new';
+
+  let emailBody = `
+<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+
+<h2 style="color: #1a73e8;">🛡️ Compliance Sweep - ${changed ? 'Changes Found' : 'Nothing New'}</h2>
+<p style="color: #5f6368;"><strong>Blocked addresses:</strong> ${summary.targetEmails.join(', ')}<br>
+<strong>Scope:</strong> ${describeScope(summary.scope)}</p>
+${describeReportExports(summary, attachments)}
+
+<div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+<h3 style="margin-top: 0;">📊 Changes ${since}</h3>
+<table style="width: 100%; border-collapse: collapse;">
+<tr><td style="padding: 8px; border-bottom: 1px solid #dadce0;"><strong>New shares found</strong></td><td style="padding: 8px; border-bottom: 1px solid #dadce0;">${changes.newShares.length}</td></tr>
+<tr><td style="padding: 8px; border-bottom: 1px solid #dadce0;"><strong>Removed by this sweep</strong></td><td style="padding: 8px; border-bottom: 1px solid #dadce0;">${changes.removed.length}</td></tr>
+<tr><td style="padding: 8px; border-bottom: 1px solid #dadce0;"><strong>Cleared by someone else</strong></td><td style="padding: 8px; border-bottom: 1px solid #dadce0;">${changes.cleared.length}</td></tr>
+<tr><td style="padding: 8px;"><strong>Still open from earlier sweeps</strong></td><td style="padding: 8px;">${changes.stillOpen.length}</td></tr>
+</table>
+</div>
+`;
+
+  emailBody += describeComplianceShares('🆕 New Shares', changes.newShares, share =>
+    `${share.outcome}${share.sharedBy !== undefined ? ` • Shared by ${share.sharedBy || 'unknown'}` : ''}`);
+  emailBody += describeComplianceShares('🗑️ Removed', changes.removed, share => share.outcome);
+  emailBody += describeComplianceShares('✅ Cleared Since the Last Sweep', changes.cleared, () => 'No longer shared');
+
+  emailBody += `
+<hr style="margin: 30px 0; border: none; border-top: 1px solid #dadce0;">
+<p style="color: #5f6368; font-size: 14px;">
+Sweep completed at ${new Date(summary.endTime).toLocaleString()}${summary.runId ? ` • Run ID: ${summary.runId}` : ''}<br>
+${changes.removed.length > 0 ? `Undo with <code>restorePermissions('${summary.runId}')</code><br>` : ''}
+${summary.runLogId ? `Every file's result: <a href="${getDataFileUrl(summary.runLogId)}" target="_blank">full run log</a> • ` : ''}Run <code>showComplianceHistory()</code> for earlier sweeps
+</p>
+
+</div>
+`;
+
+  MailApp.sendEmail({
+    to: currentUser,
+    subject: `🛡️ Compliance Sweep - ${changes.newShares.length} new share(s), ${changes.removed.length} removed${changes.stillOpen.length ? ` (${changes.stillOpen.length} still open)` : ''}`,
+    htmlBody: emailBody,
+    attachments
+  });
+
+  console.log('📧 Compliance sweep report sent to', currentUser);
+}
+
+function describeComplianceShares(title, shares, describe) {
+  if (shares.length === 0) {
+    return '';
+  }
+
+  let html = `<h3>${title} (${shares.length})</h3><ul>`;
+  for (const share of shares) {
+    html += `
+<li style="margin-bottom: 8px;">
+  <strong><a href="${share.link}" target="_blank" style="color: #1a73e8; text-decoration: none;">${share.title}</a></strong>
+  <br><span style="color: #5f6368; font-size: 14px;">${share.address} (${share.role}) • ${describe(share)}${share.ownerEmail ? ` • Owner: ${share.ownerEmail}` : ''}</span>
+</li>`;
+  }
+  return html + '</ul>';
+}
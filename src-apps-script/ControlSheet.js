@@ -0,0 +1,378 @@
+/**
+ * Control sheet for Google Drive Email Access Remover
+ *
+ * Lets non-developers queue departures in a Google Sheet instead of editing
+ * TARGET_EMAILS. Each row is a target (email, action, effective date, notes);
+ * the script writes the row's status and counts back as the run progresses.
+ *
+ * SETUP:
+ * 1. Run createControlSheet() once (or setControlSheet(id) for an existing one)
+ * 2. Add rows to the "Targets" tab
+ * 3. Run startCleanupFromSheet()
+ */
+
+// ==================== SHEET LAYOUT ====================
+
+const CONTROL_SHEET = {
+  TARGETS: {
+    NAME: 'Targets',
+    COLUMNS: {
+      EMAIL: 'Email',
+      ACTION: 'Action',
+      EFFECTIVE_DATE: 'Effective Date',
+      NOTES: 'Notes',
+      STATUS: 'Status',
+      FILES_FOUND: 'Files Found',
+      REMOVED: 'Removed',
+      NEEDS_REVIEW: 'Needs Review',
+      LAST_RUN: 'Last Run',
+      MESSAGE: 'Message'
+    }
+  },
+  OPTIONS: {
+    NAME: 'Options',
+    DRY_RUN: 'Dry Run'
+  }
+};
+
+const TARGET_ACTIONS = {
+  REMOVE: 'Remove',  // Default when the cell is empty
+  DOWNGRADE_TO_READER: 'Downgrade to Reader',
+  DOWNGRADE_TO_COMMENTER: 'Downgrade to Commenter',
+  HOLD: 'Hold'       // Keep the row but don't process it yet
+};
+
+const TARGET_STATUSES = {
+  QUEUED: 'Queued',
+  NOT_STARTED: 'Not Started',  // The run for the row couldn't start - the message says why
+  RUNNING: 'Running',
+  DONE: 'Done',
+  NEEDS_REVIEW: 'Needs Review',
+  PREVIEWED: 'Previewed',
+  INVALID: 'Invalid'
+};
+
+const TARGET_SOURCES = {
+  SHEET: 'sheet',
+  COMPLIANCE: 'compliance'  // Blocked list of the compliance sweeps (see Compliance.js)
+};
+
+// ==================== SETUP ====================
+
+/**
+ * Creates a control spreadsheet with the expected tabs and headers
+ */
+function createControlSheet() {
+  const spreadsheet = SpreadsheetApp.create('Drive Access Remover - Control Sheet');
+
+  const targetsSheet = spreadsheet.getSheets()[0];
+  targetsSheet.setName(CONTROL_SHEET.TARGETS.NAME);
+  const headers = Object.values(CONTROL_SHEET.TARGETS.COLUMNS);
+  targetsSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  targetsSheet.setFrozenRows(1);
+
+  const actionColumn = headers.indexOf(CONTROL_SHEET.TARGETS.COLUMNS.ACTION) + 1;
+  targetsSheet.getRange(2, actionColumn, targetsSheet.getMaxRows() - 1, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation()
+      .requireValueInList(Object.values(TARGET_ACTIONS), true)
+      .setAllowInvalid(false)
+      .build()
+  );
+
+  const optionsSheet = spreadsheet.insertSheet(CONTROL_SHEET.OPTIONS.NAME);
+  optionsSheet.getRange(1, 1, 2, 2).setValues([
+    ['Option', 'Value'],
+    [CONTROL_SHEET.OPTIONS.DRY_RUN, false]
+  ]);
+  optionsSheet.getRange(1, 1, 1, 2).setFontWeight('bold');
+  optionsSheet.getRange(2, 2).insertCheckboxes();
+
+  setControlSheet(spreadsheet.getId());
+  console.log(`📄 Control sheet created: ${spreadsheet.getUrl()}`);
+  return spreadsheet.getUrl();
+}
+
+/**
+ * Points the script at an existing control spreadsheet
+ */
+function setControlSheet(spreadsheetId) {
+  PropertiesService.getScriptProperties().setProperty(SETTINGS_KEYS.CONTROL_SHEET_ID, spreadsheetId);
+  console.log(`✅ Control sheet set to ${spreadsheetId}`);
+}
+
+function getControlSpreadsheet() {
+  const spreadsheetId = PropertiesService.getScriptProperties().getProperty(SETTINGS_KEYS.CONTROL_SHEET_ID);
+  if (!spreadsheetId) {
+    throw new Error('No control sheet configured - run createControlSheet() or setControlSheet(id) first');
+  }
+  return SpreadsheetApp.openById(spreadsheetId);
+}
+
+// ==================== READING ====================
+
+/**
+ * Reads the Targets tab into row objects; rowNumber is the 1-based sheet row
+ */
+function readControlSheetTargets(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONTROL_SHEET.TARGETS.NAME);
+  if (!sheet) {
+    throw new Error(`Control sheet has no "${CONTROL_SHEET.TARGETS.NAME}" tab`);
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const columnIndex = getControlSheetColumnIndex(values[0]);
+  const columns = CONTROL_SHEET.TARGETS.COLUMNS;
+
+  return {
+    sheet,
+    columnIndex,
+    rows: values.slice(1).map((row, i) => ({
+      rowNumber: i + 2,
+      email: String(row[columnIndex[columns.EMAIL]] || '').trim(),
+      action: String(row[columnIndex[columns.ACTION]] || '').trim() || TARGET_ACTIONS.REMOVE,
+      effectiveDate: row[columnIndex[columns.EFFECTIVE_DATE]] || null,
+      notes: row[columnIndex[columns.NOTES]] || '',
+      status: String(row[columnIndex[columns.STATUS]] || '').trim()
+    }))
+  };
+}
+
+/**
+ * Maps header names to column indexes, failing on missing headers
+ */
+function getControlSheetColumnIndex(headerRow) {
+  const columnIndex = {};
+  const headers = headerRow.map(header => String(header).trim());
+
+  for (const name of Object.values(CONTROL_SHEET.TARGETS.COLUMNS)) {
+    const index = headers.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Control sheet is missing the "${name}" column`);
+    }
+    columnIndex[name] = index;
+  }
+
+  return columnIndex;
+}
+
+/**
+ * Reads the Options tab into run options
+ */
+function readControlSheetOptions(spreadsheet) {
+  const options = { dryRun: false };
+  const sheet = spreadsheet.getSheetByName(CONTROL_SHEET.OPTIONS.NAME);
+  if (!sheet) {
+    return options;
+  }
+
+  for (const [name, value] of sheet.getDataRange().getValues().slice(1)) {
+    if (String(name).trim() === CONTROL_SHEET.OPTIONS.DRY_RUN) {
+      options.dryRun = value === true || String(value).trim().toLowerCase() === 'true';
+    }
+  }
+
+  return options;
+}
+
+/**
+ * A row is due once its effective date has arrived (or it has none)
+ */
+function isTargetRowDue(row, now) {
+  if (!row.effectiveDate) {
+    return true;
+  }
+
+  const effectiveDate = new Date(row.effectiveDate);
+  if (isNaN(effectiveDate.getTime())) {
+    return true;  // Reported as invalid by validation
+  }
+
+  effectiveDate.setHours(0, 0, 0, 0);
+  return effectiveDate.getTime() <= now.getTime();
+}
+
+/**
+ * Validates one row, returning an inline error message or null
+ */
+function getTargetRowError(row, currentUserEmail, seenEmails) {
+  const emailError = getTargetEmailError(row.email, currentUserEmail);
+  if (emailError) {
+    return emailError;
+  }
+
+  if (!Object.values(TARGET_ACTIONS).includes(row.action)) {
+    return `Unknown action "${row.action}" - use one of: ${Object.values(TARGET_ACTIONS).join(', ')}`;
+  }
+
+  if (row.effectiveDate && isNaN(new Date(row.effectiveDate).getTime())) {
+    return 'Effective date is not a valid date';
+  }
+
+  if (seenEmails[row.email]) {
+    return `Duplicate of row ${seenEmails[row.email]}`;
+  }
+
+  return null;
+}
+
+// ==================== RUNNING ====================
+
+/**
+ * Start a cleanup for every due row in the control sheet
+ * Rows already Done or Needs Review are left alone - clear their status to
+ * process them again.
+ */
+function startCleanupFromSheet() {
+  console.log('🚀 Starting Google Drive Email Access Remover v1.0 (from control sheet)');
+
+  if (isProcessRunning()) {
+    console.log('⚠️ Process is already running. Use checkStatus() to monitor progress.');
+    return false;
+  }
+
+  const spreadsheet = getControlSpreadsheet();
+  const { sheet, columnIndex, rows } = readControlSheetTargets(spreadsheet);
+  const options = readControlSheetOptions(spreadsheet);
+  const currentUserEmail = Session.getActiveUser().getEmail();
+  const now = new Date();
+  const columns = CONTROL_SHEET.TARGETS.COLUMNS;
+
+  const seenEmails = {};
+  const targetEmails = [];
+  const updates = [];
+  const dueRowNumbers = [];
+
+  for (const row of rows) {
+    if (!row.email && !row.notes) continue;  // Blank row
+    if (row.status === TARGET_STATUSES.DONE || row.status === TARGET_STATUSES.NEEDS_REVIEW) continue;
+    if (row.action === TARGET_ACTIONS.HOLD) continue;
+
+    const error = getTargetRowError(row, currentUserEmail, seenEmails);
+    if (error) {
+      updates.push({ rowNumber: row.rowNumber, status: TARGET_STATUSES.INVALID, message: error });
+      console.error(`❌ Row ${row.rowNumber} (${row.email || 'no email'}): ${error}`);
+      continue;
+    }
+
+    seenEmails[row.email] = row.rowNumber;
+
+    if (!isTargetRowDue(row, now)) {
+      updates.push({ rowNumber: row.rowNumber, status: '', message: 'Waiting for effective date' });
+      continue;
+    }
+
+    targetEmails.push({ email: row.email, action: getTargetRowPermissionAction(row) });
+    dueRowNumbers.push(row.rowNumber);
+  }
+
+  let started = false;
+  if (targetEmails.length > 0) {
+    // The first batch runs from a trigger, after the due rows are marked Queued
+    const mode = options.dryRun ? RUN_MODES.DRY_RUN : RUN_MODES.CLEANUP;
+    started = startRun(mode, targetEmails, { [STATE_KEYS.TARGET_SOURCE]: TARGET_SOURCES.SHEET }, false);
+    for (const rowNumber of dueRowNumbers) {
+      updates.push(started
+        ? { rowNumber, status: TARGET_STATUSES.QUEUED, message: options.dryRun ? 'Queued for preview' : 'Queued' }
+        : { rowNumber, status: TARGET_STATUSES.NOT_STARTED, message: startRunError || 'The run could not be started - see the execution log' });
+    }
+  }
+
+  for (const update of updates) {
+    sheet.getRange(update.rowNumber, columnIndex[columns.STATUS] + 1).setValue(update.status);
+    sheet.getRange(update.rowNumber, columnIndex[columns.MESSAGE] + 1).setValue(update.message);
+  }
+
+  if (targetEmails.length === 0) {
+    console.log('ℹ️ No rows are due for processing in the control sheet');
+  }
+  return started;
+}
+
+/**
+ * How a row's sheet action is applied to the target's permissions
+ */
+function getTargetRowPermissionAction(row) {
+  switch (row.action) {
+    case TARGET_ACTIONS.DOWNGRADE_TO_READER:
+      return PERMISSION_ACTIONS.DOWNGRADE_TO_READER;
+    case TARGET_ACTIONS.DOWNGRADE_TO_COMMENTER:
+      return PERMISSION_ACTIONS.DOWNGRADE_TO_COMMENTER;
+    default:
+      return PERMISSION_ACTIONS.REMOVE;
+  }
+}
+
+function isSheetRun() {
+  return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.TARGET_SOURCE) === TARGET_SOURCES.SHEET;
+}
+
+/**
+ * Writes values to the row of a target email, matching on the Email column
+ * Sheet problems are logged but never stop the cleanup itself
+ */
+function writeControlSheetRow(email, valuesByColumn) {
+  try {
+    const { sheet, columnIndex, rows } = readControlSheetTargets(getControlSpreadsheet());
+    const row = rows.find(r => r.email === email &&
+      r.status !== TARGET_STATUSES.DONE && r.status !== TARGET_STATUSES.INVALID);
+    if (!row) {
+      return;
+    }
+
+    for (const [column, value] of Object.entries(valuesByColumn)) {
+      sheet.getRange(row.rowNumber, columnIndex[column] + 1).setValue(value);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not update control sheet for ${email}: ${error.message}`);
+  }
+}
+
+function markControlSheetTargetRunning(email) {
+  if (!isSheetRun()) {
+    return;
+  }
+
+  const columns = CONTROL_SHEET.TARGETS.COLUMNS;
+  writeControlSheetRow(email, {
+    [columns.STATUS]: TARGET_STATUSES.RUNNING,
+    [columns.MESSAGE]: `Started ${new Date().toLocaleString()}`
+  });
+}
+
+/**
+ * Writes each target's final status and counts back after a run
+ */
+function updateControlSheetResults(summary) {
+  if (!isSheetRun()) {
+    return;
+  }
+
+  const columns = CONTROL_SHEET.TARGETS.COLUMNS;
+
+  for (const [email, stats] of Object.entries(summary.byEmail)) {
+    let status = TARGET_STATUSES.DONE;
+    let message = `Run ${summary.runId}`;
+
+    if (summary.dryRun) {
+      status = TARGET_STATUSES.PREVIEWED;
+      message = `Preview only - ${stats.removals} would be removed${stats.downgrades ? `, ${stats.downgrades} downgraded` : ''} (plan ${summary.planId})`;
+    } else if (stats.foundButCantRemove > 0 || stats.errors > 0) {
+      status = TARGET_STATUSES.NEEDS_REVIEW;
+      message = `${stats.foundButCantRemove} need manual review, ${stats.errors} error(s) - see summary email`;
+    } else if (stats.pendingTransfers > 0) {
+      status = TARGET_STATUSES.NEEDS_REVIEW;
+      message = `${stats.pendingTransfers} ownership transfer(s) waiting to be accepted - run again once accepted`;
+    } else if (stats.downgrades > 0) {
+      message = `Run ${summary.runId} - ${stats.downgrades} downgraded`;
+    }
+
+    writeControlSheetRow(email, {
+      [columns.STATUS]: status,
+      [columns.FILES_FOUND]: stats.filesFound,
+      [columns.REMOVED]: stats.removals,
+      [columns.NEEDS_REVIEW]: stats.foundButCantRemove,
+      [columns.LAST_RUN]: new Date(summary.endTime),
+      [columns.MESSAGE]: message
+    });
+  }
+}
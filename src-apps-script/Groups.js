@@ -0,0 +1,143 @@
+/**
+ * Google Groups support for Google Drive Email Access Remover
+ *
+ * A departed person keeps access to every file shared with a group they are
+ * still in. For individual targets the run looks up their groups, searches
+ * for files shared with those groups too, and reports where access remains
+ * through a group so the membership can be revoked. Groups whose membership
+ * can't be checked are listed on their own and not counted as access.
+ *
+ * Membership lookups go through a resolver so they can be replaced:
+ *   setGroupResolver({
+ *     getGroupsForUser(email) { return ['team@company.com']; },  // or null if unknown
+ *     isMember(groupEmail, email) { return true; }                // true, false or null if unknown
+ *   });
+ */
+
+// ==================== RESOLVER ====================
+
+let groupResolver = null;
+let groupMembershipCache = {};
+
+/**
+ * Replaces the group membership lookup (for tests or custom directories)
+ */
+function setGroupResolver(resolver) {
+  groupResolver = resolver;
+  groupMembershipCache = {};
+}
+
+function getGroupResolver() {
+  return groupResolver || createDefaultGroupResolver();
+}
+
+/**
+ * Default resolver: the Admin SDK Directory service when it is enabled
+ * (Services > Admin SDK API), otherwise GroupsApp, which can only check
+ * membership of groups whose members the running user can see
+ */
+function createDefaultGroupResolver() {
+  return {
+    getGroupsForUser(email) {
+      if (typeof AdminDirectory === 'undefined') {
+        return null;
+      }
+
+      const groups = [];
+      let pageToken;
+      do {
+        const response = AdminDirectory.Groups.list({ userKey: email, pageToken });
+        (response.groups || []).forEach(group => groups.push(group.email));
+        pageToken = response.nextPageToken;
+      } while (pageToken);
+
+      return groups;
+    },
+
+    isMember(groupEmail, email) {
+      try {
+        return GroupsApp.getGroupByEmail(groupEmail).hasUser(email);
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Groups the target belongs to, resolved once per run and kept in run state
+ */
+function getTargetGroups(email) {
+  const properties = PropertiesService.getScriptProperties();
+  let targetGroups = {};
+
+  try {
+    targetGroups = JSON.parse(properties.getProperty(STATE_KEYS.TARGET_GROUPS) || '{}');
+  } catch (error) {
+    console.warn('⚠️ Could not parse target groups, resolving again');
+  }
+
+  if (!targetGroups[email]) {
+    let groups = null;
+    try {
+      groups = getGroupResolver().getGroupsForUser(email);
+    } catch (error) {
+      console.warn(`⚠️ Could not look up groups for ${email}: ${error.message}`);
+    }
+
+    targetGroups[email] = groups || [];
+    properties.setProperty(STATE_KEYS.TARGET_GROUPS, JSON.stringify(targetGroups));
+
+    if (groups && groups.length > 0) {
+      console.log(`👥 ${email} is a member of ${groups.length} group(s): ${groups.join(', ')}`);
+    }
+  }
+
+  return targetGroups[email];
+}
+
+/**
+ * Whether email is in groupEmail: true, false, or null if it can't be checked
+ */
+function isGroupMember(groupEmail, email, knownGroups) {
+  if (knownGroups.includes(groupEmail)) {
+    return true;
+  }
+
+  const cacheKey = `${groupEmail}|${email}`;
+  if (!(cacheKey in groupMembershipCache)) {
+    let isMember = null;
+    try {
+      isMember = getGroupResolver().isMember(groupEmail, email);
+    } catch (error) {
+      console.warn(`⚠️ Could not check membership of ${groupEmail}: ${error.message}`);
+    }
+    groupMembershipCache[cacheKey] = isMember;
+  }
+
+  return groupMembershipCache[cacheKey];
+}
+
+/**
+ * Group permissions on a file that give the target access - only groups
+ * the target is known to be in
+ */
+function findGroupAccess(permissions, email, knownGroups) {
+  return findGroupPermissions(permissions, email, knownGroups, true);
+}
+
+/**
+ * Group permissions on a file whose membership couldn't be checked
+ */
+function findUnverifiedGroups(permissions, email, knownGroups) {
+  return findGroupPermissions(permissions, email, knownGroups, null);
+}
+
+function findGroupPermissions(permissions, email, knownGroups, membership) {
+  return permissions
+    .filter(permission => permission.type === 'group' && permission.emailAddress && !isSameAddress(permission.emailAddress, email))
+    .filter(permission => isGroupMember(permission.emailAddress, email, knownGroups) === membership)
+    .map(permission => ({ groupEmail: permission.emailAddress, role: permission.role }));
+}
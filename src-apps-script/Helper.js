@@ -24,7 +24,7 @@ function testEdgeCaseDetection() {
     return { success: false, error: 'No target emails configured' };
   }
   
-  const testEmail = TARGET_EMAILS[0];
+  const testEmail = getConfiguredTargets()[0];
   console.log(`🔍 EDGE CASE TEST: Searching for ALL files where ${testEmail} appears in ANY role`);
   console.log(`🧪 This test uses advanced search parameters to find files that might be missed`);
   
@@ -187,7 +187,7 @@ function testEmailSearch() {
     return { success: false, error: 'No target emails configured' };
   }
   
-  const testEmail = TARGET_EMAILS[0];
+  const testEmail = getConfiguredTargets()[0];
   console.log(`🧪 Testing search for files shared with: ${testEmail}`);
   
   try {
@@ -258,7 +258,7 @@ function runDiagnostics() {
   // Test 2: Email Configuration
   console.log('2️⃣ Checking email configuration...');
   if (TARGET_EMAILS.length > 0) {
-    console.log(`✅ Found ${TARGET_EMAILS.length} target email(s): ${TARGET_EMAILS.join(', ')}`);
+    console.log(`✅ Found ${TARGET_EMAILS.length} target email(s): ${getConfiguredTargets().join(', ')}`);
     results.emailsConfigured = true;
   } else {
     console.log('❌ No target emails configured');
@@ -334,20 +334,48 @@ function testForEdgeCases() {
 
 /**
  * Generate comprehensive summary of the cleanup process
+ * runInfo (see getRunInfo) identifies the run; in a dry run "removals"
+ * and "downgrades" are the changes that would be made
  */
-function generateSummary(logs, totalFiles, startTimeStr) {
+function generateSummary(logs, totalFiles, startTimeStr, runInfo = {}) {
+  const targetEmails = runInfo.targetEmails || getConfiguredTargets();
   const summary = {
     totalFiles,
     startTime: startTimeStr,
     endTime: new Date().toISOString(),
-    targetEmails: TARGET_EMAILS,
+    runId: runInfo.runId || null,
+    mode: runInfo.mode || RUN_MODES.CLEANUP,
+    dryRun: runInfo.mode === RUN_MODES.DRY_RUN,
+    planId: runInfo.planId || null,
+    runLogId: runInfo.runLogId || null,
+    scope: runInfo.scope || null,
+    retries: runInfo.retries || { calls: 0, batches: 0 },  // Rate limits and transient Drive errors retried
+    verification: runInfo.verification ? summarizeVerification(runInfo.verification, logs) : null,
+    outreach: null,  // Owner outreach results, set by completeProcess() (see Outreach.js)
+    targetEmails,
     byEmail: {},
     byFileType: {},
     totalRemovals: 0,
+    totalDowngrades: 0,
+    totalUnchanged: 0,  // Downgrade targets already at or below the new role
+    totalTransfers: 0,
+    totalPendingTransfers: 0,
+    totalMemberAccess: 0,      // Shared drive files reached only through drive membership
+    totalSharedDriveFiles: 0,  // Shared drive files with file-level sharing of their own
+    totalCoveredByFolder: 0,   // Files whose inherited access was removed at the folder instead
     totalErrors: 0,
     totalSkipped: 0,
+    totalProtected: 0,
     totalFoundButCantRemove: 0,
     filesNeedingManualReview: [],
+    downgrades: [],
+    transfers: [],         // Files handed from the target to their successor
+    pendingTransfers: [],  // Transfers waiting for the successor to accept
+    sharedDriveMemberships: [],
+    protectedFiles: [],    // Files on the protected list that were left as is
+    folderRemovals: collectFolderRemovals(logs),  // Folders inherited access was removed from (see Inheritance.js)
+    groupAccess: [],  // Files the targets can still reach through a group
+    unverifiedGroups: [],  // Groups on the targets' files whose membership couldn't be checked
     accessStats: {
       noAccess: 0,
       viewerAccess: 0,
@@ -357,14 +385,26 @@ function generateSummary(logs, totalFiles, startTimeStr) {
   };
   
   // Initialize email tracking
-  TARGET_EMAILS.forEach(email => {
+  targetEmails.forEach(email => {
     summary.byEmail[email] = {
       filesFound: 0,
       removals: 0,
+      downgrades: 0,
+      downgradedFiles: [],
+      unchanged: 0,
+      transfers: 0,
+      pendingTransfers: 0,
+      memberships: 0,
+      memberAccess: 0,
       errors: 0,
       skipped: 0,
+      protected: 0,
       foundButCantRemove: 0,
-      needsManualReview: []
+      needsManualReview: [],
+      discovered: {},  // Results per address matched - found under a domain, or an alias of the target
+      pendingOwnerships: 0,
+      coveredByFolder: 0,
+      groupAccess: 0
     };
   });
   
@@ -378,8 +418,10 @@ function generateSummary(logs, totalFiles, startTimeStr) {
       summary.byFileType[fileType] = {
         processed: 0,
         removed: 0,
+        downgraded: 0,
         errors: 0,
         skipped: 0,
+        protected: 0,
         foundButCantRemove: 0,
         files: []
       };
@@ -391,15 +433,112 @@ function generateSummary(logs, totalFiles, startTimeStr) {
     // Email stats
     if (summary.byEmail[email]) {
       summary.byEmail[email].filesFound++;
+      
+      if (parseTarget(email).kind !== TARGET_KINDS.PUBLIC) {
+        countDiscoveredAddresses(summary.byEmail[email].discovered, log.matches || []);
+      }
+      summary.byEmail[email].pendingOwnerships += (log.matches || [])
+        .filter(match => match.pendingOwner && (match.removed || match.wouldRemove)).length;
+    }
+    
+    // Access that remains through group membership
+    for (const access of log.groupAccess || []) {
+      summary.groupAccess.push({
+        title: log.title,
+        email: log.targetEmail,
+        groupEmail: access.groupEmail,
+        role: access.role,
+        link: log.webViewLink
+      });
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].groupAccess++;
+      }
+    }
+    for (const group of log.unverifiedGroups || []) {
+      addUnverifiedGroup(summary.unverifiedGroups, log.targetEmail, group.groupEmail);
+    }
+    
+    // Drive-level membership versus sharing on files inside a shared drive
+    if (isSharedDrive(log)) {
+      for (const match of log.matches || []) {
+        summary.sharedDriveMemberships.push({
+          driveName: log.title,
+          email: log.targetEmail,
+          member: match.emailAddress,
+          role: match.role,
+          outcome: describeMembershipChange(match),
+          link: log.webViewLink
+        });
+      }
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].memberships++;
+      }
+    } else if (log.driveId && !log.memberAccess) {
+      summary.totalSharedDriveFiles++;
+    }
+    
+    // Ownership transfers come on top of the removal that follows them
+    if (log.transferred || log.wouldTransfer || log.pendingTransfer) {
+      const transfer = {
+        title: log.title,
+        email: log.targetEmail,
+        fileType: log.fileType,
+        transferTo: log.transferTo,
+        link: log.webViewLink
+      };
+      
+      const key = log.pendingTransfer ? 'pendingTransfers' : 'transfers';
+      summary[key].push(transfer);
+      summary[log.pendingTransfer ? 'totalPendingTransfers' : 'totalTransfers']++;
+      if (summary.byEmail[email]) {
+        summary.byEmail[email][key]++;
+      }
     }
     
     // Count outcomes
-    if (log.removed) {
+    if (log.protected) {
+      typeStats.protected++;
+      summary.totalProtected++;
+      summary.protectedFiles.push({
+        title: log.title,
+        email: log.targetEmail,
+        fileType: log.fileType,
+        role: log.targetPermissionRole,
+        reason: log.protectionReason,
+        link: log.webViewLink
+      });
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].protected++;
+      }
+    } else if (log.coveredByFolder) {
+      summary.totalCoveredByFolder++;
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].coveredByFolder++;
+      }
+    } else if (log.removed || log.wouldRemove) {
       typeStats.removed++;
       summary.totalRemovals++;
       if (summary.byEmail[email]) {
         summary.byEmail[email].removals++;
       }
+    } else if (log.downgraded || log.wouldDowngrade) {
+      const change = (log.matches || []).find(m => m.downgraded || m.wouldDowngrade) || {};
+      const downgrade = {
+        title: log.title,
+        email: log.targetEmail,
+        fileType: log.fileType,
+        fromRole: change.previousRole,
+        toRole: change.newRole,
+        link: log.webViewLink
+      };
+      
+      typeStats.downgraded++;
+      summary.totalDowngrades++;
+      summary.downgrades.push(downgrade);
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].downgrades++;
+        summary.byEmail[email].downgradedFiles.push(downgrade);
+      }
     } else if (log.foundButCantRemove) {
       typeStats.foundButCantRemove++;
       summary.totalFoundButCantRemove++;
@@ -431,22 +570,39 @@ function generateSummary(logs, totalFiles, startTimeStr) {
       if (summary.byEmail[email]) {
         summary.byEmail[email].errors++;
       }
+    } else if (log.memberAccess) {
+      summary.totalMemberAccess++;
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].memberAccess++;
+      }
     } else if (log.skipped) {
       typeStats.skipped++;
       summary.totalSkipped++;
       if (summary.byEmail[email]) {
         summary.byEmail[email].skipped++;
       }
+    } else if (log.unchanged) {
+      summary.totalUnchanged++;
+      if (summary.byEmail[email]) {
+        summary.byEmail[email].unchanged++;
+      }
     }
     
     // Add to file list if action taken
-    if (log.removed || log.error || log.skipped || log.foundButCantRemove) {
+    if ((log.removed || log.wouldRemove || log.downgraded || log.wouldDowngrade ||
+        log.error || log.skipped || log.foundButCantRemove || log.protected) && !log.memberAccess) {
+      const change = (log.matches || []).find(m => m.downgraded || m.wouldDowngrade) || {};
       typeStats.files.push({
         title: log.title,
         email: log.targetEmail,
         removed: log.removed,
+        wouldRemove: log.wouldRemove,
+        downgraded: log.downgraded || log.wouldDowngrade,
+        fromRole: change.previousRole,
+        toRole: change.newRole,
         error: log.error,
         skipped: log.skipped,
+        protected: log.protected,
         foundButCantRemove: log.foundButCantRemove,
         role: log.targetPermissionRole,
         link: log.webViewLink
@@ -457,26 +613,99 @@ function generateSummary(logs, totalFiles, startTimeStr) {
   return summary;
 }
 
+function describeFolderRemoval(folder) {
+  if (folder.removed) return 'Removed from folder';
+  if (folder.wouldRemove) return 'Would be removed from folder';
+  return `Not changed - ${folder.error}`;
+}
+
+function describeMembershipChange(match) {
+  if (match.removed) return 'Removed from drive';
+  if (match.wouldRemove) return 'Would be removed from drive';
+  if (match.downgraded) return `Downgraded to ${match.newRole}`;
+  if (match.wouldDowngrade) return `Would be downgraded to ${match.newRole}`;
+  if (match.unchanged) return 'Unchanged';
+  return `Not changed - ${match.error || match.skipReason || 'unknown error'}`;
+}
+
+/**
+ * Counts the files of each group whose membership couldn't be checked
+ */
+function addUnverifiedGroup(unverifiedGroups, email, groupEmail) {
+  let group = unverifiedGroups.find(candidate => candidate.email === email && candidate.groupEmail === groupEmail);
+  if (!group) {
+    group = { email, groupEmail, files: 0 };
+    unverifiedGroups.push(group);
+  }
+  group.files++;
+}
+
+/**
+ * Tallies the individual addresses matched for a target - the addresses found
+ * under a domain, or the spellings and aliases an address was shared as
+ */
+function countDiscoveredAddresses(discovered, matches) {
+  for (const match of matches) {
+    if (!discovered[match.emailAddress]) {
+      discovered[match.emailAddress] = { filesFound: 0, removals: 0, foundButCantRemove: 0, errors: 0, matchedAlias: match.matchedAlias || null };
+    }
+    
+    const stats = discovered[match.emailAddress];
+    stats.filesFound++;
+    if (match.removed || match.wouldRemove) stats.removals++;
+    else if (match.foundButCantRemove) stats.foundButCantRemove++;
+    else if (match.error) stats.errors++;
+  }
+}
+
 /**
  * Send detailed summary email to user
  */
-function sendSummaryEmail(summary) {
+function sendSummaryEmail(summary, attachments = []) {
   const currentUser = Session.getActiveUser().getEmail();
   const duration = Math.round((new Date(summary.endTime) - new Date(summary.startTime)) / 1000 / 60);
+  const removedLabel = summary.dryRun ? 'Would Remove' : 'Successful Removals';
   
   let emailBody = `
 <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
 
-<h2 style="color: #1a73e8;">🚀 Drive Email Cleanup - Process Complete!</h2>
+<h2 style="color: #1a73e8;">${summary.dryRun ? '🔍 Drive Email Cleanup - Preview (No Changes Made)' : '🚀 Drive Email Cleanup - Process Complete!'}</h2>
+<p style="color: #5f6368;"><strong>Scope:</strong> ${describeScope(summary.scope)}</p>
+${describeReportExports(summary, attachments)}
+`;
+
+  if (summary.dryRun) {
+    emailBody += `
+<div style="background: #e8f0fe; border: 2px solid #1a73e8; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">🔍 This was a dry run - no permissions were changed</h3>
+<p>Every permission listed below as <strong>Would Remove</strong> has been recorded in a plan.
+Running the plan removes exactly these permissions and leaves anything that changed since this preview alone.</p>
+<p><strong>Plan ID:</strong> ${summary.planId} • <a href="${getDataFileUrl(summary.planId)}" target="_blank" style="color: #1a73e8;">View plan file</a><br>
+<strong>To apply:</strong> run <code>executePlan('${summary.planId}')</code></p>
+</div>
+`;
+  } else if (summary.mode === RUN_MODES.EXECUTE_PLAN) {
+    emailBody += `
+<p style="color: #5f6368;">Executed approved plan <strong>${summary.planId}</strong> - only previewed permissions were removed.</p>
+`;
+  }
+
+  emailBody += `
 
 <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
 <h3 style="color: #137333; margin-top: 0;">📊 Summary</h3>
 <table style="width: 100%; border-collapse: collapse;">
 <tr><td style="padding: 5px;"><strong>Total Files Processed:</strong></td><td>${summary.totalFiles}</td></tr>
-<tr><td style="padding: 5px;"><strong>Successful Removals:</strong></td><td style="color: #137333;">${summary.totalRemovals}</td></tr>
+<tr><td style="padding: 5px;"><strong>${removedLabel}:</strong></td><td style="color: #137333;">${summary.totalRemovals}</td></tr>
+${summary.totalCoveredByFolder > 0 ? `<tr><td style="padding: 5px;"><strong>Covered by Folder Removal:</strong></td><td style="color: #137333;">${summary.totalCoveredByFolder}</td></tr>` : ''}
+<tr><td style="padding: 5px;"><strong>${summary.dryRun ? 'Would Downgrade' : 'Downgraded'}:</strong></td><td style="color: #1a73e8;">${summary.totalDowngrades}</td></tr>
+${summary.totalTransfers + summary.totalPendingTransfers > 0 ? `<tr><td style="padding: 5px;"><strong>${summary.dryRun ? 'Ownership Would Transfer' : 'Ownership Transferred'}:</strong></td><td style="color: #137333;">${summary.totalTransfers}</td></tr>
+<tr><td style="padding: 5px;"><strong>Pending Transfers:</strong></td><td style="color: #f9ab00;">${summary.totalPendingTransfers}</td></tr>` : ''}
 <tr><td style="padding: 5px;"><strong>Found But Can't Remove:</strong></td><td style="color: #f9ab00;"><strong>${summary.totalFoundButCantRemove}</strong></td></tr>
 <tr><td style="padding: 5px;"><strong>Other Errors:</strong></td><td style="color: #d93025;">${summary.totalErrors}</td></tr>
 <tr><td style="padding: 5px;"><strong>Skipped (No Access):</strong></td><td style="color: #9aa0a6;">${summary.totalSkipped}</td></tr>
+<tr><td style="padding: 5px;"><strong>Protected (Left As Is):</strong></td><td style="color: #1a73e8;">${summary.totalProtected}</td></tr>
+${summary.retries.calls + summary.retries.batches > 0 ? `<tr><td style="padding: 5px;"><strong>Retried (Rate Limits / Drive Errors):</strong></td><td style="color: #5f6368;">${summary.retries.calls} call(s), ${summary.retries.batches} batch(es)</td></tr>` : ''}
 <tr><td style="padding: 5px;"><strong>Processing Time:</strong></td><td>${duration} minutes</td></tr>
 </table>
 </div>
@@ -490,7 +719,9 @@ function sendSummaryEmail(summary) {
 <p><strong>${summary.filesNeedingManualReview.length} files</strong> contain target emails but couldn't be automatically removed due to insufficient permissions. 
 You likely have <strong>view-only</strong> access to these files while the target emails have <strong>edit/comment</strong> access.</p>
 
-<p><strong>Action Required:</strong> Contact the file owners or ask an admin to remove these permissions manually.</p>
+<p><strong>Action Required:</strong> ${summary.outreach
+  ? 'The file owners were emailed (see Owner Outreach below) - follow up with them or ask an admin to remove these permissions.'
+  : 'Contact the file owners or ask an admin to remove these permissions manually.'}</p>
 
 <div style="max-height: 400px; overflow-y: auto; background: white; border-radius: 4px; padding: 15px; margin-top: 15px;">
 `;
@@ -530,23 +761,254 @@ or share these links with file owners/admins who have the necessary permissions.
 `;
   }
 
+  if (summary.outreach && summary.outreach.owners.length > 0) {
+    emailBody += describeOwnerOutreach(summary.outreach);
+  }
+
+  if (summary.downgrades.length > 0) {
+    emailBody += `
+<div style="background: #e8f0fe; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">⬇️ ${summary.dryRun ? 'Access That Would Be Downgraded' : 'Downgraded Access'}</h3>
+<p>These targets keep access with a lower role instead of being removed.</p>
+<ul>`;
+
+    summary.downgrades.forEach(downgrade => {
+      emailBody += `
+<li><a href="${downgrade.link}" target="_blank" style="color: #1a73e8;">${downgrade.title}</a>
+<span style="color: #5f6368;">- ${downgrade.email}: ${downgrade.fromRole} → ${downgrade.toRole}</span></li>`;
+    });
+
+    emailBody += '</ul></div>';
+  }
+
+  if (summary.pendingTransfers.length > 0) {
+    emailBody += `
+<div style="background: #fef7e0; border: 2px solid #f9ab00; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #ea8600; margin-top: 0;">⏳ Pending Ownership Transfers (${summary.pendingTransfers.length})</h3>
+<p>The new owner has to accept these transfers. Until they do, the old owner keeps the file - run the cleanup again afterwards to remove their access.</p>
+<ul>`;
+
+    summary.pendingTransfers.forEach(transfer => {
+      emailBody += `
+<li><a href="${transfer.link}" target="_blank" style="color: #1a73e8;">${transfer.title}</a>
+<span style="color: #5f6368;">- from ${transfer.email}, waiting for ${transfer.transferTo}</span></li>`;
+    });
+
+    emailBody += '</ul></div>';
+  }
+
+  if (summary.transfers.length > 0) {
+    emailBody += `
+<div style="background: #e6f4ea; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #137333; margin-top: 0;">👑 ${summary.dryRun ? 'Ownership That Would Be Transferred' : 'Ownership Transferred'} (${summary.transfers.length})</h3>
+<ul>`;
+
+    summary.transfers.forEach(transfer => {
+      emailBody += `
+<li><a href="${transfer.link}" target="_blank" style="color: #1a73e8;">${transfer.title}</a>
+<span style="color: #5f6368;">- ${transfer.email} → ${transfer.transferTo}</span></li>`;
+    });
+
+    emailBody += '</ul></div>';
+  }
+
+  if (summary.protectedFiles.length > 0) {
+    emailBody += `
+<div style="background: #e8f0fe; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">🛡️ Protected Files - Left As Is (${summary.protectedFiles.length})</h3>
+<p>These files are on the protected list (<code>CONFIG.PROTECTED</code>), so the targets still have access to them.</p>
+<ul>`;
+
+    summary.protectedFiles.forEach(file => {
+      emailBody += `
+<li><a href="${file.link}" target="_blank" style="color: #1a73e8;">${file.title}</a>
+<span style="color: #5f6368;">- ${file.email} (${file.role}) • ${file.reason}</span></li>`;
+    });
+
+    emailBody += '</ul></div>';
+  }
+
+  if (summary.folderRemovals.length > 0) {
+    emailBody += `
+<div style="background: #e6f4ea; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #137333; margin-top: 0;">📁 ${summary.dryRun ? 'Access That Would Be Removed at the Folder' : 'Access Removed at the Folder'} (${summary.folderRemovals.length})</h3>
+<p>These folders grant the access the files inside them inherit, so it was ${summary.dryRun ? 'checked' : 'removed'} once at the folder instead of file by file.</p>
+<table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+<tr style="background: #e8eaed;"><th style="text-align: left; padding: 5px;">Folder</th><th style="text-align: left; padding: 5px;">Target</th><th style="text-align: left; padding: 5px;">Files Covered</th><th style="text-align: left; padding: 5px;">Result</th></tr>`;
+
+    summary.folderRemovals.forEach(folder => {
+      emailBody += `
+<tr><td style="padding: 5px;"><a href="${folder.link}" target="_blank" style="color: #1a73e8;">${folder.folderName}</a></td>
+<td style="padding: 5px;">${folder.address} (${folder.role})</td><td style="padding: 5px;">${folder.filesCovered}</td>
+<td style="padding: 5px;">${describeFolderRemoval(folder)}</td></tr>`;
+    });
+
+    emailBody += '</table></div>';
+  }
+
+  if (summary.sharedDriveMemberships.length > 0 || summary.totalMemberAccess > 0) {
+    emailBody += `
+<div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">🗄️ Shared Drive Access</h3>
+<p><strong>Member access</strong> comes from belonging to a shared drive and covers every file in it - it can only be removed from the drive.
+<strong>File-level access</strong> was shared on individual files and is handled with the other files above
+(${summary.totalSharedDriveFiles} file(s) in shared drives).</p>`;
+
+    if (summary.sharedDriveMemberships.length > 0) {
+      emailBody += `
+<table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+<tr style="background: #e8eaed;"><th style="text-align: left; padding: 5px;">Shared Drive</th><th style="text-align: left; padding: 5px;">Member</th><th style="text-align: left; padding: 5px;">Role</th><th style="text-align: left; padding: 5px;">Result</th></tr>`;
+
+      summary.sharedDriveMemberships.forEach(membership => {
+        emailBody += `
+<tr><td style="padding: 5px;"><a href="${membership.link}" target="_blank" style="color: #1a73e8;">${membership.driveName}</a></td>
+<td style="padding: 5px;">${membership.member}</td><td style="padding: 5px;">${membership.role}</td><td style="padding: 5px;">${membership.outcome}</td></tr>`;
+      });
+
+      emailBody += '</table>';
+    }
+
+    if (summary.totalMemberAccess > 0) {
+      emailBody += `
+<p style="color: #5f6368;">${summary.totalMemberAccess} file(s) were only reachable through shared drive membership, so nothing was changed on the files themselves.</p>`;
+    }
+
+    emailBody += '</div>';
+  }
+
+  if (summary.groupAccess.length > 0) {
+    emailBody += `
+<div style="background: #fce8e6; border: 2px solid #d93025; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #d93025; margin-top: 0;">👥 Access Remaining Through Google Groups</h3>
+<p><strong>${summary.groupAccess.length} file(s)</strong> are still reachable through a group the target belongs to.
+Removing the person's own permission doesn't revoke this - <strong>remove them from these groups</strong> (or remove the group from the files).</p>
+`;
+
+    // Group by membership to revoke
+    const byMembership = {};
+    summary.groupAccess.forEach(access => {
+      const key = `${access.email} in ${access.groupEmail}`;
+      if (!byMembership[key]) {
+        byMembership[key] = { files: [] };
+      }
+      byMembership[key].files.push(access);
+    });
+
+    for (const [membership, { files }] of Object.entries(byMembership)) {
+      emailBody += `<h4 style="color: #d93025; margin: 15px 0 10px 0;">${membership}</h4><ul>`;
+      files.forEach(file => {
+        emailBody += `<li><a href="${file.link}" target="_blank" style="color: #1a73e8;">${file.title}</a> <span style="color: #5f6368;">(${file.role} via group)</span></li>`;
+      });
+      emailBody += '</ul>';
+    }
+
+    emailBody += '</div>';
+  }
+
+  if (summary.unverifiedGroups.length > 0) {
+    emailBody += `
+<div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #5f6368; margin-top: 0;">❔ Group Memberships That Could Not Be Checked</h3>
+<p style="color: #5f6368;">These groups are on the target's files, but we can't see their members, so they aren't counted as remaining access. Check them in the Admin console.</p>
+<ul>`;
+    summary.unverifiedGroups.forEach(group => {
+      emailBody += `<li>${group.email} in ${group.groupEmail} <span style="color: #5f6368;">(${group.files} file(s))</span></li>`;
+    });
+    emailBody += '</ul></div>';
+  }
+
+  if (summary.verification) {
+    const verification = summary.verification;
+    const unchecked = verification.uncheckedTargets.length > 0
+      ? `<p style="color: #5f6368;">Not re-checked (domain targets and public links can't be searched for): ${verification.uncheckedTargets.join(', ')}</p>`
+      : '';
+
+    if (verification.stillShared.length === 0) {
+      emailBody += `
+<div style="background: #e6f4ea; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #137333; margin-top: 0;">🔎 Verification</h3>
+<p>Searched again for ${verification.checkedTargets.join(', ')} after the run - nothing is still shared.</p>
+${unchecked}</div>`;
+    } else {
+      emailBody += `
+<div style="background: #fef7e0; border: 2px solid #f9ab00; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #f9ab00; margin-top: 0;">🔎 Verification - Still Shared</h3>
+<p>Searched again for ${verification.checkedTargets.join(', ')} after the run: <strong>${verification.stillShared.length} permission(s)</strong> are still in place.
+${verification.totalMissed > 0 ? `<strong style="color: #d93025;">${verification.totalMissed} of them weren't reported by this run</strong> - check these first.` : 'All of them are reported above.'}</p>
+${unchecked}<table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+<tr style="background: #e8eaed;"><th style="text-align: left; padding: 5px;">File</th><th style="text-align: left; padding: 5px;">Target</th><th style="text-align: left; padding: 5px;">Access</th><th style="text-align: left; padding: 5px;">Status</th></tr>`;
+
+      verification.stillShared.forEach(finding => {
+        emailBody += `
+<tr><td style="padding: 5px;"><a href="${finding.webViewLink}" target="_blank" style="color: #1a73e8;">${finding.title}</a></td>
+<td style="padding: 5px;">${finding.emailAddress || finding.targetEmail}</td><td style="padding: 5px;">${finding.role || finding.error}</td>
+<td style="padding: 5px; color: ${finding.reported ? '#5f6368' : '#d93025'};">${finding.reported ? 'Reported above' : 'Not reported by this run'}</td></tr>`;
+      });
+
+      emailBody += '</table></div>';
+    }
+  }
+
   emailBody += `<h3 style="color: #1a73e8;">📧 Results by Target Email</h3>`;
 
   for (const [email, stats] of Object.entries(summary.byEmail)) {
-    const successRate = stats.filesFound > 0 ? Math.round((stats.removals / stats.filesFound) * 100) : 0;
+    const successRate = stats.filesFound > 0 ? Math.round(((stats.removals + stats.coveredByFolder + stats.downgrades + stats.unchanged) / stats.filesFound) * 100) : 0;
     emailBody += `
 <div style="background: #fff; border: 1px solid #dadce0; border-radius: 4px; padding: 15px; margin: 10px 0;">
 <h4 style="margin: 0 0 10px 0; color: #202124;">${email}</h4>
 <table style="width: 100%;">
 <tr><td>Files Found:</td><td><strong>${stats.filesFound}</strong></td></tr>
-<tr><td>Successfully Removed:</td><td style="color: #137333;"><strong>${stats.removals}</strong></td></tr>
+<tr><td>${summary.dryRun ? 'Would Remove' : 'Successfully Removed'}:</td><td style="color: #137333;"><strong>${stats.removals}</strong></td></tr>
+${stats.downgrades > 0 || stats.unchanged > 0 ? `<tr><td>${summary.dryRun ? 'Would Downgrade' : 'Downgraded'}:</td><td style="color: #1a73e8;"><strong>${stats.downgrades}</strong>${stats.unchanged > 0 ? ` (${stats.unchanged} already at that role)` : ''}</td></tr>` : ''}
+${stats.transfers > 0 || stats.pendingTransfers > 0 ? `<tr><td>Ownership Transferred:</td><td style="color: #137333;">${stats.transfers}${stats.pendingTransfers > 0 ? ` (${stats.pendingTransfers} pending)` : ''}</td></tr>` : ''}
 <tr><td>Found But Can't Remove:</td><td style="color: #f9ab00;"><strong>${stats.foundButCantRemove}</strong></td></tr>
 <tr><td>Other Errors:</td><td style="color: #d93025;">${stats.errors}</td></tr>
 <tr><td>Skipped:</td><td style="color: #9aa0a6;">${stats.skipped}</td></tr>
+${stats.protected > 0 ? `<tr><td>Protected:</td><td style="color: #1a73e8;">${stats.protected}</td></tr>` : ''}
+${stats.pendingOwnerships > 0 ? `<tr><td>${summary.dryRun ? 'Ownership Offers to Cancel' : 'Ownership Offers Cancelled'}:</td><td style="color: #1a73e8;">${stats.pendingOwnerships}</td></tr>` : ''}
+${stats.coveredByFolder > 0 ? `<tr><td>Covered by Folder Removal:</td><td style="color: #137333;">${stats.coveredByFolder}</td></tr>` : ''}
+${stats.groupAccess > 0 ? `<tr><td>Still Reachable via Groups:</td><td style="color: #d93025;"><strong>${stats.groupAccess}</strong></td></tr>` : ''}
 <tr><td>Success Rate:</td><td><strong>${successRate}%</strong></td></tr>
 </table>
 `;
 
+    // Break domain targets down by the addresses found under them, and
+    // address targets by the aliases they were actually shared as
+    const isDomainTarget = parseTarget(email).kind === TARGET_KINDS.DOMAIN;
+    const discovered = Object.entries(stats.discovered || {});
+    if (discovered.length > 0 && (isDomainTarget || discovered.some(([address]) => address !== parseTarget(email).email))) {
+      emailBody += `
+<details style="margin-top: 10px;" open>
+<summary style="color: #1a73e8; cursor: pointer;"><strong>${isDomainTarget ? 'Addresses found under' : 'Addresses matched for'} ${email} (${discovered.length})</strong></summary>
+<table style="width: 100%; margin-top: 10px; border-collapse: collapse;">
+<tr style="color: #5f6368;"><td>Address</td><td>Matched As</td><td>Files</td><td>${summary.dryRun ? 'Would Remove' : 'Removed'}</td><td>Can't Remove</td><td>Errors</td></tr>`;
+      
+      for (const [address, addressStats] of discovered) {
+        emailBody += `
+<tr><td>${address}</td><td>${addressStats.matchedAlias || ''}</td><td>${addressStats.filesFound}</td>
+<td style="color: #137333;">${addressStats.removals}</td>
+<td style="color: #f9ab00;">${addressStats.foundButCantRemove}</td>
+<td style="color: #d93025;">${addressStats.errors}</td></tr>`;
+      }
+      
+      emailBody += '</table></details>';
+    }
+
+    if (stats.downgradedFiles.length > 0) {
+      emailBody += `
+<details style="margin-top: 10px;">
+<summary style="color: #1a73e8; cursor: pointer;"><strong>Downgraded files (${stats.downgradedFiles.length})</strong></summary>
+<ul style="margin-top: 10px;">`;
+      
+      stats.downgradedFiles.forEach(file => {
+        emailBody += `
+<li><a href="${file.link}" target="_blank" style="color: #1a73e8;">${file.title}</a> 
+<span style="color: #5f6368;">(${file.fromRole} → ${file.toRole})</span></li>`;
+      });
+      
+      emailBody += '</ul></details>';
+    }
+
     // Add manual review files for this email
     if (stats.needsManualReview && stats.needsManualReview.length > 0) {
       emailBody += `
@@ -573,10 +1035,12 @@ or share these links with file owners/admins who have the necessary permissions.
 <div style="background: #f8f9fa; border-left: 4px solid #1a73e8; padding: 15px; margin: 10px 0;">
 <h4 style="margin: 0 0 10px 0; color: #1a73e8;">${fileType}</h4>
 <p>Processed: <strong>${stats.processed}</strong> | 
-   Removed: <span style="color: #137333;"><strong>${stats.removed}</strong></span> | 
+   ${summary.dryRun ? 'Would Remove' : 'Removed'}: <span style="color: #137333;"><strong>${stats.removed}</strong></span> | 
+   Downgraded: <span style="color: #1a73e8;"><strong>${stats.downgraded}</strong></span> |
    Can't Remove: <span style="color: #f9ab00;"><strong>${stats.foundButCantRemove}</strong></span> |
    Errors: <span style="color: #d93025;">${stats.errors}</span> | 
-   Skipped: <span style="color: #9aa0a6;">${stats.skipped}</span></p>
+   Skipped: <span style="color: #9aa0a6;">${stats.skipped}</span> |
+   Protected: <span style="color: #1a73e8;">${stats.protected}</span></p>
 `;
 
     if (stats.files.length > 0) {
@@ -584,9 +1048,12 @@ or share these links with file owners/admins who have the necessary permissions.
       for (const file of stats.files.slice(0, 25)) {
         emailBody += `<li><strong>${file.title}</strong> (${file.email})`;
         if (file.removed) emailBody += ' - ✅ Removed';
+        if (file.wouldRemove) emailBody += ' - 🔍 Would Remove';
+        if (file.downgraded) emailBody += ` - ⬇️ ${summary.dryRun ? 'Would Downgrade' : 'Downgraded'} ${file.fromRole} → ${file.toRole}`;
         if (file.foundButCantRemove) emailBody += ` - ⚠️ <a href="${file.link}" target="_blank">Manual Review Needed</a> (${file.role})`;
         if (file.error && !file.foundButCantRemove) emailBody += ' - ❌ Error';
         if (file.skipped) emailBody += ' - 🔒 Skipped';
+        if (file.protected) emailBody += ' - 🛡️ Protected';
         emailBody += '</li>';
       }
       if (stats.files.length > 25) {
@@ -597,27 +1064,53 @@ or share these links with file owners/admins who have the necessary permissions.
     emailBody += '</div>';
   }
 
+  if (!summary.dryRun && summary.runId && summary.totalRemovals > 0) {
+    emailBody += `
+<div style="background: #f8f9fa; border-left: 4px solid #9aa0a6; padding: 15px; margin: 20px 0;">
+<p style="margin: 0;">♻️ <strong>Removed the wrong address?</strong> Every removal in this run was journaled.
+Run <code>restorePermissions('${summary.runId}')</code> to put them back, or
+<code>restorePermissions('${summary.runId}', 'person@example.com')</code> for a single address.</p>
+</div>
+`;
+  }
+
   emailBody += `
 <hr style="margin: 30px 0; border: none; border-top: 1px solid #dadce0;">
 <p style="color: #5f6368; font-size: 14px;">
 <strong>Google Drive Email Access Remover v1.0 by Dhruv Barot(dhruvbarot579@gmail.com)</strong><br>
-Process completed at ${new Date(summary.endTime).toLocaleString()}<br>
+Process completed at ${new Date(summary.endTime).toLocaleString()}${summary.runId ? ` • Run ID: ${summary.runId}` : ''}<br>
+${summary.runLogId ? `Every file's result: <a href="${getDataFileUrl(summary.runLogId)}" target="_blank">full run log</a><br>` : ''}
 Generated by Google Apps Script by Dhruv Barot(dhruvbarot579@gmail.com)
 </p
 
 </div>
 `;
 
-  let subject = `✅ Drive Cleanup Complete - ${summary.totalRemovals} emails removed from ${summary.totalFiles} files`;
+  let subject = summary.dryRun
+    ? `🔍 Drive Cleanup Preview (no changes made) - ${summary.totalRemovals} permissions would be removed from ${summary.totalFiles} files`
+    : `✅ Drive Cleanup Complete - ${summary.totalRemovals} emails removed from ${summary.totalFiles} files`;
+  
+  if (summary.totalDowngrades > 0) {
+    subject += `, ${summary.totalDowngrades} ${summary.dryRun ? 'would be ' : ''}downgraded`;
+  }
   
   if (summary.totalFoundButCantRemove > 0) {
     subject += ` (${summary.totalFoundButCantRemove} need manual review)`;
   }
+  
+  if (summary.totalPendingTransfers > 0) {
+    subject += ` (${summary.totalPendingTransfers} ownership transfer(s) pending)`;
+  }
+  
+  if (summary.verification && summary.verification.totalMissed > 0) {
+    subject += ` (${summary.verification.totalMissed} still shared after verification)`;
+  }
 
   MailApp.sendEmail({
     to: currentUser,
     subject: subject,
-    htmlBody: emailBody
+    htmlBody: emailBody,
+    attachments
   });
   
   console.log('📧 Summary email sent to', currentUser);
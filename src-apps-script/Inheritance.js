@@ -0,0 +1,194 @@
+/**
+ * Inherited permissions for Google Drive Email Access Remover
+ *
+ * When a target has access to a folder, every file inside it shows up in the
+ * search with an inherited copy of that permission. Removing it file by file
+ * fails or does nothing - the access is granted at the folder. Drive's
+ * permission details say which folder that is (inheritedFrom), so the
+ * permission is removed there once per run, and the files inside are
+ * reported as covered by that folder removal.
+ *
+ * Shared drive membership is inherited too, but from the drive itself - that
+ * is handled by SharedDrives.js.
+ */
+
+// ==================== DETECTION ====================
+
+/**
+ * The folder a permission is inherited from, or null if it is (also)
+ * granted on the file itself
+ */
+function getInheritedFrom(permission) {
+  const details = permission.permissionDetails || [];
+  const inherited = details.filter(detail => detail.inherited && detail.inheritedFrom && detail.permissionType !== 'member');
+  if (inherited.length === 0 || inherited.length < details.length) {
+    return null;
+  }
+
+  // The folder granting the role the file ends up with
+  const granting = inherited.find(detail => detail.role === permission.role) || inherited[0];
+  return { folderId: granting.inheritedFrom, role: granting.role };
+}
+
+/**
+ * A folder whose own permission was already removed this run, on behalf of
+ * the files inside it
+ */
+function getEarlierFolderRemoval(file, permission) {
+  const removal = getFolderRemovals()[`${file.id}|${permission.id}`];
+  return removal && (removal.removed || removal.wouldRemove) ? { folderId: file.id, role: removal.role, own: true } : null;
+}
+
+/**
+ * Why the permission must not be removed at a folder, or null if it may be.
+ * Removing it there changes everything below the folder, so the folder has
+ * to be inside the run scope with nothing protected under it.
+ */
+function getFolderRemovalBlock(folderId) {
+  if (!isInScope({ id: folderId }, getRunScope())) {
+    return 'the folder is outside the run scope';
+  }
+
+  const protectionReason = getFolderProtectionReason(folderId);
+  return protectionReason ? `the folder ${protectionReason}` : null;
+}
+
+// ==================== FOLDER REMOVAL ====================
+
+/**
+ * Removes an inherited permission at the folder it comes from - or, in a dry
+ * run, checks that it could be - and records on the match that the file is
+ * covered by it. Each folder is only changed once per run.
+ */
+function removeAtFolder(file, match, inheritedFrom, dryRun) {
+  const { folderId, role } = inheritedFrom;
+  const removals = getFolderRemovals();
+  const key = `${folderId}|${match.permissionId}`;
+
+  // The folder's own grant is the one being removed, not inherited
+  match.inheritedFrom = inheritedFrom.own ? null : folderId;
+
+  let removal = removals[key];
+  if (removal) {
+    console.log(`📁 "${file.name}" is covered by the removal at folder "${removal.folderName}"`);
+  } else {
+    removal = dryRun ? previewFolderRemoval(folderId, match) : performFolderRemoval(folderId, match);
+    removal.role = role;
+    match.folderRemovalPerformed = true;
+
+    // A folder call that ran out of time is tried again with the file
+    if (!isBatchDeadlineMissed()) {
+      removals[key] = removal;
+      saveFolderRemovals(removals);
+    }
+  }
+
+  match.folderRemoval = removal;
+  if (removal.removed || removal.wouldRemove) {
+    match.coveredByFolderRemoval = true;
+  } else {
+    match.foundButCantRemove = true;
+    match.error = `Inherited from folder "${removal.folderName}", which can't be changed: ${removal.error}`;
+  }
+
+  return match;
+}
+
+function previewFolderRemoval(folderId, match) {
+  const removal = { folderId, folderName: folderId, removed: false, wouldRemove: false, error: null };
+
+  try {
+    const folder = withDriveRetry(() => Drive.Files.get(folderId, {
+      fields: 'id, name, capabilities(canShare)',
+      supportsAllDrives: true
+    }), 'Getting folder');
+    removal.folderName = folder.name;
+
+    const blockedReason = getFolderRemovalBlock(folderId);
+    const canShare = !folder.capabilities || folder.capabilities.canShare !== false;
+    removal.wouldRemove = !blockedReason && canShare;
+    removal.error = blockedReason || (canShare ? null : 'insufficient permissions to share the folder');
+
+    if (removal.wouldRemove) {
+      console.log(`🔍 Would remove ${match.emailAddress} (${match.role}) from folder "${folder.name}"`);
+    }
+  } catch (error) {
+    removal.error = error.message;
+  }
+
+  return removal;
+}
+
+function performFolderRemoval(folderId, match) {
+  const removal = { folderId, folderName: folderId, removed: false, wouldRemove: false, error: null };
+
+  try {
+    const folder = withDriveRetry(() => Drive.Files.get(folderId, { fields: 'id, name', supportsAllDrives: true }), 'Getting folder');
+    removal.folderName = folder.name;
+
+    removal.error = getFolderRemovalBlock(folderId);
+    if (removal.error) {
+      console.log(`🛡️ Not removing ${match.emailAddress} at folder "${folder.name}": ${removal.error}`);
+      return removal;
+    }
+
+    withDriveRetry(() => Drive.Permissions.remove(folderId, match.permissionId, { supportsAllDrives: true }), 'Removing folder permission');
+    removal.removed = true;
+    console.log(`📁 Removed ${match.emailAddress} (${match.role}) from folder "${folder.name}" and everything inside it`);
+  } catch (error) {
+    removal.error = error.message;
+    console.error(`❌ Could not remove ${match.emailAddress} from folder "${removal.folderName}": ${error.message}`);
+  }
+
+  return removal;
+}
+
+/**
+ * Folder removals of the current run, keyed by folder and permission
+ */
+function getFolderRemovals() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(STATE_KEYS.FOLDER_REMOVALS) || '{}');
+  } catch (error) {
+    console.warn('⚠️ Could not parse folder removals, starting over');
+    return {};
+  }
+}
+
+function saveFolderRemovals(removals) {
+  try {
+    PropertiesService.getScriptProperties().setProperty(STATE_KEYS.FOLDER_REMOVALS, JSON.stringify(removals));
+  } catch (error) {
+    // Property values are limited to 9KB - later batches may try a folder again
+    console.warn(`⚠️ Could not save folder removals: ${error.message}`);
+  }
+}
+
+// ==================== REPORTING ====================
+
+/**
+ * Folder removals of a run with the number of files each one covered
+ */
+function collectFolderRemovals(logs) {
+  const folders = {};
+
+  for (const log of logs) {
+    for (const match of log.matches || []) {
+      if (!match.folderRemoval) continue;
+
+      const key = `${match.folderRemoval.folderId}|${log.targetEmail}`;
+      if (!folders[key]) {
+        folders[key] = {
+          ...match.folderRemoval,
+          email: log.targetEmail,
+          address: match.emailAddress,
+          filesCovered: 0,
+          link: `https://drive.google.com/drive/folders/${match.folderRemoval.folderId}`
+        };
+      }
+      folders[key].filesCovered++;
+    }
+  }
+
+  return Object.values(folders);
+}
@@ -0,0 +1,460 @@
+/**
+ * Access inventory for Google Drive Email Access Remover
+ *
+ * Before deciding whether to remove, downgrade or transfer, the question is
+ * usually "what exactly does this person have access to?". An inventory is
+ * a run mode of its own (RUN_MODES.INVENTORY): it walks the same search as a
+ * cleanup but only records every matching permission - protected files
+ * included - with its role, owner, location, last modified time and file
+ * type, grouped by shared drive and folder tree. Nothing is removed,
+ * previewed or planned:
+ *
+ *   startAccessInventory(['leaver@company.com', 'contractor@example.com']);
+ *
+ * The result is a spreadsheet in the data folder and a summary email.
+ */
+
+// ==================== INVENTORY LAYOUT ====================
+
+const INVENTORY_COLUMNS = {
+  ITEMS: ['Target', 'Location', 'Path', 'Name', 'File Type', 'Role', 'Access', 'Owner', 'Last Modified', 'Link'],
+  LOCATIONS: ['Target', 'Location', 'Folder', 'Items', 'Roles']
+};
+
+const INVENTORY_SHEETS = {
+  ITEMS: 'Inventory',
+  LOCATIONS: 'By Location'
+};
+
+const INVENTORY_LOCATIONS = {
+  MY_DRIVE: 'My Drive',
+  SHARED_WITH_ME: 'Shared with me'  // Files in someone else's drive, above the folders we can see
+};
+
+const MAX_FOLDER_DEPTH = 20;
+
+// ==================== ENTRY POINTS ====================
+
+/**
+ * Report everything one or more addresses can reach, without changing it
+ * Accepts the same entries as TARGET_EMAILS (addresses, '@domain.com',
+ * 'group:...'); aliases from CONFIG.ADDRESS_ALIASES are included
+ */
+function startAccessInventory(addresses) {
+  const entries = [].concat(addresses || []);
+  if (entries.length === 0) {
+    console.error('❌ No addresses to take an inventory of!');
+    console.error("💡 Pass them in, e.g. startAccessInventory(['leaver@company.com'])");
+    return false;
+  }
+
+  console.log(`📋 Starting access inventory for ${entries.join(', ')} - no changes will be made`);
+  return startRun(RUN_MODES.INVENTORY, entries);
+}
+
+function isAccessInventory() {
+  return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.RUN_MODE) === RUN_MODES.INVENTORY;
+}
+
+// ==================== INVENTORY BATCHES ====================
+
+/**
+ * processBatch() counterpart for inventories - searches one page of files
+ * for the current pass and records who can reach each of them
+ */
+function processInventoryBatch(startTime) {
+  const properties = PropertiesService.getScriptProperties();
+  const passes = getRunPasses();
+  const passIndex = parseInt(properties.getProperty(STATE_KEYS.PASS_INDEX) || '0');
+  const pageToken = properties.getProperty(STATE_KEYS.NEXT_PAGE_TOKEN);
+  const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
+
+  if (passIndex >= passes.length) {
+    finishRun();
+    return;
+  }
+
+  const passTargets = passes[passIndex];
+  const targets = passTargets.map(parseTarget);
+  const passLabel = passTargets.join(', ');
+  const scope = getRunScope();
+  const permissionsField = targets.some(isScanTarget) ? `, permissions(${PERMISSION_FIELDS})` : '';
+  const response = withDriveRetry(() => Drive.Files.list(applyScopeToSearch({
+    q: buildPassQuery(targets),
+    pageSize: CONFIG.BATCH_SIZE,
+    pageToken: pageToken || undefined,
+    fields: `nextPageToken, files(id, name, mimeType, driveId, parents, modifiedTime${permissionsField})`,
+    includeItemsFromAllDrives: true,
+    supportsAllDrives: true
+  }, scope)), 'Searching files');
+
+  const doneFileIds = getPageDoneIds();
+  const files = attachPermissionsInBatch((response.files || []).filter(file =>
+    !doneFileIds.includes(file.id) && isInScope(file, scope)
+  ));
+  console.log(`📋 Taking inventory of ${files.length} file(s) for ${passLabel} (pass ${passIndex + 1}/${passes.length})`);
+
+  const lookups = { folders: {}, drives: {}, rootId: undefined };
+  const batchLogs = [];
+  let pageFinished = true;
+  for (const file of files) {
+    if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+      console.log('⏰ Approaching execution time limit, stopping batch');
+      pageFinished = false;
+      break;
+    }
+
+    const visit = withinBatchBudget(startTime, () => recordFileAccess(file, targets, lookups));
+    if (visit.outOfTime) {
+      console.log(`⏰ No time left to retry "${file.name}" - leaving it for the next batch`);
+      pageFinished = false;
+      break;
+    }
+
+    batchLogs.push(...visit.result);
+    doneFileIds.push(file.id);
+  }
+
+  // Same checkpointing as processBatch(): an unfinished page is searched again
+  updateState(
+    pageFinished ? response.nextPageToken : pageToken,
+    processedCount + batchLogs.length,
+    batchLogs,
+    passIndex,
+    passLabel,
+    pageFinished ? [] : doneFileIds
+  );
+
+  if (!pageFinished || response.nextPageToken) {
+    scheduleNextBatch();
+  } else {
+    moveToNextPass();
+  }
+}
+
+/**
+ * One result per target that can reach a file, listing every matching
+ * permission and group as it is - the protected list doesn't matter here
+ */
+function recordFileAccess(file, targets, lookups) {
+  let permissions;
+  try {
+    if (file.permissionsError) {
+      throw file.permissionsError;
+    }
+    permissions = file.permissions || withDriveRetry(() => Drive.Permissions.list(file.id, {
+      fields: `permissions(${PERMISSION_FIELDS})`,
+      supportsAllDrives: true
+    }), 'Listing permissions').permissions || [];
+  } catch (error) {
+    const fileInfo = createFileInfo(file, targets.map(target => target.key).join(', '));
+    recordPermissionError(fileInfo, file, error);
+    return [fileInfo];
+  }
+
+  const owner = permissions.find(permission => permission.role === 'owner');
+  const details = {
+    ownerEmail: owner && owner.emailAddress ? owner.emailAddress : null,
+    modifiedTime: file.modifiedTime || null,
+    location: getFileLocation(file, lookups)
+  };
+
+  return targets.map(target => {
+    const fileInfo = { ...createFileInfo(file, target.key), ...details };
+    fileInfo.matches = findTargetPermissions(permissions, target).map(permission => ({
+      emailAddress: getPermissionAddress(permission),
+      type: permission.type,
+      role: permission.role,
+      permissionId: permission.id,
+      matchedAlias: findMatchedAlias(permission, target),
+      memberAccess: isMemberAccess(permission),
+      inheritedFrom: getInheritedFolderName(permission, lookups)
+    }));
+    if (target.kind === TARGET_KINDS.USER) {
+      fileInfo.groupAccess = findGroupAccess(permissions, target.email, getTargetGroups(target.email));
+    }
+    return fileInfo;
+  }).filter(fileInfo => fileInfo.matches.length > 0 || fileInfo.groupAccess.length > 0);
+}
+
+/**
+ * Name of the folder a permission is inherited from, or null
+ */
+function getInheritedFolderName(permission, lookups) {
+  const inheritedFrom = getInheritedFrom(permission);
+  if (!inheritedFrom) {
+    return null;
+  }
+  const folder = getFolder(inheritedFrom.folderId, lookups);
+  return folder ? folder.name : inheritedFrom.folderId;
+}
+
+// ==================== LOCATIONS ====================
+
+/**
+ * Where a file lives: { root, path, folder } - root is the shared drive or
+ * drive, path the folders above the file and folder the top one of them
+ */
+function getFileLocation(file, lookups) {
+  const names = [];
+  let root = INVENTORY_LOCATIONS.SHARED_WITH_ME;
+  let folderId = (file.parents || [])[0];
+
+  for (let depth = 0; folderId && depth < MAX_FOLDER_DEPTH; depth++) {
+    if (file.driveId && folderId === file.driveId) {
+      root = `Shared drive: ${getDriveName(file.driveId, lookups)}`;
+      break;
+    }
+    if (folderId === getMyDriveRootId(lookups)) {
+      root = INVENTORY_LOCATIONS.MY_DRIVE;
+      break;
+    }
+
+    const folder = getFolder(folderId, lookups);
+    if (!folder) break;  // Not visible to us - the path starts below it
+
+    names.unshift(folder.name);
+    folderId = folder.parentId;
+  }
+
+  return { root, path: names.join('/'), folder: names[0] || '' };
+}
+
+function getFolder(folderId, lookups) {
+  if (lookups.folders[folderId] === undefined) {
+    try {
+      const folder = withDriveRetry(() => Drive.Files.get(folderId, { fields: 'id, name, parents', supportsAllDrives: true }), 'Getting folder');
+      lookups.folders[folderId] = { name: folder.name, parentId: (folder.parents || [])[0] || null };
+    } catch (error) {
+      lookups.folders[folderId] = null;
+    }
+  }
+  return lookups.folders[folderId];
+}
+
+function getDriveName(driveId, lookups) {
+  if (lookups.drives[driveId] === undefined) {
+    try {
+      lookups.drives[driveId] = withDriveRetry(() => Drive.Drives.get(driveId), 'Getting shared drive').name;
+    } catch (error) {
+      lookups.drives[driveId] = driveId;
+    }
+  }
+  return lookups.drives[driveId];
+}
+
+function getMyDriveRootId(lookups) {
+  if (lookups.rootId === undefined) {
+    try {
+      lookups.rootId = withDriveRetry(() => Drive.Files.get('root', { fields: 'id' }), 'Getting My Drive').id;
+    } catch (error) {
+      lookups.rootId = null;
+    }
+  }
+  return lookups.rootId;
+}
+
+// ==================== ITEMS ====================
+
+/**
+ * Every way each target reaches a file - one item per permission or group,
+ * sorted by target, location and path
+ */
+function collectInventoryItems(logs) {
+  const items = [];
+
+  for (const log of logs) {
+    // A top-level folder is the start of its own folder tree
+    const location = getLogLocation(log);
+    if (!location.folder && log.mimeType === FOLDER_MIME_TYPE) {
+      location.folder = log.title;
+    }
+
+    const base = {
+      target: log.targetEmail,
+      name: log.title,
+      fileType: log.fileType,
+      owner: log.driveId ? 'Shared drive' : (log.ownerEmail || ''),
+      modifiedTime: log.modifiedTime || null,
+      link: log.webViewLink,
+      ...location
+    };
+
+    for (const match of log.matches || []) {
+      items.push({ ...base, role: match.role, access: describeInventoryAccess(log, match) });
+    }
+    for (const access of log.groupAccess || []) {
+      items.push({ ...base, role: access.role, access: `Through group ${access.groupEmail}` });
+    }
+  }
+
+  const sortKey = item => [item.target, item.root, item.path, item.name].join('\u0000').toLowerCase();
+  return items.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0));
+}
+
+function getLogLocation(log) {
+  return { ...(log.location || { root: INVENTORY_LOCATIONS.SHARED_WITH_ME, path: '', folder: '' }) };
+}
+
+function describeInventoryAccess(log, match) {
+  if (match.memberAccess) return 'Through shared drive membership';
+  if (match.inheritedFrom) return `Inherited from folder ${match.inheritedFrom}`;
+  if (match.type === 'domain') return `Everyone at ${match.emailAddress}`;
+
+  const parsed = parseTarget(log.targetEmail);
+  return match.matchedAlias && parsed.email && match.matchedAlias !== parsed.email
+    ? `Direct (as ${match.matchedAlias})`
+    : 'Direct';
+}
+
+/**
+ * Item counts per target, location and top folder, with the roles in each
+ */
+function groupInventoryByLocation(items) {
+  const groups = {};
+
+  for (const item of items) {
+    const key = [item.target, item.root, item.folder].join('|');
+    if (!groups[key]) {
+      groups[key] = { target: item.target, root: item.root, folder: item.folder, items: 0, roles: {} };
+    }
+    groups[key].items++;
+    groups[key].roles[item.role] = (groups[key].roles[item.role] || 0) + 1;
+  }
+
+  return Object.values(groups);
+}
+
+/**
+ * e.g. "writer: 3, reader: 1"
+ */
+function describeCounts(counts) {
+  return Object.entries(counts).map(([name, count]) => `${name}: ${count}`).join(', ');
+}
+
+// ==================== REPORT ====================
+
+/**
+ * Writes the inventory spreadsheet and emails the summary
+ * Returns the spreadsheet URL, or null if it couldn't be created
+ */
+function sendAccessInventory(summary, logs) {
+  const items = collectInventoryItems(logs);
+  const locations = groupInventoryByLocation(items);
+
+  let spreadsheetUrl = null;
+  try {
+    spreadsheetUrl = createInventorySpreadsheet(`Access Inventory - ${summary.runId || summary.startTime}`, items, locations);
+    console.log(`📊 Inventory spreadsheet: ${spreadsheetUrl}`);
+  } catch (error) {
+    console.error('❌ Could not create the inventory spreadsheet:', error.message);
+  }
+
+  sendAccessInventoryEmail(summary, items, locations, spreadsheetUrl);
+  return spreadsheetUrl;
+}
+
+function createInventorySpreadsheet(name, items, locations) {
+  const spreadsheet = SpreadsheetApp.create(name);
+  DriveApp.getFileById(spreadsheet.getId()).moveTo(getDataFolder());
+
+  const itemsSheet = spreadsheet.getSheets()[0];
+  itemsSheet.setName(INVENTORY_SHEETS.ITEMS);
+  writeReportRows(itemsSheet, [INVENTORY_COLUMNS.ITEMS, ...items.map(toInventoryRow)], true);
+
+  const locationsSheet = spreadsheet.insertSheet();
+  locationsSheet.setName(INVENTORY_SHEETS.LOCATIONS);
+  writeReportRows(locationsSheet, [INVENTORY_COLUMNS.LOCATIONS, ...locations.map(toLocationRow)], true);
+
+  return spreadsheet.getUrl();
+}
+
+function toInventoryRow(item) {
+  return [
+    item.target,
+    item.root,
+    item.path,
+    item.name,
+    item.fileType,
+    item.role,
+    item.access,
+    item.owner,
+    formatModifiedTime(item.modifiedTime),
+    item.link
+  ];
+}
+
+function toLocationRow(location) {
+  return [location.target, location.root, location.folder || '(top level)', location.items, describeCounts(location.roles)];
+}
+
+function formatModifiedTime(modifiedTime) {
+  return modifiedTime ? Utilities.formatDate(new Date(modifiedTime), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm') : '';
+}
+
+function sendAccessInventoryEmail(summary, items, locations, spreadsheetUrl) {
+  const currentUser = Session.getActiveUser().getEmail();
+  const unreadable = summary.totalErrors + summary.totalSkipped;
+
+  let emailBody = `
+<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+
+<h2 style="color: #1a73e8;">📋 Access Inventory</h2>
+<p style="color: #5f6368;"><strong>Addresses:</strong> ${summary.targetEmails.join(', ')}<br>
+<strong>Scope:</strong> ${describeScope(summary.scope)}<br>
+No permissions were changed.</p>
+${spreadsheetUrl ? `<p style="color: #5f6368;">📊 <a href="${spreadsheetUrl}" target="_blank" style="color: #1a73e8;">Open the inventory spreadsheet</a> (every item with its role, owner, path and last modified time)</p>` : ''}
+`;
+
+  for (const target of summary.targetEmails) {
+    const targetItems = items.filter(item => item.target === target);
+    const roles = {};
+    const fileTypes = {};
+    targetItems.forEach(item => {
+      roles[item.role] = (roles[item.role] || 0) + 1;
+      fileTypes[item.fileType] = (fileTypes[item.fileType] || 0) + 1;
+    });
+
+    emailBody += `
+<div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+<h3 style="margin-top: 0;">${target} - ${targetItems.length} item(s)</h3>`;
+
+    if (targetItems.length === 0) {
+      emailBody += '<p style="color: #5f6368;">Nothing found.</p></div>';
+      continue;
+    }
+
+    emailBody += `
+<p><strong>Roles:</strong> ${describeCounts(roles)}<br>
+<strong>File types:</strong> ${describeCounts(fileTypes)}</p>
+<table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+<tr style="background: #e8eaed;"><th style="text-align: left; padding: 5px;">Location</th><th style="text-align: left; padding: 5px;">Folder</th><th style="text-align: left; padding: 5px;">Items</th><th style="text-align: left; padding: 5px;">Roles</th></tr>`;
+
+    locations.filter(location => location.target === target).forEach(location => {
+      emailBody += `
+<tr><td style="padding: 5px;">${location.root}</td><td style="padding: 5px;">${location.folder || '(top level)'}</td>
+<td style="padding: 5px;">${location.items}</td><td style="padding: 5px;">${describeCounts(location.roles)}</td></tr>`;
+    });
+
+    emailBody += '</table></div>';
+  }
+
+  emailBody += `
+<hr style="margin: 30px 0; border: none; border-top: 1px solid #dadce0;">
+<p style="color: #5f6368; font-size: 14px;">
+Inventory completed at ${new Date(summary.endTime).toLocaleString()}${summary.runId ? ` • Run ID: ${summary.runId}` : ''}<br>
+${unreadable > 0 ? `${unreadable} file(s) couldn't be read and aren't listed - see the run log<br>` : ''}
+${summary.runLogId ? `Every file's result: <a href="${getDataFileUrl(summary.runLogId)}" target="_blank">full run log</a>` : ''}
+</p>
+
+</div>
+`;
+
+  MailApp.sendEmail({
+    to: currentUser,
+    subject: `📋 Access Inventory - ${summary.targetEmails.join(', ')}: ${items.length} item(s)`,
+    htmlBody: emailBody
+  });
+
+  console.log('📧 Access inventory sent to', currentUser);
+}
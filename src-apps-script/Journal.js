@@ -0,0 +1,420 @@
+/**
+ * Undo journal for Google Drive Email Access Remover
+ *
+ * Every permission a run removes is written to that run's journal, so a
+ * cleanup aimed at the wrong address can be rolled back with
+ * restorePermissions(runId). Restores run in trigger-chained batches just
+ * like processBatch().
+ */
+
+// ==================== RESTORE STATE ====================
+
+const RESTORE_STATE_KEYS = {
+  RUN_ID: 'restoreRunId',
+  JOURNAL_FILE_ID: 'restoreJournalFileId',
+  REPORT_FILE_ID: 'restoreReportFileId',
+  FILTER: 'restoreFilter',
+  INDEX: 'restoreIndex',
+  START_TIME: 'restoreStartTime',
+  IS_RUNNING: 'restoreIsRunning'
+};
+
+// ==================== JOURNAL FILES ====================
+
+function getJournalFileName(runId) {
+  return `Undo Journal - ${runId}.jsonl`;
+}
+
+/**
+ * Creates the journal for a run and returns its file ID
+ */
+function createJournalFile(runId) {
+  return createDataFile(getJournalFileName(runId));
+}
+
+/**
+ * Finds the journal of an earlier run by its run ID
+ */
+function findJournalFile(runId) {
+  const files = getDataFolder().getFilesByName(getJournalFileName(runId));
+  return files.hasNext() ? files.next().getId() : null;
+}
+
+/**
+ * Appends every removal and downgrade in a batch to the current run's journal
+ */
+function appendJournalEntries(batchLogs) {
+  const properties = PropertiesService.getScriptProperties();
+  const journalId = properties.getProperty(STATE_KEYS.JOURNAL_FILE_ID);
+  const runId = properties.getProperty(STATE_KEYS.RUN_ID);
+
+  const entries = [];
+  for (const log of batchLogs) {
+    for (const match of log.matches || []) {
+      // Inherited access was removed once, at its folder
+      if (match.folderRemovalPerformed && match.folderRemoval.removed) {
+        entries.push({
+          runId,
+          fileId: match.folderRemoval.folderId,
+          title: match.folderRemoval.folderName,
+          targetEmail: log.targetEmail,
+          email: match.emailAddress,
+          change: 'removed',
+          role: match.folderRemoval.role,
+          type: match.type,
+          permission: { ...match.permission, role: match.folderRemoval.role },
+          removedAt: new Date().toISOString()
+        });
+        continue;
+      }
+
+      if (!match.removed && !match.downgraded) continue;
+
+      // After a transfer the old owner was left an editor, so that is what
+      // a restore gives back - ownership itself stays with the successor
+      const permission = match.transferred ? { ...match.permission, role: 'writer' } : match.permission;
+
+      entries.push({
+        runId,
+        fileId: log.id,
+        title: log.title,
+        targetEmail: log.targetEmail,
+        email: match.emailAddress,
+        change: match.downgraded ? 'downgraded' : 'removed',
+        role: permission.role,
+        type: match.type,
+        permission,
+        removedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  if (!journalId) {
+    console.error(`❌ No undo journal for this run - ${entries.length} removal(s) not journaled`);
+    return;
+  }
+
+  appendJsonLines(journalId, entries);
+}
+
+// ==================== RESTORE ====================
+
+/**
+ * Re-create the permissions removed by a cleanup run
+ * The run ID is shown in the summary email. The optional filter limits
+ * the restore to some entries: an email address, or an object with
+ * `emails` and/or `fileIds` arrays.
+ */
+function restorePermissions(runId, filter) {
+  console.log(`♻️ Starting restore of run ${runId}`);
+
+  if (!runId) {
+    console.error('❌ No run ID given - use the run ID from the summary email');
+    return false;
+  }
+
+  if (isProcessRunning() || isRestoreRunning()) {
+    console.log('⚠️ A cleanup or restore is already running. Wait for it to finish or stop it first.');
+    return false;
+  }
+
+  const journalId = findJournalFile(runId);
+  if (!journalId) {
+    console.error(`❌ No undo journal found for run ${runId}`);
+    return false;
+  }
+
+  const normalizedFilter = normalizeRestoreFilter(filter);
+  const properties = PropertiesService.getScriptProperties();
+
+  properties.setProperties({
+    [RESTORE_STATE_KEYS.RUN_ID]: runId,
+    [RESTORE_STATE_KEYS.JOURNAL_FILE_ID]: journalId,
+    [RESTORE_STATE_KEYS.REPORT_FILE_ID]: createDataFile(`Restore Report - ${runId} - ${generateRunId()}.jsonl`),
+    [RESTORE_STATE_KEYS.FILTER]: JSON.stringify(normalizedFilter),
+    [RESTORE_STATE_KEYS.INDEX]: '0',
+    [RESTORE_STATE_KEYS.START_TIME]: new Date().toISOString(),
+    [RESTORE_STATE_KEYS.IS_RUNNING]: 'true'
+  });
+
+  processRestoreBatch();
+  return true;
+}
+
+function isRestoreRunning() {
+  return PropertiesService.getScriptProperties().getProperty(RESTORE_STATE_KEYS.IS_RUNNING) === 'true';
+}
+
+function normalizeRestoreFilter(filter) {
+  if (!filter) {
+    return {};
+  }
+
+  if (typeof filter === 'string') {
+    return { emails: [filter] };
+  }
+
+  return {
+    emails: filter.emails || undefined,
+    fileIds: filter.fileIds || undefined
+  };
+}
+
+function matchesRestoreFilter(entry, filter) {
+  if (filter.emails && !filter.emails.some(email => isSameAddress(email, entry.email) || isSameAddress(email, entry.targetEmail))) return false;
+  if (filter.fileIds && !filter.fileIds.includes(entry.fileId)) return false;
+  return true;
+}
+
+/**
+ * Trigger handler for every restore batch - only one batch runs at a time
+ */
+function processRestoreBatch() {
+  withBatchLock('processRestoreBatch', restoreNextBatch);
+}
+
+/**
+ * Restores a batch of journal entries and schedules the next batch
+ */
+function restoreNextBatch() {
+  const startTime = Date.now();
+  const properties = PropertiesService.getScriptProperties();
+
+  try {
+    const journalId = properties.getProperty(RESTORE_STATE_KEYS.JOURNAL_FILE_ID);
+    const filter = JSON.parse(properties.getProperty(RESTORE_STATE_KEYS.FILTER) || '{}');
+    const index = parseInt(properties.getProperty(RESTORE_STATE_KEYS.INDEX) || '0');
+
+    const entries = readJsonLines(journalId).filter(entry => matchesRestoreFilter(entry, filter));
+    const batch = entries.slice(index, index + CONFIG.BATCH_SIZE);
+
+    const results = [];
+    for (const entry of batch) {
+      if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+        console.log('⏰ Approaching execution time limit, stopping batch');
+        break;
+      }
+
+      const visit = withinBatchBudget(startTime, () => restoreEntry(entry));
+      if (visit.outOfTime) {
+        console.log(`⏰ No time left to retry "${entry.title}" - leaving it for the next batch`);
+        break;
+      }
+
+      results.push(visit.result);
+    }
+
+    appendJsonLines(properties.getProperty(RESTORE_STATE_KEYS.REPORT_FILE_ID), results);
+
+    const nextIndex = index + results.length;
+    properties.setProperty(RESTORE_STATE_KEYS.INDEX, nextIndex.toString());
+    saveRetryCounts();
+
+    if (nextIndex < entries.length) {
+      scheduleNextBatch('processRestoreBatch');
+    } else {
+      completeRestore();
+    }
+
+  } catch (error) {
+    console.error('❌ Error in processRestoreBatch:', error);
+    if (retryBatchLater(error, 'processRestoreBatch')) {
+      return;
+    }
+    handleRestoreError(error);
+  }
+}
+
+/**
+ * Re-creates a single journaled permission unless it already exists
+ */
+function restoreEntry(entry) {
+  const result = {
+    fileId: entry.fileId,
+    title: entry.title,
+    email: entry.email,
+    role: entry.role,
+    type: entry.type,
+    status: null,  // 'restored' | 'alreadyExisted' | 'failed'
+    error: null,
+    link: `https://drive.google.com/file/d/${entry.fileId}/view`
+  };
+
+  const permission = entry.permission;
+
+  try {
+    const existing = (withDriveRetry(() => Drive.Permissions.list(entry.fileId, {
+      fields: `permissions(${PERMISSION_FIELDS})`,
+      supportsAllDrives: true
+    }), 'Listing permissions').permissions || []).find(p =>
+      p.type === permission.type &&
+      (p.emailAddress || null) === (permission.emailAddress || null) &&
+      (p.domain || null) === (permission.domain || null)
+    );
+
+    // Downgrades are undone by raising the role back
+    if (entry.change === 'downgraded' && existing && ROLE_RANK[existing.role] < ROLE_RANK[permission.role]) {
+      withDriveRetry(() => Drive.Permissions.update({ role: permission.role }, entry.fileId, existing.id, { supportsAllDrives: true }), 'Restoring role');
+      result.status = 'restored';
+      console.log(`♻️ Restored ${entry.email} from ${existing.role} to ${permission.role} on "${entry.title}"`);
+      return result;
+    }
+
+    if (existing) {
+      result.status = 'alreadyExisted';
+      result.currentRole = existing.role;
+      console.log(`ℹ️ ${entry.email} already has ${existing.role} access to "${entry.title}"`);
+      return result;
+    }
+
+    if (permission.role === 'owner') {
+      throw new Error('Ownership cannot be restored automatically - ask the current owner to transfer it back');
+    }
+
+    const resource = { role: permission.role, type: permission.type };
+    if (permission.emailAddress) resource.emailAddress = permission.emailAddress;
+    if (permission.domain) resource.domain = permission.domain;
+    if (permission.allowFileDiscovery !== undefined) resource.allowFileDiscovery = permission.allowFileDiscovery;
+    if (permission.expirationTime) resource.expirationTime = permission.expirationTime;
+
+    const optionalArgs = { supportsAllDrives: true };
+    if (permission.type === 'user' || permission.type === 'group') {
+      optionalArgs.sendNotificationEmail = false;
+    }
+
+    withDriveRetry(() => Drive.Permissions.create(resource, entry.fileId, optionalArgs), 'Restoring permission');
+    result.status = 'restored';
+    console.log(`♻️ Restored ${entry.email} (${permission.role}) on "${entry.title}"`);
+
+  } catch (error) {
+    result.status = 'failed';
+    result.error = error.message;
+    console.error(`❌ Could not restore ${entry.email} on "${entry.title}": ${error.message}`);
+  }
+
+  return result;
+}
+
+function completeRestore() {
+  const properties = PropertiesService.getScriptProperties();
+  const report = {
+    runId: properties.getProperty(RESTORE_STATE_KEYS.RUN_ID),
+    startTime: properties.getProperty(RESTORE_STATE_KEYS.START_TIME),
+    endTime: new Date().toISOString(),
+    reportFileId: properties.getProperty(RESTORE_STATE_KEYS.REPORT_FILE_ID),
+    restored: [],
+    alreadyExisted: [],
+    failed: []
+  };
+
+  for (const result of readJsonLines(report.reportFileId)) {
+    if (report[result.status]) {
+      report[result.status].push(result);
+    }
+  }
+
+  sendRestoreReportEmail(report);
+  clearRestoreState();
+
+  console.log(`✅ Restore complete: ${report.restored.length} restored, ${report.alreadyExisted.length} already existed, ${report.failed.length} failed`);
+  return report;
+}
+
+/**
+ * Stops a restore that can't go on and says how to pick it up again -
+ * restoring is safe to repeat, permissions already back are skipped
+ */
+function handleRestoreError(error) {
+  console.error('❌ Restore stopped:', error);
+
+  const properties = PropertiesService.getScriptProperties();
+  const runId = properties.getProperty(RESTORE_STATE_KEYS.RUN_ID);
+  const reportFileId = properties.getProperty(RESTORE_STATE_KEYS.REPORT_FILE_ID);
+  clearRestoreState();
+
+  const currentUser = Session.getActiveUser().getEmail();
+  MailApp.sendEmail({
+    to: currentUser,
+    subject: '❌ Drive Cleanup Restore - Error',
+    body: `An error occurred while restoring the permissions of run ${runId}:\n\n${error.toString()}\n\nThe restore has been stopped.${reportFileId ? ` What was restored so far is in the restore report: ${getDataFileUrl(reportFileId)}` : ''}\n\nYou can run restorePermissions('${runId}') again - permissions that are already back are skipped.`
+  });
+}
+
+/**
+ * Emergency stop for a running restore
+ */
+function stopRestore() {
+  clearRestoreState();
+  console.log('🛑 Restore manually stopped');
+}
+
+function clearRestoreState() {
+  const properties = PropertiesService.getScriptProperties();
+
+  for (const key of Object.values(RESTORE_STATE_KEYS)) {
+    properties.deleteProperty(key);
+  }
+
+  deleteTriggersFor('processRestoreBatch');
+  stopWatchdog('processRestoreBatch');
+}
+
+/**
+ * Send the restore results, in the same style as the cleanup summary
+ */
+function sendRestoreReportEmail(report) {
+  const currentUser = Session.getActiveUser().getEmail();
+
+  const renderList = (results, color) => {
+    if (results.length === 0) {
+      return '<p style="color: #5f6368;">None</p>';
+    }
+    return '<ul>' + results.map(result => `
+<li><a href="${result.link}" target="_blank" style="color: #1a73e8;">${result.title}</a>
+<span style="color: #5f6368;">- ${result.email} (${result.role})</span>${result.error ? ` <span style="color: ${color};">${result.error}</span>` : ''}</li>`).join('') + '</ul>';
+  };
+
+  const htmlBody = `
+<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+
+<h2 style="color: #1a73e8;">♻️ Drive Email Cleanup - Restore Complete</h2>
+
+<div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+<h3 style="color: #137333; margin-top: 0;">📊 Summary for run ${report.runId}</h3>
+<table style="width: 100%; border-collapse: collapse;">
+<tr><td style="padding: 5px;"><strong>Restored:</strong></td><td style="color: #137333;">${report.restored.length}</td></tr>
+<tr><td style="padding: 5px;"><strong>Already Existed:</strong></td><td style="color: #9aa0a6;">${report.alreadyExisted.length}</td></tr>
+<tr><td style="padding: 5px;"><strong>Failed:</strong></td><td style="color: #d93025;">${report.failed.length}</td></tr>
+</table>
+</div>
+
+<h3 style="color: #d93025;">❌ Failed</h3>
+${renderList(report.failed, '#d93025')}
+
+<h3 style="color: #137333;">✅ Restored</h3>
+${renderList(report.restored, '#137333')}
+
+<h3 style="color: #9aa0a6;">ℹ️ Already Existed</h3>
+${renderList(report.alreadyExisted, '#9aa0a6')}
+
+<hr style="margin: 30px 0; border: none; border-top: 1px solid #dadce0;">
+<p style="color: #5f6368; font-size: 14px;">
+Full results: <a href="${getDataFileUrl(report.reportFileId)}" target="_blank">restore report file</a><br>
+Restore completed at ${new Date(report.endTime).toLocaleString()}
+</p>
+
+</div>
+`;
+
+  MailApp.sendEmail({
+    to: currentUser,
+    subject: `♻️ Drive Cleanup Restore - ${report.restored.length} restored, ${report.alreadyExisted.length} already existed, ${report.failed.length} failed`,
+    htmlBody
+  });
+
+  console.log('📧 Restore report sent to', currentUser);
+}
@@ -0,0 +1,259 @@
+/**
+ * Owner outreach for Google Drive Email Access Remover
+ *
+ * Files flagged for manual review are ones we can see but not change - only
+ * their owner can remove the target. With CONFIG.OWNER_OUTREACH on, the end
+ * of a cleanup groups those files by owner and sends each owner one email
+ * listing their files, the target address and its role. This is the first
+ * step of the run's completion (see Completion.js).
+ *
+ * Sending is rate-limited: at most CONFIG.MAX_OUTREACH_EMAILS per run, a
+ * pause between emails, and CONFIG.OUTREACH_QUOTA_RESERVE of the daily
+ * MailApp quota is always left for the script's own reports.
+ */
+
+const OUTREACH_STATUSES = {
+  SENT: 'sent',
+  BOUNCED: 'bounced',                  // MailApp rejected the address
+  OWNER_IS_TARGET: 'ownerIsTarget',    // The owner is the address being removed - not emailed
+  OWNER_UNKNOWN: 'ownerUnknown',       // Drive didn't tell us who owns the file
+  NOT_SENT: 'notSent'                  // Held back by the per-run limit or the daily quota
+};
+
+const OUTREACH_STATUS_LABELS = {
+  [OUTREACH_STATUSES.SENT]: '✅ Sent',
+  [OUTREACH_STATUSES.BOUNCED]: '❌ Bounced',
+  [OUTREACH_STATUSES.OWNER_IS_TARGET]: '🚫 Owner is the target',
+  [OUTREACH_STATUSES.OWNER_UNKNOWN]: '❓ Owner unknown',
+  [OUTREACH_STATUSES.NOT_SENT]: '⏸️ Not sent'
+};
+
+// ==================== OUTREACH ====================
+
+/**
+ * Whether owner outreach applies to this run - it is off for dry runs and
+ * the public link sweep
+ */
+function isOwnerOutreachRun(summary) {
+  return CONFIG.OWNER_OUTREACH && !summary.dryRun && !isPublicLinkSweep(summary.targetEmails);
+}
+
+/**
+ * Emails the owner of every file needing manual review, one email per owner,
+ * for as long as the batch has time. Each owner's result is saved to the
+ * outreach file as soon as it is known, so an owner is never emailed twice
+ * when the step carries on in the next batch.
+ * Returns true once every owner has been handled
+ */
+function runOwnerOutreach(summary, logs, startTime) {
+  if (!isOwnerOutreachRun(summary)) {
+    return true;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  let resultsFileId = properties.getProperty(STATE_KEYS.OUTREACH_FILE_ID);
+  if (!resultsFileId) {
+    resultsFileId = createDataFile(`Owner Outreach - ${summary.runId}.jsonl`);
+    properties.setProperty(STATE_KEYS.OUTREACH_FILE_ID, resultsFileId);
+  }
+
+  const groups = groupManualReviewByOwner(logs);
+  let index = parseInt(properties.getProperty(STATE_KEYS.OUTREACH_INDEX) || '0');
+  let emailsSent = parseInt(properties.getProperty(STATE_KEYS.OUTREACH_EMAILS_SENT) || '0');
+
+  while (index < groups.length) {
+    if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+      console.log(`⏰ Owner outreach continues in the next batch (${index}/${groups.length} owners done)`);
+      return false;
+    }
+
+    const group = groups[index];
+    const result = { ownerEmail: group.ownerEmail, files: group.files.length, status: null, error: null };
+
+    // Owners aren't asked to remove themselves
+    const files = group.files.filter(file => !isOwnerTheTarget(group.ownerEmail, file.targetEmail));
+
+    if (!group.ownerEmail) {
+      result.status = OUTREACH_STATUSES.OWNER_UNKNOWN;
+    } else if (files.length === 0) {
+      result.status = OUTREACH_STATUSES.OWNER_IS_TARGET;
+    } else {
+      const holdReason = getOutreachHoldReason(emailsSent);
+      if (holdReason) {
+        result.status = OUTREACH_STATUSES.NOT_SENT;
+        result.error = holdReason;
+      } else {
+        if (emailsSent > 0) {
+          Utilities.sleep(CONFIG.OUTREACH_SEND_DELAY);
+        }
+        sendOwnerOutreachEmail(group.ownerEmail, files, result);
+        emailsSent++;
+      }
+    }
+
+    appendJsonLines(resultsFileId, [result]);
+    index++;
+    properties.setProperties({
+      [STATE_KEYS.OUTREACH_INDEX]: index.toString(),
+      [STATE_KEYS.OUTREACH_EMAILS_SENT]: emailsSent.toString()
+    });
+  }
+
+  return true;
+}
+
+/**
+ * The outreach results for the summary, or null when outreach is off or
+ * doesn't apply
+ */
+function getOwnerOutreach(summary) {
+  const resultsFileId = PropertiesService.getScriptProperties().getProperty(STATE_KEYS.OUTREACH_FILE_ID);
+  if (!isOwnerOutreachRun(summary) || !resultsFileId) {
+    return null;
+  }
+
+  const outreach = { owners: readJsonLines(resultsFileId), counts: {} };
+  for (const status of Object.values(OUTREACH_STATUSES)) {
+    outreach.counts[status] = outreach.owners.filter(owner => owner.status === status).length;
+  }
+
+  console.log(`📨 Owner outreach: ${outreach.counts.sent} sent, ${outreach.counts.bounced} bounced, ${outreach.counts.notSent} not sent`);
+  return outreach;
+}
+
+/**
+ * Manual-review files grouped by owner (null for files without a known
+ * owner), owners with the most files first
+ */
+function groupManualReviewByOwner(logs) {
+  const groups = {};
+
+  for (const log of logs.filter(log => log.foundButCantRemove && !log.protected)) {
+    const ownerEmail = log.ownerEmail ? log.ownerEmail.toLowerCase() : null;
+    const key = ownerEmail || '';
+    if (!groups[key]) {
+      groups[key] = { ownerEmail, files: [] };
+    }
+
+    groups[key].files.push({
+      title: log.title,
+      fileType: log.fileType,
+      link: log.webViewLink,
+      targetEmail: log.targetEmail,
+      access: getRemainingAccess(log)
+    });
+  }
+
+  return Object.values(groups).sort((a, b) => b.files.length - a.files.length);
+}
+
+/**
+ * The addresses and roles still on a manual-review file - several for a
+ * domain target
+ */
+function getRemainingAccess(log) {
+  const remaining = (log.matches || [])
+    .filter(match => match.foundButCantRemove)
+    .map(match => ({ emailAddress: match.emailAddress, role: match.role }));
+
+  return remaining.length > 0
+    ? remaining
+    : [{ emailAddress: log.targetEmail, role: log.targetPermissionRole }];
+}
+
+function isOwnerTheTarget(ownerEmail, targetEmail) {
+  if (!ownerEmail) {
+    return false;
+  }
+
+  const target = parseTarget(targetEmail);
+  const owner = { type: 'user', emailAddress: ownerEmail };
+  return findTargetPermissions([owner], target).length > 0;
+}
+
+/**
+ * Why the next outreach email has to wait, or null if it can go out now
+ */
+function getOutreachHoldReason(emailsSent) {
+  if (emailsSent >= CONFIG.MAX_OUTREACH_EMAILS) {
+    return `Outreach limit of ${CONFIG.MAX_OUTREACH_EMAILS} emails per run reached`;
+  }
+  if (MailApp.getRemainingDailyQuota() <= CONFIG.OUTREACH_QUOTA_RESERVE) {
+    return 'Daily email quota reached';
+  }
+  return null;
+}
+
+/**
+ * Sends one owner their list of files and records whether MailApp took it.
+ * Bounces that come back later land in the running user's inbox
+ */
+function sendOwnerOutreachEmail(ownerEmail, files, result) {
+  const currentUser = Session.getActiveUser().getEmail();
+  const addresses = [...new Set(files.flatMap(file => file.access.map(access => access.emailAddress)))];
+
+  // Goes to people outside the run - everything from Drive is escaped
+  let emailBody = `
+<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+<p>Hi,</p>
+<p>We're removing Google Drive access for <strong>${escapeHtml(addresses.join(', '))}</strong>. You own
+${files.length === 1 ? 'a file' : `${files.length} files`} still shared with them, and only the owner can change that sharing.</p>
+<p>Please open each file below, click <strong>Share</strong> and remove the listed address:</p>
+<ul>`;
+
+  for (const file of files) {
+    emailBody += `
+<li style="margin-bottom: 8px;">
+  <strong><a href="${escapeHtml(file.link)}" target="_blank" style="color: #1a73e8; text-decoration: none;">${escapeHtml(file.title)}</a></strong>
+  <br><span style="color: #5f6368; font-size: 14px;">${escapeHtml(file.fileType)} • ${escapeHtml(file.access.map(access => `${access.emailAddress} (${access.role})`).join(', '))}</span>
+</li>`;
+  }
+
+  emailBody += `
+</ul>
+<p>If one of them still needs access, reply to this email and let us know.</p>
+<p style="color: #5f6368; font-size: 14px;">Sent by the Drive access cleanup run of ${escapeHtml(currentUser)}</p>
+</div>
+`;
+
+  try {
+    MailApp.sendEmail({
+      to: ownerEmail,
+      replyTo: currentUser,
+      subject: `Please remove ${addresses.join(', ')} from ${files.length} of your Google Drive files`,
+      htmlBody: emailBody
+    });
+    result.status = OUTREACH_STATUSES.SENT;
+    console.log(`📨 Asked ${ownerEmail} to remove access on ${files.length} file(s)`);
+  } catch (error) {
+    result.status = OUTREACH_STATUSES.BOUNCED;
+    result.error = error.message;
+    console.error(`❌ Outreach email to ${ownerEmail} failed:`, error.message);
+  }
+}
+
+// ==================== SUMMARY EMAIL ====================
+
+/**
+ * The outreach section of the summary email
+ */
+function describeOwnerOutreach(outreach) {
+  const counts = outreach.counts;
+  let html = `
+<div style="background: #f8f9fa; border-left: 4px solid #1a73e8; padding: 15px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">📨 Owner Outreach</h3>
+<p>${counts.sent} owner(s) emailed • ${counts.bounced} bounced • ${counts.ownerIsTarget} owned by the target • ${counts.ownerUnknown} with an unknown owner • ${counts.notSent} not sent</p>
+<ul>`;
+
+  for (const owner of outreach.owners) {
+    html += `
+<li>${escapeHtml(owner.ownerEmail || 'Unknown owner')} - ${owner.files} file(s) - ${OUTREACH_STATUS_LABELS[owner.status]}${owner.error ? ` (${escapeHtml(owner.error)})` : ''}</li>`;
+  }
+
+  html += `
+</ul>
+${counts.notSent > 0 ? '<p style="color: #5f6368; font-size: 14px;">Owners not emailed this time are still listed under manual review above.</p>' : ''}
+</div>
+`;
+  return html;
+}
@@ -0,0 +1,189 @@
+/**
+ * Ownership transfer for Google Drive Email Access Remover
+ *
+ * An owner permission can't be removed, so files the target owns used to
+ * end up in manual review. With a successor configured for the target,
+ * ownership is handed over first and the old owner's remaining access is
+ * then removed (or downgraded) like any other permission:
+ *   { email: 'leaver@company.com', successor: 'manager@company.com' }
+ *   { email: 'leaver@company.com', sharedDriveId: '0AbCdEfGhIjKlUk9PVA' }
+ *
+ * Drive only lets the current owner transfer a file, so this works when the
+ * script runs as the owner - the one case where a target may be the running
+ * account (see isOwnershipHandover). Anyone else gets the file in manual
+ * review.
+ * Transfers that need the new owner's consent (e.g. across domains or to
+ * personal accounts) are left pending: the successor is invited as
+ * pending owner and the file is reported until they accept.
+ */
+
+// Drive reasons for a transfer the new owner has to accept first
+const CONSENT_REQUIRED_REASONS = ['consentRequiredForOwnershipTransfer', 'pendingOwnerWriterRequired'];
+
+// ==================== CONFIGURATION ====================
+
+/**
+ * Where a target's files go when they own them, or null if nowhere
+ */
+function getOwnershipTransfer(target) {
+  const options = getTargetOptions(target.key);
+
+  if (options.sharedDriveId) {
+    return { sharedDriveId: options.sharedDriveId };
+  }
+  if (options.successor) {
+    return { successor: options.successor };
+  }
+  return null;
+}
+
+/**
+ * Checks the successor/sharedDriveId options of one target, returning an
+ * error message or null
+ */
+function getOwnershipTransferError(targetKey, options) {
+  if (options.successor && options.sharedDriveId) {
+    return 'Use either successor or sharedDriveId, not both';
+  }
+
+  if (options.successor !== undefined) {
+    if (!EMAIL_REGEX.test(options.successor)) {
+      return `Successor "${options.successor}" is not a valid email address`;
+    }
+    if (isSameAddress(options.successor, targetKey)) {
+      return 'Successor must be someone other than the target';
+    }
+  }
+
+  if (options.sharedDriveId !== undefined && !String(options.sharedDriveId).trim()) {
+    return 'sharedDriveId is empty';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a target's options hand its files over. Only the owner can do
+ * that, so the target may then be the account running the script.
+ */
+function isOwnershipHandover(options) {
+  return Boolean(options && (options.successor || options.sharedDriveId));
+}
+
+function describeTransferDestination(transfer) {
+  return transfer.sharedDriveId ? `shared drive ${transfer.sharedDriveId}` : transfer.successor;
+}
+
+// ==================== TRANSFER ====================
+
+/**
+ * Hands a file owned by the target to its successor (or shared drive)
+ * Returns true when the old owner still has access that processTargetPermission
+ * should go on to remove or downgrade
+ */
+function transferTargetOwnership(file, fileInfo, match, transfer, dryRun) {
+  match.transfer = transfer;
+  match.transferTo = describeTransferDestination(transfer);
+
+  // Only the owner can hand a file over or move it to a shared drive
+  if (!isSameAddress(fileInfo.ownerEmail, Session.getActiveUser().getEmail())) {
+    match.foundButCantRemove = true;
+    match.error = `${match.emailAddress} owns this file and only the owner can transfer it to ${match.transferTo}`;
+    console.log(`⚠️ Can't transfer "${file.name}" - it is owned by ${match.emailAddress}, not by us`);
+    return false;
+  }
+
+  if (dryRun) {
+    if (file.capabilities && file.capabilities.canShare === false) {
+      match.foundButCantRemove = true;
+      match.error = `${match.emailAddress} owns this file and we can't change its sharing to transfer it`;
+      return false;
+    }
+
+    match.wouldTransfer = true;
+    console.log(`🔍 Would transfer "${file.name}" from ${match.emailAddress} to ${match.transferTo}`);
+    return true;
+  }
+
+  try {
+    if (transfer.sharedDriveId) {
+      return moveToSharedDrive(file, match, transfer.sharedDriveId);
+    }
+
+    withDriveRetry(() => Drive.Permissions.create(
+      { type: 'user', role: 'owner', emailAddress: transfer.successor },
+      file.id,
+      { transferOwnership: true, supportsAllDrives: true }
+    ), 'Transferring ownership');
+    match.transferred = true;
+    console.log(`👑 Transferred "${file.name}" from ${match.emailAddress} to ${transfer.successor}`);
+    return true;
+
+  } catch (transferError) {
+    if (transfer.successor && isConsentRequiredError(transferError)) {
+      return requestPendingOwnership(file, match, transfer.successor);
+    }
+
+    match.foundButCantRemove = true;
+    match.error = `${match.emailAddress} owns this file and ownership could not be transferred to ${match.transferTo}: ${transferError.message}`;
+    console.error(`❌ Could not transfer "${file.name}" to ${match.transferTo}: ${transferError.message}`);
+    return false;
+  }
+}
+
+/**
+ * Moving a file into a shared drive makes the drive its owner; whatever
+ * access the old owner still has afterwards is left for the caller to remove
+ */
+function moveToSharedDrive(file, match, sharedDriveId) {
+  const current = withDriveRetry(() => Drive.Files.get(file.id, { fields: 'parents', supportsAllDrives: true }), 'Reading parents');
+
+  withDriveRetry(() => Drive.Files.update({}, file.id, null, {
+    addParents: sharedDriveId,
+    removeParents: (current.parents || []).join(','),
+    supportsAllDrives: true
+  }), 'Moving to shared drive');
+  match.transferred = true;
+  console.log(`👑 Moved "${file.name}" from ${match.emailAddress}'s My Drive to ${match.transferTo}`);
+
+  const permissions = withDriveRetry(() => Drive.Permissions.list(file.id, {
+    fields: `permissions(${PERMISSION_FIELDS})`,
+    supportsAllDrives: true
+  }), 'Listing permissions').permissions || [];
+  const remaining = permissions.find(p => p.type === 'user' && isSameAddress(p.emailAddress, match.emailAddress));
+
+  if (!remaining) {
+    match.removed = true;
+    return false;
+  }
+
+  match.permissionId = remaining.id;
+  return true;
+}
+
+/**
+ * Invites the successor as pending owner - the old owner keeps the file
+ * until the successor accepts, so it is reported as a pending transfer
+ */
+function requestPendingOwnership(file, match, successor) {
+  try {
+    withDriveRetry(() => Drive.Permissions.create(
+      { type: 'user', role: 'writer', emailAddress: successor, pendingOwner: true },
+      file.id,
+      { supportsAllDrives: true }
+    ), 'Offering ownership');
+    match.pendingTransfer = true;
+    console.log(`⏳ Ownership of "${file.name}" offered to ${successor} - waiting for them to accept`);
+
+  } catch (pendingError) {
+    match.foundButCantRemove = true;
+    match.error = `${match.emailAddress} owns this file and ownership could not be offered to ${successor}: ${pendingError.message}`;
+    console.error(`❌ Could not offer ownership of "${file.name}" to ${successor}: ${pendingError.message}`);
+  }
+
+  return false;
+}
+
+function isConsentRequiredError(error) {
+  return CONSENT_REQUIRED_REASONS.includes(getDriveErrorDetails(error).reason);
+}
@@ -0,0 +1,202 @@
+/**
+ * Dry run plans for Google Drive Email Access Remover
+ *
+ * startDryRun() records every permission it would remove in a plan file.
+ * executePlan() replays that plan so a real run removes exactly what was
+ * previewed and approved - nothing found after the preview is touched.
+ */
+
+// ==================== PLAN FILES ====================
+
+/**
+ * Creates the plan file for a dry run and returns its ID (the plan ID)
+ */
+function createPlanFile(runId, targetEmails, scope = null) {
+  return createDataFile(`Cleanup Plan - ${runId}.jsonl`, [{
+    kind: 'plan',
+    runId,
+    createdAt: new Date().toISOString(),
+    createdBy: Session.getActiveUser().getEmail(),
+    targetEmails,
+    scope
+  }]);
+}
+
+/**
+ * Appends the permissions found in a dry run batch to its plan
+ */
+function appendPlanEntries(planId, batchLogs) {
+  const entries = [];
+  for (const log of batchLogs) {
+    for (const match of log.matches || []) {
+      entries.push({
+        kind: 'entry',
+        fileId: log.id,
+        title: log.title,
+        mimeType: log.mimeType,
+        fileType: log.fileType,
+        targetEmail: log.targetEmail,
+        email: match.emailAddress,
+        permissionId: match.permissionId,
+        role: match.role,
+        type: match.type,
+        ownerEmail: log.ownerEmail || null,
+        action: match.action,
+        transfer: match.transfer || null,
+        canRemove: match.canRemove
+      });
+    }
+  }
+
+  appendJsonLines(planId, entries);
+}
+
+/**
+ * Loads a plan as { header, entries }, or null if it can't be read
+ */
+function loadPlan(planId) {
+  try {
+    const records = readJsonLines(planId);
+    const header = records.find(record => record.kind === 'plan');
+
+    if (!header) {
+      console.error(`❌ File ${planId} is not a cleanup plan`);
+      return null;
+    }
+
+    return {
+      header,
+      entries: records.filter(record => record.kind === 'entry')
+    };
+  } catch (error) {
+    console.error(`❌ Could not read plan ${planId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * A planned permission is only removed if it is still the same grant
+ * (plan entries hold one permission each, so domain targets have several per file)
+ */
+function matchesPlanEntry(permission, entry) {
+  return permission.id === entry.permissionId && permission.role === entry.role;
+}
+
+// ==================== PLAN EXECUTION ====================
+
+/**
+ * Execute an approved dry run plan
+ * Defaults to the plan from the most recent startDryRun()
+ */
+function executePlan(planId) {
+  console.log('🚀 Starting Google Drive Email Access Remover v1.0 (executing approved plan)');
+
+  const resolvedPlanId = planId || PropertiesService.getScriptProperties().getProperty(SETTINGS_KEYS.LAST_PLAN_ID);
+  if (!resolvedPlanId) {
+    console.error('❌ No plan to execute!');
+    console.error('💡 Run startDryRun() first, or pass the plan ID from the preview email');
+    return false;
+  }
+
+  const plan = loadPlan(resolvedPlanId);
+  if (!plan) {
+    return false;
+  }
+
+  console.log(`📋 Plan ${resolvedPlanId}: ${plan.entries.length} permission(s) from preview ${plan.header.runId}`);
+
+  return startRun(RUN_MODES.EXECUTE_PLAN, plan.header.targetEmails, {
+    [STATE_KEYS.PLAN_FILE_ID]: resolvedPlanId,
+    [STATE_KEYS.PLAN_INDEX]: '0',
+    [STATE_KEYS.SCOPE]: plan.header.scope || null
+  });
+}
+
+/**
+ * processBatch() counterpart for plan runs - works through the plan
+ * entries in order instead of searching Drive again
+ */
+function processPlanBatch(startTime) {
+  const properties = PropertiesService.getScriptProperties();
+  const planIndex = parseInt(properties.getProperty(STATE_KEYS.PLAN_INDEX) || '0');
+  const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
+
+  const plan = loadPlan(properties.getProperty(STATE_KEYS.PLAN_FILE_ID));
+  if (!plan) {
+    throw new Error('Plan file could not be read');
+  }
+
+  const entries = plan.entries.slice(planIndex, planIndex + CONFIG.BATCH_SIZE);
+  if (entries.length === 0) {
+    finishRun();
+    return;
+  }
+
+  console.log(`📋 Executing plan entries ${planIndex + 1}-${planIndex + entries.length} of ${plan.entries.length}`);
+
+  // Current sharing of every file in the batch, read in one go
+  const filesById = {};
+  for (const entry of entries) {
+    filesById[entry.fileId] = { id: entry.fileId, name: entry.title, mimeType: entry.mimeType };
+  }
+  for (const file of attachPermissionsInBatch(Object.values(filesById))) {
+    filesById[file.id] = file;
+  }
+
+  // Entries past planIndex that an earlier batch already did (see flushRemovals)
+  const doneIndexes = getPageDoneIds();
+  const removalQueue = createRemovalQueue();
+  const batchLogs = [];
+  const batchIndexes = [];
+  for (const [offset, entry] of entries.entries()) {
+    const entryIndex = planIndex + offset;
+    if (doneIndexes.includes(entryIndex)) {
+      continue;
+    }
+    if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+      console.log('⏰ Approaching execution time limit, stopping batch');
+      break;
+    }
+
+    const file = filesById[entry.fileId];
+    const visit = withinBatchBudget(startTime, () => processFile(file, entry.targetEmail, {
+      approvedEntry: entry,
+      action: entry.action,
+      transfer: entry.transfer,
+      removalQueue
+    }));
+    if (shouldLeaveForNextBatch(visit, file, removalQueue)) {
+      break;
+    }
+
+    batchLogs.push(visit.result);
+    batchIndexes.push(entryIndex);
+  }
+  const leftFileIds = flushRemovals(removalQueue, startTime, batchLogs);
+  doneIndexes.push(...batchIndexes.filter(entryIndex => !leftFileIds.includes(plan.entries[entryIndex].fileId)));
+
+  appendJournalEntries(batchLogs);
+
+  // The plan carries on from its first entry not done yet
+  let nextIndex = planIndex;
+  while (doneIndexes.includes(nextIndex)) {
+    nextIndex++;
+  }
+  const lastEntry = plan.entries[Math.max(nextIndex - 1, planIndex)];
+
+  updateState(
+    '',
+    processedCount + batchLogs.length,
+    batchLogs,
+    0,  // A plan is replayed in a single pass
+    lastEntry.targetEmail,
+    doneIndexes.filter(entryIndex => entryIndex > nextIndex)
+  );
+  properties.setProperty(STATE_KEYS.PLAN_INDEX, nextIndex.toString());
+
+  if (nextIndex < plan.entries.length) {
+    scheduleNextBatch();
+  } else {
+    finishRun();
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Protected files for Google Drive Email Access Remover
+ *
+ * Some files - legal holds, client deliverables, board documents - must keep
+ * their sharing exactly as it is, even when someone on them is offboarded.
+ * CONFIG.PROTECTED lists them by file ID, by folder (everything inside is
+ * protected too) or by file type, using the categories of getFileType():
+ *   PROTECTED: {
+ *     fileIds: ['1AbCdEfGh...'],
+ *     folderIds: ['1Legal...'],
+ *     fileTypes: ['Google Forms']
+ *   }
+ * Protected files are reported with their own outcome and never changed.
+ */
+
+// ==================== CHECKS ====================
+
+function getProtectedList() {
+  const protectedList = CONFIG.PROTECTED || {};
+  return {
+    fileIds: protectedList.fileIds || [],
+    folderIds: protectedList.folderIds || [],
+    fileTypes: protectedList.fileTypes || []
+  };
+}
+
+/**
+ * Why a file is protected, or null if its sharing may be changed
+ */
+function getProtectionReason(file) {
+  const protectedList = getProtectedList();
+
+  if (protectedList.fileIds.includes(file.id)) {
+    return 'Protected file';
+  }
+
+  const fileType = getFileType(file.mimeType);
+  if (protectedList.fileTypes.includes(fileType)) {
+    return `Protected file type (${fileType})`;
+  }
+
+  if (isInFolderTree(file, protectedList.folderIds)) {
+    return 'Inside a protected folder';
+  }
+
+  return null;
+}
+
+/**
+ * Why a folder's sharing must not be changed - it is protected itself or
+ * something below it is - or null if it may be. Changing a folder's
+ * permissions changes everything inside it.
+ */
+function getFolderProtectionReason(folderId) {
+  const protectedList = getProtectedList();
+
+  if (protectedList.folderIds.includes(folderId) || protectedList.fileIds.includes(folderId)) {
+    return 'is protected';
+  }
+  if (isInFolderTree({ id: folderId }, protectedList.folderIds)) {
+    return 'is inside a protected folder';
+  }
+
+  // Protected items listed by ID are found by walking up from them
+  if (protectedList.fileIds.some(fileId => isInFolderTree({ id: fileId }, [folderId]))) {
+    return 'contains a protected file';
+  }
+  if (protectedList.folderIds.some(protectedId => isInFolderTree({ id: protectedId }, [folderId]))) {
+    return 'contains a protected folder';
+  }
+
+  // Protected file types mean looking at everything inside
+  if (protectedList.fileTypes.length > 0) {
+    try {
+      const fileType = findProtectedTypeUnder(folderId, protectedList.fileTypes);
+      return fileType ? `contains a protected file type (${fileType})` : null;
+    } catch (error) {
+      return `could not be checked for protected files: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The first protected file type anywhere below a folder, or null
+ */
+function findProtectedTypeUnder(folderId, fileTypes) {
+  const visited = {};
+  const queue = [folderId];
+
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    if (visited[parentId]) continue;
+    visited[parentId] = true;
+
+    let pageToken = null;
+    do {
+      const response = withDriveRetry(() => Drive.Files.list({
+        q: `'${parentId}' in parents and trashed = false`,
+        pageSize: 1000,
+        pageToken: pageToken || undefined,
+        fields: 'nextPageToken, files(id, mimeType)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true
+      }), 'Listing folder contents');
+
+      for (const child of response.files || []) {
+        const fileType = getFileType(child.mimeType);
+        if (fileTypes.includes(fileType)) {
+          return fileType;
+        }
+        if (child.mimeType === FOLDER_MIME_TYPE) {
+          queue.push(child.id);
+        }
+      }
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+  }
+
+  return null;
+}
+
+/**
+ * Checks CONFIG.PROTECTED before a run starts
+ */
+function validateProtectedList() {
+  const unknownTypes = getProtectedList().fileTypes.filter(type => !FILE_TYPE_CATEGORIES.includes(type));
+
+  if (unknownTypes.length > 0) {
+    console.error(`❌ Unknown protected file type(s): ${unknownTypes.join(', ')}`);
+    console.error(`💡 Use one of: ${FILE_TYPE_CATEGORIES.join(', ')}`);
+    return false;
+  }
+
+  return true;
+}
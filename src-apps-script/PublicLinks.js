@@ -0,0 +1,168 @@
+/**
+ * Public link sweep for Google Drive Email Access Remover
+ *
+ * Offboarding a person doesn't help if their files were also shared as
+ * "anyone with the link". The sweep finds files we own or can manage that
+ * are visible to anyone or to a whole domain, and removes that sharing or
+ * downgrades it to view-only (CONFIG.PUBLIC_LINK_ACTION).
+ */
+
+// ==================== ENTRY POINTS ====================
+
+/**
+ * Lock down every public and domain-visible file we can manage
+ */
+function startPublicLinkSweep() {
+  console.log(`🌐 Starting public link sweep (action: ${CONFIG.PUBLIC_LINK_ACTION})`);
+  return startRun(RUN_MODES.CLEANUP, [PUBLIC_LINKS_TARGET]);
+}
+
+/**
+ * Dry run of the public link sweep - lists what would change, changes nothing
+ * The plan it records can be applied with executePlan()
+ */
+function previewPublicLinkSweep() {
+  console.log(`🔍 Starting public link sweep preview (action: ${CONFIG.PUBLIC_LINK_ACTION}) - no changes will be made`);
+  return startRun(RUN_MODES.DRY_RUN, [PUBLIC_LINKS_TARGET]);
+}
+
+function isPublicLinkSweep(targetEmails) {
+  return targetEmails.length > 0 && targetEmails.every(entry => parseTarget(entry).kind === TARGET_KINDS.PUBLIC);
+}
+
+// ==================== REPORTING ====================
+
+/**
+ * Human-readable visibility of an anyone/domain permission
+ */
+function describeVisibility(permission) {
+  const roleNames = { reader: 'view', commenter: 'comment', writer: 'edit' };
+  const access = roleNames[permission.role] || permission.role;
+
+  if (permission.type === 'anyone') {
+    return permission.allowFileDiscovery
+      ? `Public on the web (can ${access})`
+      : `Anyone with the link (can ${access})`;
+  }
+
+  return permission.allowFileDiscovery
+    ? `Anyone at ${permission.domain} can find (can ${access})`
+    : `Anyone at ${permission.domain} with the link (can ${access})`;
+}
+
+function describePublicLinkChange(match) {
+  if (match.removed) return '✅ Link sharing removed';
+  if (match.wouldRemove) return '🔍 Would remove link sharing';
+  if (match.downgraded) return `⬇️ Downgraded to ${match.newRole}`;
+  if (match.wouldDowngrade) return `🔍 Would downgrade to ${match.newRole}`;
+  if (match.unchanged) return 'ℹ️ Already view-only - unchanged';
+  if (match.skipped) return `⏭️ Skipped - ${match.skipReason}`;
+  return `⚠️ Not changed - ${match.error || 'unknown error'}`;
+}
+
+/**
+ * Sends the sweep report in the same style as sendSummaryEmail()
+ */
+function sendPublicLinkSweepEmail(summary, logs, attachments = []) {
+  const currentUser = Session.getActiveUser().getEmail();
+  const duration = Math.round((new Date(summary.endTime) - new Date(summary.startTime)) / 1000 / 60);
+
+  const rows = [];
+  for (const log of logs) {
+    for (const match of log.matches || []) {
+      rows.push({ log, match });
+    }
+  }
+
+  const changed = rows.filter(({ match }) => match.removed || match.downgraded || match.wouldRemove || match.wouldDowngrade);
+  const failed = rows.filter(({ match }) => match.foundButCantRemove || (match.error && !match.skipped));
+  const unchanged = rows.filter(({ match }) => match.unchanged || match.skipped);
+  const protectedLogs = logs.filter(log => log.protected);
+
+  let emailBody = `
+<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+
+<h2 style="color: #1a73e8;">${summary.dryRun ? '🔍 Public Link Sweep - Preview (No Changes Made)' : '🌐 Public Link Sweep - Complete!'}</h2>
+<p style="color: #5f6368;"><strong>Scope:</strong> ${describeScope(summary.scope)}</p>
+${describeReportExports(summary, attachments)}
+`;
+
+  if (summary.dryRun) {
+    emailBody += `
+<div style="background: #e8f0fe; border: 2px solid #1a73e8; border-radius: 8px; padding: 20px; margin: 20px 0;">
+<h3 style="color: #1a73e8; margin-top: 0;">🔍 This was a dry run - no sharing was changed</h3>
+<p><strong>Plan ID:</strong> ${summary.planId} • <a href="${getDataFileUrl(summary.planId)}" target="_blank" style="color: #1a73e8;">View plan file</a><br>
+<strong>To apply:</strong> run <code>executePlan('${summary.planId}')</code></p>
+</div>
+`;
+  }
+
+  emailBody += `
+<div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+<h3 style="color: #137333; margin-top: 0;">📊 Summary</h3>
+<table style="width: 100%; border-collapse: collapse;">
+<tr><td style="padding: 5px;"><strong>Files With Public/Domain Sharing:</strong></td><td>${summary.totalFiles}</td></tr>
+<tr><td style="padding: 5px;"><strong>${summary.dryRun ? 'Would Change' : 'Changed'}:</strong></td><td style="color: #137333;">${changed.length}</td></tr>
+<tr><td style="padding: 5px;"><strong>Could Not Change:</strong></td><td style="color: #f9ab00;"><strong>${failed.length}</strong></td></tr>
+<tr><td style="padding: 5px;"><strong>Left As Is:</strong></td><td style="color: #9aa0a6;">${unchanged.length}</td></tr>
+<tr><td style="padding: 5px;"><strong>Protected:</strong></td><td style="color: #1a73e8;">${protectedLogs.length}</td></tr>
+<tr><td style="padding: 5px;"><strong>Action:</strong></td><td>${CONFIG.PUBLIC_LINK_ACTION}</td></tr>
+${summary.retries.calls + summary.retries.batches > 0 ? `<tr><td style="padding: 5px;"><strong>Retried (Rate Limits / Drive Errors):</strong></td><td style="color: #5f6368;">${summary.retries.calls} call(s), ${summary.retries.batches} batch(es)</td></tr>` : ''}
+<tr><td style="padding: 5px;"><strong>Processing Time:</strong></td><td>${duration} minutes</td></tr>
+</table>
+</div>
+`;
+
+  const renderSection = (title, color, sectionRows) => {
+    if (sectionRows.length === 0) return '';
+
+    let html = `<h3 style="color: ${color};">${title} (${sectionRows.length})</h3><ul>`;
+    for (const { log, match } of sectionRows) {
+      html += `
+<li style="margin-bottom: 8px;">
+  <strong><a href="${log.webViewLink}" target="_blank" style="color: #1a73e8; text-decoration: none;">${log.title}</a></strong>
+  <br><span style="color: #5f6368; font-size: 14px;">${log.fileType} • Was: ${describeVisibility(match.permission)} •
+  ${describePublicLinkChange(match)}${log.ownerEmail ? ` • Owner: ${log.ownerEmail}` : ''}</span>
+</li>`;
+    }
+    return html + '</ul>';
+  };
+
+  emailBody += renderSection('⚠️ Could Not Change', '#f9ab00', failed);
+  emailBody += renderSection(summary.dryRun ? '🔍 Would Change' : '✅ Changed', '#137333', changed);
+  emailBody += renderSection('ℹ️ Left As Is', '#9aa0a6', unchanged);
+
+  if (protectedLogs.length > 0) {
+    emailBody += `<h3 style="color: #1a73e8;">🛡️ Protected - Left As Is (${protectedLogs.length})</h3><ul>`;
+    for (const log of protectedLogs) {
+      emailBody += `
+<li style="margin-bottom: 8px;">
+  <strong><a href="${log.webViewLink}" target="_blank" style="color: #1a73e8; text-decoration: none;">${log.title}</a></strong>
+  <br><span style="color: #5f6368; font-size: 14px;">${log.fileType} • ${log.protectionReason}</span>
+</li>`;
+    }
+    emailBody += '</ul>';
+  }
+
+  emailBody += `
+<hr style="margin: 30px 0; border: none; border-top: 1px solid #dadce0;">
+<p style="color: #5f6368; font-size: 14px;">
+Sweep completed at ${new Date(summary.endTime).toLocaleString()}${summary.runId ? ` • Run ID: ${summary.runId}` : ''}<br>
+${!summary.dryRun && changed.length > 0 ? `Undo with <code>restorePermissions('${summary.runId}')</code><br>` : ''}
+${summary.runLogId ? `Every file's result: <a href="${getDataFileUrl(summary.runLogId)}" target="_blank">full run log</a>` : ''}
+</p>
+
+</div>
+`;
+
+  MailApp.sendEmail({
+    to: currentUser,
+    subject: summary.dryRun
+      ? `🔍 Public Link Sweep Preview (no changes made) - ${changed.length} of ${summary.totalFiles} files would change`
+      : `🌐 Public Link Sweep Complete - ${changed.length} of ${summary.totalFiles} files locked down${failed.length ? ` (${failed.length} need manual review)` : ''}`,
+    htmlBody: emailBody,
+    attachments
+  });
+
+  console.log('📧 Public link sweep report sent to', currentUser);
+}
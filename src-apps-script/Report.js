@@ -0,0 +1,229 @@
+/**
+ * Run report exports for Google Drive Email Access Remover
+ *
+ * The summary email is hard to filter or hand to an auditor, so every run
+ * also exports its per-file results:
+ * - a CSV attached to the summary email
+ * - a spreadsheet in the data folder, linked from the email, with a tab per
+ *   target, one for the files needing manual review and one per file type
+ */
+
+// ==================== REPORT LAYOUT ====================
+
+const REPORT_COLUMNS = {
+  RESULTS: ['Target', 'File', 'File Type', 'Outcome', 'Role', 'Matched Addresses', 'Owner', 'Error', 'Link', 'File ID'],
+  MANUAL_REVIEW: ['File', 'Target', 'Role', 'Owner', 'File Type', 'Link'],
+  FILE_TYPES: ['File Type', 'Processed', 'Removed', 'Downgraded', 'Protected', 'Manual Review', 'Skipped', 'Errors']
+};
+
+const REPORT_SHEETS = {
+  MANUAL_REVIEW: 'Manual Review',
+  FILE_TYPES: 'By File Type'
+};
+
+// Sheet names can't contain these and are limited to 100 characters
+const INVALID_SHEET_NAME_CHARACTERS = /[\[\]:*?\/\\]/g;
+const MAX_SHEET_NAME_LENGTH = 100;
+
+// ==================== EXPORT ====================
+
+/**
+ * Creates the report spreadsheet - a completion step of its own, as it can
+ * take a while on a large run (see Completion.js). It can fail without
+ * holding up the summary email, which then goes out without the link.
+ * Returns the spreadsheet URL, or null
+ */
+function exportReportSpreadsheet(summary, logs) {
+  try {
+    const url = createReportSpreadsheet(getReportName(summary), summary, logs);
+    console.log(`📊 Report spreadsheet: ${url}`);
+    return url;
+  } catch (error) {
+    console.error('❌ Could not create the report spreadsheet:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The CSV attachment for the summary email, built when the email is sent.
+ * Returns an empty list when CSVs are off, too large or couldn't be built
+ */
+function buildReportAttachments(summary, logs) {
+  if (!CONFIG.EXPORT_CSV) {
+    return [];
+  }
+
+  try {
+    const csv = buildResultsCsv(logs);
+    if (csv.length > CONFIG.MAX_CSV_ATTACHMENT_SIZE) {
+      console.warn(`⚠️ CSV report is ${csv.length} characters - too large to attach, see the spreadsheet instead`);
+      return [];
+    }
+    return [Utilities.newBlob(csv, 'text/csv', `${getReportName(summary)}.csv`)];
+  } catch (error) {
+    console.error('❌ Could not build the CSV report:', error.message);
+    return [];
+  }
+}
+
+function getReportName(summary) {
+  return `Drive Cleanup Report - ${summary.runId || summary.startTime}`;
+}
+
+/**
+ * Creates the report spreadsheet in the data folder and returns its URL
+ */
+function createReportSpreadsheet(name, summary, logs) {
+  const spreadsheet = SpreadsheetApp.create(name);
+  DriveApp.getFileById(spreadsheet.getId()).moveTo(getDataFolder());
+
+  const tabs = [];
+  for (const [target, targetLogs] of Object.entries(groupLogsByTarget(logs, summary.targetEmails))) {
+    tabs.push({ name: target, rows: [REPORT_COLUMNS.RESULTS, ...targetLogs.map(toResultRow)], plainText: true });
+  }
+  tabs.push({ name: REPORT_SHEETS.MANUAL_REVIEW, rows: [REPORT_COLUMNS.MANUAL_REVIEW, ...summary.filesNeedingManualReview.map(toManualReviewRow)], plainText: true });
+  tabs.push({ name: REPORT_SHEETS.FILE_TYPES, rows: [getFileTypeColumns(summary), ...Object.entries(summary.byFileType).map(toFileTypeRow)], plainText: false });
+
+  const usedNames = {};
+  tabs.forEach((tab, index) => {
+    const sheet = index === 0 ? spreadsheet.getSheets()[0] : spreadsheet.insertSheet();
+    sheet.setName(getUniqueSheetName(tab.name, usedNames));
+    writeReportRows(sheet, tab.rows, tab.plainText);
+  });
+
+  return spreadsheet.getUrl();
+}
+
+/**
+ * Writes a header and its rows. Tabs with file titles are written as plain
+ * text, so a title starting with "=" isn't read as a formula
+ */
+function writeReportRows(sheet, rows, plainText) {
+  const range = sheet.getRange(1, 1, rows.length, rows[0].length);
+  if (plainText) {
+    range.setNumberFormat('@');
+  }
+  range.setValues(rows);
+  sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+}
+
+/**
+ * Results per target, in target order. A file that couldn't be read for
+ * several targets at once is listed under each of them
+ */
+function groupLogsByTarget(logs, targetEmails) {
+  const groups = {};
+  for (const target of targetEmails) {
+    groups[target] = [];
+  }
+
+  for (const log of logs) {
+    for (const target of String(log.targetEmail || 'Unknown').split(', ')) {
+      if (!groups[target]) {
+        groups[target] = [];
+      }
+      groups[target].push(log);
+    }
+  }
+
+  return groups;
+}
+
+function getUniqueSheetName(name, usedNames) {
+  const base = String(name).replace(INVALID_SHEET_NAME_CHARACTERS, '_').slice(0, MAX_SHEET_NAME_LENGTH - 4) || 'Sheet';
+  let unique = base;
+  for (let copy = 2; usedNames[unique.toLowerCase()]; copy++) {
+    unique = `${base} (${copy})`;
+  }
+
+  usedNames[unique.toLowerCase()] = true;
+  return unique;
+}
+
+/**
+ * The line linking the report spreadsheet and naming the CSV attachment,
+ * or nothing when neither was exported
+ */
+function describeReportExports(summary, attachments) {
+  const parts = [];
+  if (summary.reportUrl) {
+    parts.push(`<a href="${summary.reportUrl}" target="_blank" style="color: #1a73e8;">Open the report spreadsheet</a> (a tab per target, manual review and file types)`);
+  }
+  if (attachments.length > 0) {
+    parts.push(`every file's result is attached as ${attachments[0].getName()}`);
+  }
+  return parts.length > 0 ? `<p style="color: #5f6368;">📊 ${parts.join(' • ')}</p>` : '';
+}
+
+// ==================== ROWS ====================
+
+/**
+ * One line per file result, e.g. "Removed" or "Needs manual review".
+ * Follows the order generateSummary() counts outcomes in
+ */
+function describeLogOutcome(log) {
+  if (log.protected) return `Protected (${log.protectionReason})`;
+  if (log.coveredByFolder) return 'Covered by folder removal';
+  if (log.removed) return 'Removed';
+  if (log.wouldRemove) return 'Would remove';
+  if (log.downgraded) return 'Downgraded';
+  if (log.wouldDowngrade) return 'Would downgrade';
+  if (log.foundButCantRemove) return 'Needs manual review';
+  if (log.error) return 'Error';
+  if (log.memberAccess) return 'Shared drive member access';
+  if (log.skipped) return 'Skipped';
+  if (log.unchanged) return 'Unchanged';
+  return 'Not shared';
+}
+
+function toResultRow(log) {
+  return [
+    log.targetEmail,
+    log.title,
+    log.fileType,
+    describeLogOutcome(log),
+    log.targetPermissionRole || '',
+    [...new Set((log.matches || []).map(match => match.emailAddress).filter(address => address))].join(', '),
+    log.ownerEmail || '',
+    log.error || '',
+    log.webViewLink,
+    log.id
+  ];
+}
+
+function toManualReviewRow(file) {
+  return [file.title, file.email, file.role || '', file.ownerEmail, file.fileType, file.link];
+}
+
+function getFileTypeColumns(summary) {
+  return summary.dryRun
+    ? REPORT_COLUMNS.FILE_TYPES.map(column => (column === 'Removed' ? 'Would Remove' : column))
+    : REPORT_COLUMNS.FILE_TYPES;
+}
+
+function toFileTypeRow([fileType, stats]) {
+  return [fileType, stats.processed, stats.removed, stats.downgraded, stats.protected, stats.foundButCantRemove, stats.skipped, stats.errors];
+}
+
+// ==================== CSV ====================
+
+/**
+ * Every file result as CSV, with the same columns as the target tabs
+ */
+function buildResultsCsv(logs) {
+  return [REPORT_COLUMNS.RESULTS, ...logs.map(toResultRow)]
+    .map(row => row.map(toCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV value and defuses cells a spreadsheet would run as a formula
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,192 @@
+/**
+ * Retries for Google Drive Email Access Remover
+ *
+ * Drive answers bursts of calls with rate limit errors and occasionally
+ * fails with a 5xx that succeeds moments later. Errors are classified by the
+ * structured status and reason Drive returns: transient ones are retried
+ * with exponential backoff and jitter - first the call itself, then, if a
+ * whole batch still fails, the batch from a later trigger. Only permanent
+ * failures stop a run. Retry counts are included in the run summary.
+ *
+ * Backoff sleeps count against the batch's time budget: a retry that would
+ * wait past MAX_EXECUTION_TIME isn't made, and the file is left for the
+ * next batch (see withinBatchBudget).
+ */
+
+const DRIVE_ERROR_TYPES = {
+  TRANSIENT: 'transient',  // Rate limits and server errors - worth retrying
+  NO_ACCESS: 'noAccess',   // We can't see or change the file - skip it
+  PERMANENT: 'permanent'   // Anything else - report it
+};
+
+const TRANSIENT_ERROR_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'sharingRateLimitExceeded', 'backendError', 'internalError'];
+const NO_ACCESS_ERROR_REASONS = ['notFound', 'forbidden', 'insufficientFilePermissions', 'insufficientPermissions', 'appNotAuthorizedToFile'];
+const TRANSIENT_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Call retries of this execution, added to the run state by saveRetryCounts()
+let callRetryCount = 0;
+
+// Time budget of the batch item being processed (see withinBatchBudget)
+let batchDeadline = null;
+let batchDeadlineMissed = false;
+
+// ==================== CLASSIFICATION ====================
+
+/**
+ * Status code and reason of a Drive error - from the Drive advanced
+ * service (error.details) or a batch part (see toDriveError)
+ */
+function getDriveErrorDetails(error) {
+  const details = (error && error.details) || {};
+  const firstError = (details.errors || [])[0] || {};
+
+  return {
+    status: (error && error.code) || details.code || null,
+    reason: (error && error.reason) || firstError.reason || details.reason || null
+  };
+}
+
+function classifyDriveError(error) {
+  const { status, reason } = getDriveErrorDetails(error);
+
+  if (TRANSIENT_ERROR_REASONS.includes(reason) || TRANSIENT_STATUS_CODES.includes(status)) {
+    return DRIVE_ERROR_TYPES.TRANSIENT;
+  }
+  if (NO_ACCESS_ERROR_REASONS.includes(reason) || status === 403 || status === 404) {
+    return DRIVE_ERROR_TYPES.NO_ACCESS;
+  }
+  return DRIVE_ERROR_TYPES.PERMANENT;
+}
+
+function isTransientDriveError(error) {
+  return classifyDriveError(error) === DRIVE_ERROR_TYPES.TRANSIENT;
+}
+
+function describeDriveError(error) {
+  const { status, reason } = getDriveErrorDetails(error);
+  return [status, reason].filter(part => part).join(' ') || error.message;
+}
+
+// ==================== PER CALL ====================
+
+/**
+ * Runs a Drive call, retrying transient failures with backoff
+ * e.g. withDriveRetry(() => Drive.Permissions.list(...), 'Listing permissions')
+ */
+function withDriveRetry(call, description) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return call();
+    } catch (error) {
+      if (attempt >= CONFIG.MAX_CALL_RETRIES || !isTransientDriveError(error)) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, CONFIG.BACKOFF_BASE_DELAY);
+      if (batchDeadline !== null && Date.now() + delay > batchDeadline) {
+        batchDeadlineMissed = true;
+        console.warn(`⏰ ${description} failed (${describeDriveError(error)}) - no time left in this batch to wait for a retry`);
+        throw error;
+      }
+
+      console.warn(`🔁 ${description} failed (${describeDriveError(error)}) - retry ${attempt + 1}/${CONFIG.MAX_CALL_RETRIES} in ${Math.round(delay / 1000)}s`);
+      callRetryCount++;
+      Utilities.sleep(delay);
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter: somewhere between half and all of
+ * baseDelay * 2^attempt, so retries from parallel callers spread out
+ */
+function getBackoffDelay(attempt, baseDelay) {
+  const ceiling = Math.min(baseDelay * Math.pow(2, attempt), CONFIG.MAX_BACKOFF_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// ==================== BATCH TIME BUDGET ====================
+
+/**
+ * Processes one item of a batch (a file, plan or journal entry) with its
+ * call retries limited to the time the batch has left. Returns
+ * { result, outOfTime } - when a retry didn't fit, outOfTime is set and the
+ * caller leaves the item for the next batch
+ */
+function withinBatchBudget(startTime, work) {
+  batchDeadline = startTime + CONFIG.MAX_EXECUTION_TIME;
+  batchDeadlineMissed = false;
+  try {
+    return { result: work(), outOfTime: batchDeadlineMissed };
+  } finally {
+    batchDeadline = null;
+  }
+}
+
+/**
+ * Whether a call of the item being processed gave up for lack of time -
+ * its failure says nothing about the file and mustn't be remembered
+ */
+function isBatchDeadlineMissed() {
+  return batchDeadline !== null && batchDeadlineMissed;
+}
+
+// ==================== PER BATCH ====================
+
+/**
+ * Schedules the failed batch again after a backoff if the error is transient
+ * and the batch hasn't failed too often in a row
+ * Returns false when the run should be stopped instead
+ */
+function retryBatchLater(error, handlerFunction = 'processBatch') {
+  if (!isTransientDriveError(error)) {
+    return false;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const attempts = parseInt(properties.getProperty(STATE_KEYS.FAILED_BATCH_ATTEMPTS) || '0');
+  if (attempts >= CONFIG.MAX_BATCH_RETRIES) {
+    console.error(`❌ Batch failed ${attempts + 1} times in a row - giving up`);
+    return false;
+  }
+
+  properties.setProperties({
+    [STATE_KEYS.FAILED_BATCH_ATTEMPTS]: (attempts + 1).toString(),
+    [STATE_KEYS.BATCH_RETRIES]: (parseInt(properties.getProperty(STATE_KEYS.BATCH_RETRIES) || '0') + 1).toString()
+  });
+  saveRetryCounts(false);
+
+  const delay = getBackoffDelay(attempts + 1, CONFIG.RETRY_DELAY);
+  console.warn(`🔁 Batch failed (${describeDriveError(error)}) - retry ${attempts + 1}/${CONFIG.MAX_BATCH_RETRIES} in ${Math.round(delay / 1000)}s`);
+  scheduleNextBatch(handlerFunction, delay);
+  return true;
+}
+
+/**
+ * Adds this execution's call retries to the run state; after a batch
+ * went through (batchSucceeded) its failure streak starts over
+ */
+function saveRetryCounts(batchSucceeded = true) {
+  const properties = PropertiesService.getScriptProperties();
+  const state = {
+    [STATE_KEYS.CALL_RETRIES]: (parseInt(properties.getProperty(STATE_KEYS.CALL_RETRIES) || '0') + callRetryCount).toString()
+  };
+  if (batchSucceeded) {
+    state[STATE_KEYS.FAILED_BATCH_ATTEMPTS] = '0';
+  }
+
+  properties.setProperties(state);
+  callRetryCount = 0;
+}
+
+/**
+ * Retries of the current run so far, for checkStatus() and the summary
+ */
+function getRetryCounts() {
+  const properties = PropertiesService.getScriptProperties();
+
+  return {
+    calls: parseInt(properties.getProperty(STATE_KEYS.CALL_RETRIES) || '0') + callRetryCount,
+    batches: parseInt(properties.getProperty(STATE_KEYS.BATCH_RETRIES) || '0')
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Run scope for Google Drive Email Access Remover
+ *
+ * By default a run covers everything the running user can see. For partial
+ * offboarding - someone leaves a project but stays in the company - a run
+ * can be limited to one or more folders (including everything below them)
+ * or to a single shared drive:
+ *   CONFIG.SCOPE = { folderIds: ['1AbCdEfGh...'] }
+ *   CONFIG.SCOPE = { sharedDriveId: '0AbCdEfGh...' }
+ *   startScopedCleanup({ folderIds: ['1AbCdEfGh...'] }, true)  // dry run
+ *
+ * The scope is resolved once when the run starts and kept in run state, so
+ * every trigger-chained batch stays inside it.
+ */
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// ==================== ENTRY POINT ====================
+
+/**
+ * Start a cleanup (or, with dryRun, a preview) of TARGET_EMAILS limited to scope
+ */
+function startScopedCleanup(scope, dryRun = false) {
+  console.log(`🚀 Starting Google Drive Email Access Remover v1.0 (scoped${dryRun ? ' dry run' : ''})`);
+  return startRun(dryRun ? RUN_MODES.DRY_RUN : RUN_MODES.CLEANUP, TARGET_EMAILS, { [STATE_KEYS.SCOPE]: scope });
+}
+
+// ==================== RESOLVING ====================
+
+/**
+ * Checks a scope and looks up the names shown in reports
+ * Returns the resolved scope, null for no scope, or false if it is invalid
+ */
+function resolveScope(scope) {
+  if (!scope) {
+    return null;
+  }
+
+  const folderIds = scope.folderIds || [];
+  if (folderIds.length > 0 && scope.sharedDriveId) {
+    console.error('❌ A scope can be folders or a shared drive, not both');
+    return false;
+  }
+  if (folderIds.length === 0 && !scope.sharedDriveId) {
+    console.error('❌ A scope needs folderIds or a sharedDriveId');
+    return false;
+  }
+
+  try {
+    if (scope.sharedDriveId) {
+      const drive = Drive.Drives.get(scope.sharedDriveId, { fields: 'id, name' });
+      return { sharedDriveId: drive.id, names: [drive.name] };
+    }
+
+    const names = folderIds.map(folderId => {
+      const folder = Drive.Files.get(folderId, { fields: 'id, name, mimeType', supportsAllDrives: true });
+      if (folder.mimeType !== FOLDER_MIME_TYPE) {
+        throw new Error(`"${folder.name}" (${folderId}) is not a folder`);
+      }
+      return folder.name;
+    });
+    return { folderIds, names };
+
+  } catch (error) {
+    console.error(`❌ Invalid scope: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Scope of the current run, or null when it covers everything
+ */
+function getRunScope() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(STATE_KEYS.SCOPE) || 'null');
+  } catch (error) {
+    console.warn('⚠️ Could not parse run scope');
+    return null;
+  }
+}
+
+function describeScope(scope) {
+  if (!scope) {
+    return 'Everything you can access';
+  }
+  if (scope.sharedDriveId) {
+    return `Shared drive "${scope.names[0]}"`;
+  }
+
+  const names = scope.names.map(name => `"${name}"`).join(', ');
+  return `${scope.names.length === 1 ? 'Folder' : 'Folders'} ${names} (including subfolders)`;
+}
+
+// ==================== FILTERING ====================
+
+/**
+ * Restricts a Files.list request to the scope's shared drive, if it has one
+ */
+function applyScopeToSearch(listOptions, scope) {
+  if (scope && scope.sharedDriveId) {
+    listOptions.corpora = 'drive';
+    listOptions.driveId = scope.sharedDriveId;
+  }
+  return listOptions;
+}
+
+/**
+ * Whether a search result lies inside the scope
+ */
+function isInScope(file, scope) {
+  if (!scope || !scope.folderIds) {
+    return true;
+  }
+  return isInFolderTree(file, scope.folderIds);
+}
+
+// ==================== FOLDER TREES ====================
+
+let itemParentsCache = {};
+
+/**
+ * Whether a file is one of folderIds or anywhere below them
+ * Drive search can't match a whole folder tree, so ancestors are walked up
+ * (and remembered for the rest of the execution)
+ */
+function isInFolderTree(file, folderIds) {
+  if (folderIds.length === 0) {
+    return false;
+  }
+  if (folderIds.includes(file.id)) {
+    return true;
+  }
+
+  const visited = {};
+  const queue = [...(file.parents || getItemParents(file.id))];
+  while (queue.length > 0) {
+    const folderId = queue.shift();
+    if (folderIds.includes(folderId)) {
+      return true;
+    }
+    if (visited[folderId]) {
+      continue;
+    }
+    visited[folderId] = true;
+    queue.push(...getItemParents(folderId));
+  }
+
+  return false;
+}
+
+function getItemParents(itemId) {
+  if (!(itemId in itemParentsCache)) {
+    try {
+      itemParentsCache[itemId] = withDriveRetry(() => Drive.Files.get(itemId, { fields: 'parents', supportsAllDrives: true }), 'Reading parents').parents || [];
+    } catch (error) {
+      console.warn(`⚠️ Could not read parents of ${itemId}: ${error.message}`);
+      itemParentsCache[itemId] = [];
+    }
+  }
+  return itemParentsCache[itemId];
+}
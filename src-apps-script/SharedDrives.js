@@ -0,0 +1,131 @@
+/**
+ * Shared drive memberships for Google Drive Email Access Remover
+ *
+ * A member of a shared drive can open everything in it, and that access
+ * doesn't show up as file sharing that can be removed file by file. Before
+ * searching a target's files, each run goes through the shared drives we
+ * can manage and removes (or downgrades) the target's drive membership.
+ * Drives are handled through processFile() like files - a drive ID works
+ * with the Permissions API as long as supportsAllDrives is set.
+ */
+
+// Stand-in MIME type so drives can travel through plans, logs and reports
+const SHARED_DRIVE_MIME_TYPE = 'application/vnd.google-apps.shared-drive';
+
+// ==================== MEMBERSHIP PHASE ====================
+
+/**
+ * Whether the current pass still has shared drive memberships to go through
+ */
+function needsSharedDrivePhase(targets, scope) {
+  if (!CONFIG.SHARED_DRIVE_MEMBERSHIPS || targets.every(target => target.kind === TARGET_KINDS.PUBLIC)) {
+    return false;
+  }
+  
+  // A folder-scoped run leaves drive memberships alone
+  if (scope && scope.folderIds) {
+    return false;
+  }
+  return PropertiesService.getScriptProperties().getProperty(STATE_KEYS.SHARED_DRIVES_DONE) !== 'true';
+}
+
+/**
+ * processBatch() counterpart for the membership phase - checks one page of
+ * shared drives for every target of the pass and schedules the next batch
+ */
+function processSharedDriveBatch(passTargets, passIndex, startTime, targetOptions, scope, removalQueue) {
+  const properties = PropertiesService.getScriptProperties();
+  const pageToken = properties.getProperty(STATE_KEYS.SHARED_DRIVE_PAGE_TOKEN);
+  const processedCount = parseInt(properties.getProperty(STATE_KEYS.PROCESSED_COUNT) || '0');
+  const driveFields = 'id, name, capabilities(canManageMembers)';
+
+  // A run scoped to one shared drive only checks that drive
+  const response = withDriveRetry(() => scope && scope.sharedDriveId
+    ? { drives: [Drive.Drives.get(scope.sharedDriveId, { fields: driveFields })] }
+    : Drive.Drives.list({
+      pageSize: CONFIG.BATCH_SIZE,
+      pageToken: pageToken || undefined,
+      fields: `nextPageToken, drives(${driveFields})`
+    }), 'Listing shared drives');
+
+  // Only drives whose members we are allowed to change
+  // Drives an earlier batch already handled before hitting the time limit are skipped
+  const doneDriveIds = getPageDoneIds();
+  const drives = (response.drives || []).filter(drive =>
+    !doneDriveIds.includes(drive.id) && drive.capabilities && drive.capabilities.canManageMembers
+  );
+  const driveFiles = attachPermissionsInBatch(drives.map(toSharedDriveFile));
+  const passLabel = passTargets.join(', ');
+  console.log(`🗄️ Checking ${drives.length} shared drive(s) for ${passLabel} memberships`);
+
+  const batchLogs = [];
+  let pageFinished = true;
+  for (const driveFile of driveFiles) {
+    if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+      console.log('⏰ Approaching execution time limit, stopping batch');
+      pageFinished = false;
+      break;
+    }
+
+    const visit = withinBatchBudget(startTime, () => processFileForTargets(driveFile, passTargets, targetOptions));
+    if (shouldLeaveForNextBatch(visit, driveFile, removalQueue)) {
+      pageFinished = false;
+      break;
+    }
+
+    batchLogs.push(...visit.result.filter(result => result.matches.length > 0));
+    doneDriveIds.push(driveFile.id);
+  }
+  const leftDriveIds = flushRemovals(removalQueue, startTime, batchLogs);
+  if (leftDriveIds.length > 0) {
+    pageFinished = false;
+  }
+
+  if (properties.getProperty(STATE_KEYS.RUN_MODE) === RUN_MODES.DRY_RUN) {
+    appendPlanEntries(properties.getProperty(STATE_KEYS.PLAN_FILE_ID), batchLogs);
+  } else {
+    appendJournalEntries(batchLogs);
+  }
+
+  updateState('', processedCount + batchLogs.length, batchLogs, passIndex, passLabel, pageFinished ? [] : doneDriveIds.filter(driveId => !leftDriveIds.includes(driveId)));
+
+  // An unfinished page of drives is listed again and resumed from its checkpoint
+  const nextDrivePageToken = pageFinished ? response.nextPageToken : pageToken;
+  properties.setProperties({
+    [STATE_KEYS.SHARED_DRIVE_PAGE_TOKEN]: nextDrivePageToken || '',
+    [STATE_KEYS.SHARED_DRIVES_DONE]: !pageFinished || nextDrivePageToken ? 'false' : 'true'
+  });
+
+  scheduleNextBatch();
+}
+
+/**
+ * Shapes a drive like a Files.list result so processFile() can handle it
+ */
+function toSharedDriveFile(drive) {
+  return {
+    id: drive.id,
+    name: drive.name,
+    mimeType: SHARED_DRIVE_MIME_TYPE,
+    capabilities: { canShare: true }
+  };
+}
+
+function isSharedDrive(fileInfo) {
+  return fileInfo.mimeType === SHARED_DRIVE_MIME_TYPE;
+}
+
+function getSharedDriveUrl(driveId) {
+  return `https://drive.google.com/drive/folders/${driveId}`;
+}
+
+// ==================== FILE-LEVEL ACCESS ====================
+
+/**
+ * A permission on a shared drive file that only exists because the grantee
+ * is a drive member - it can't be removed from the file, only from the drive
+ */
+function isMemberAccess(permission) {
+  const details = permission.permissionDetails || [];
+  return details.length > 0 && details.every(detail => detail.permissionType === 'member' && detail.inherited);
+}
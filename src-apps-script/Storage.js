@@ -0,0 +1,135 @@
+/**
+ * Storage helpers for Google Drive Email Access Remover
+ *
+ * Script properties are small (9KB per value), so anything that has to
+ * survive a whole run - previews, plans, logs - is written to JSONL files
+ * in a dedicated Drive folder instead.
+ */
+
+// ==================== DATA FOLDER ====================
+
+/**
+ * Returns the Drive folder used for plans, logs and other run data,
+ * creating it on first use
+ */
+function getDataFolder() {
+  const properties = PropertiesService.getScriptProperties();
+  const folderId = properties.getProperty(SETTINGS_KEYS.DATA_FOLDER_ID);
+
+  if (folderId) {
+    try {
+      const folder = DriveApp.getFolderById(folderId);
+      if (!folder.isTrashed()) {
+        return folder;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Data folder ${folderId} is no longer accessible, creating a new one`);
+    }
+  }
+
+  const folder = DriveApp.createFolder(CONFIG.DATA_FOLDER_NAME);
+  properties.setProperty(SETTINGS_KEYS.DATA_FOLDER_ID, folder.getId());
+  console.log(`📂 Created data folder "${CONFIG.DATA_FOLDER_NAME}"`);
+  return folder;
+}
+
+// ==================== JSONL FILES ====================
+
+// Each full part names the part that continues it in its description
+const DATA_FILE_NEXT_PART_PREFIX = 'Continued in data file ';
+
+/**
+ * Creates a JSONL file in the data folder and returns its ID
+ */
+function createDataFile(name, records = []) {
+  const content = records.map(record => JSON.stringify(record) + '\n').join('');
+  const file = getDataFolder().createFile(name, content, MimeType.PLAIN_TEXT);
+  return file.getId();
+}
+
+/**
+ * Appends records to a JSONL data file, one JSON object per line.
+ * Drive can't append to a file, so the last part is rewritten; once it
+ * reaches MAX_DATA_FILE_SIZE the records go to a new part instead, which
+ * keeps every append about the same cost however long the run gets.
+ */
+function appendJsonLines(fileId, records) {
+  if (!records || records.length === 0) {
+    return;
+  }
+
+  const parts = getDataFileParts(fileId);
+  const file = parts[parts.length - 1];
+  const appended = records.map(record => JSON.stringify(record) + '\n').join('');
+
+  if (file.getSize() > 0 && file.getSize() + appended.length > CONFIG.MAX_DATA_FILE_SIZE) {
+    const partName = parts[0].getName().replace(/(\.jsonl)?$/, ` (part ${parts.length + 1})$1`);
+    const part = getDataFolder().createFile(partName, appended, MimeType.PLAIN_TEXT);
+    file.setDescription(DATA_FILE_NEXT_PART_PREFIX + part.getId());
+    console.log(`📄 Continuing data file "${parts[0].getName()}" in part ${parts.length + 1}`);
+    return;
+  }
+
+  file.setContent(file.getBlob().getDataAsString() + appended);
+}
+
+/**
+ * Reads every record from a JSONL data file, across all of its parts
+ */
+function readJsonLines(fileId) {
+  const records = [];
+
+  for (const file of getDataFileParts(fileId)) {
+    for (const line of file.getBlob().getDataAsString().split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable line in data file ${fileId}`);
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * A data file and the parts it was continued in, in order
+ */
+function getDataFileParts(fileId) {
+  const parts = [DriveApp.getFileById(fileId)];
+
+  let description = parts[0].getDescription() || '';
+  while (description.startsWith(DATA_FILE_NEXT_PART_PREFIX)) {
+    const part = DriveApp.getFileById(description.slice(DATA_FILE_NEXT_PART_PREFIX.length));
+    parts.push(part);
+    description = part.getDescription() || '';
+  }
+
+  return parts;
+}
+
+// ==================== RUN LOG ====================
+
+/**
+ * Creates the run log - one JSON line per processed file - and returns its ID
+ */
+function createRunLogFile(runId) {
+  return createDataFile(`Run Log - ${runId}.jsonl`);
+}
+
+/**
+ * Reads the complete run log, or an empty list if there is none
+ */
+function readRunLog(runLogId) {
+  if (!runLogId) {
+    console.warn('⚠️ This run has no run log');
+    return [];
+  }
+  return readJsonLines(runLogId);
+}
+
+function getDataFileUrl(fileId) {
+  return `https://drive.google.com/file/d/${fileId}/view`;
+}
@@ -0,0 +1,201 @@
+/**
+ * Final verification for Google Drive Email Access Remover
+ *
+ * Once every pass is done, the search is run again for each target and
+ * every file that still has the target on it is reported. Most of these
+ * are expected - protected files, manual review, pending transfers - but
+ * anything the run didn't already report stands out in the summary, so a
+ * file missed along the way never goes unnoticed.
+ *
+ * Domain targets and the public link sweep can't be searched for (every
+ * file would be scanned again), so they are not re-checked. Dry runs and
+ * inventories don't change anything and skip verification.
+ */
+
+// ==================== VERIFICATION PHASE ====================
+
+/**
+ * Called when the last pass (or plan entry) is done - starts the
+ * verification batches, or goes straight on to completing the run
+ */
+function finishRun() {
+  const properties = PropertiesService.getScriptProperties();
+
+  if (!shouldVerifyRun()) {
+    startCompletion();
+    return;
+  }
+
+  properties.setProperties({
+    [STATE_KEYS.VERIFYING]: 'true',
+    [STATE_KEYS.VERIFY_INDEX]: '0',
+    [STATE_KEYS.VERIFY_PAGE_TOKEN]: '',
+    [STATE_KEYS.PAGE_DONE_IDS]: '[]',
+    [STATE_KEYS.VERIFY_FILE_ID]: createDataFile(`Verification - ${properties.getProperty(STATE_KEYS.RUN_ID)}.jsonl`)
+  });
+
+  console.log('🔎 All passes done - searching again to verify nothing is still shared');
+  scheduleNextBatch();
+}
+
+function shouldVerifyRun() {
+  const mode = PropertiesService.getScriptProperties().getProperty(STATE_KEYS.RUN_MODE);
+  const changesSharing = mode !== RUN_MODES.DRY_RUN && mode !== RUN_MODES.INVENTORY;
+  return CONFIG.VERIFY_AFTER_RUN && changesSharing && getVerificationTargets().length > 0;
+}
+
+/**
+ * Targets that can be searched for again
+ */
+function getVerificationTargets() {
+  return getRunTargets().map(parseTarget).filter(target => !isScanTarget(target));
+}
+
+/**
+ * processBatch() counterpart for verification - searches one page of files
+ * for one target and records whatever is still shared with them
+ */
+function processVerificationBatch(startTime) {
+  const properties = PropertiesService.getScriptProperties();
+  const targets = getVerificationTargets();
+  const targetIndex = parseInt(properties.getProperty(STATE_KEYS.VERIFY_INDEX) || '0');
+  const pageToken = properties.getProperty(STATE_KEYS.VERIFY_PAGE_TOKEN);
+
+  if (targetIndex >= targets.length) {
+    startCompletion();
+    return;
+  }
+
+  const target = targets[targetIndex];
+  const scope = getRunScope();
+  const response = withDriveRetry(() => Drive.Files.list(applyScopeToSearch({
+    q: buildSearchQuery(target),
+    pageSize: CONFIG.BATCH_SIZE,
+    pageToken: pageToken || undefined,
+    fields: 'nextPageToken, files(id, name, mimeType, driveId, parents)',
+    includeItemsFromAllDrives: true,
+    supportsAllDrives: true
+  }, scope)), 'Verifying');
+
+  const doneFileIds = getPageDoneIds();
+  const files = attachPermissionsInBatch((response.files || []).filter(file =>
+    !doneFileIds.includes(file.id) && isInScope(file, scope)
+  ));
+  console.log(`🔎 Verifying ${target.key}: ${files.length} file(s) still found (target ${targetIndex + 1}/${targets.length})`);
+
+  const findings = [];
+  let pageFinished = true;
+  for (const file of files) {
+    if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+      console.log('⏰ Approaching execution time limit, stopping batch');
+      pageFinished = false;
+      break;
+    }
+
+    const visit = withinBatchBudget(startTime, () => findRemainingAccess(file, target));
+    if (visit.outOfTime) {
+      console.log(`⏰ No time left to retry "${file.name}" - leaving it for the next batch`);
+      pageFinished = false;
+      break;
+    }
+
+    findings.push(...visit.result);
+    doneFileIds.push(file.id);
+  }
+
+  appendJsonLines(properties.getProperty(STATE_KEYS.VERIFY_FILE_ID), findings);
+
+  // Same checkpointing as processBatch(): an unfinished page is searched again
+  const nextPageToken = pageFinished ? response.nextPageToken : pageToken;
+  const targetDone = pageFinished && !response.nextPageToken;
+  properties.setProperties({
+    [STATE_KEYS.VERIFY_INDEX]: (targetDone ? targetIndex + 1 : targetIndex).toString(),
+    [STATE_KEYS.VERIFY_PAGE_TOKEN]: targetDone ? '' : nextPageToken || '',
+    [STATE_KEYS.PAGE_DONE_IDS]: JSON.stringify(pageFinished ? [] : doneFileIds)
+  });
+  saveRetryCounts();
+
+  scheduleNextBatch();
+}
+
+// ==================== CHECKS ====================
+
+/**
+ * What the target can still do on a file - one finding per remaining
+ * permission. For downgrade targets only roles above the new role count
+ */
+function findRemainingAccess(file, target) {
+  const finding = {
+    fileId: file.id,
+    title: file.name,
+    mimeType: file.mimeType,
+    targetEmail: target.key,
+    emailAddress: null,
+    role: null,
+    error: null,
+    webViewLink: `https://drive.google.com/file/d/${file.id}/view`
+  };
+
+  let permissions;
+  try {
+    if (file.permissionsError) {
+      throw file.permissionsError;
+    }
+    permissions = file.permissions || withDriveRetry(() => Drive.Permissions.list(file.id, {
+      fields: `permissions(${PERMISSION_FIELDS})`,
+      supportsAllDrives: true
+    }), 'Listing permissions').permissions || [];
+  } catch (error) {
+    return [{ ...finding, error: `Could not check sharing: ${error.message}` }];
+  }
+
+  const newRole = DOWNGRADE_ROLES[getTargetAction(target)];
+  return findTargetPermissions(permissions, target)
+    .filter(permission => !newRole || ROLE_RANK[permission.role] > ROLE_RANK[newRole])
+    .map(permission => ({ ...finding, emailAddress: getPermissionAddress(permission), role: permission.role }));
+}
+
+// ==================== RESULTS ====================
+
+/**
+ * Verification findings of the current run, or null if it wasn't verified
+ */
+function getVerificationResults() {
+  const properties = PropertiesService.getScriptProperties();
+  const verifyFileId = properties.getProperty(STATE_KEYS.VERIFY_FILE_ID);
+  if (!verifyFileId) {
+    return null;
+  }
+
+  const targets = getRunTargets().map(parseTarget);
+  return {
+    checkedTargets: targets.filter(target => !isScanTarget(target)).map(target => target.key),
+    uncheckedTargets: targets.filter(isScanTarget).map(target => target.key),
+    findings: readJsonLines(verifyFileId)
+  };
+}
+
+/**
+ * Marks each finding the run already reported (manual review, protected,
+ * pending transfer, ...) - the rest were missed and need a look
+ */
+function summarizeVerification(verification, logs) {
+  const reported = {};
+  for (const log of logs.filter(log => !log.removed)) {
+    for (const targetKey of String(log.targetEmail).split(', ')) {
+      reported[`${log.id}|${targetKey}`] = true;
+    }
+  }
+
+  const stillShared = verification.findings.map(finding => ({
+    ...finding,
+    reported: !!reported[`${finding.fileId}|${finding.targetEmail}`]
+  }));
+
+  return {
+    checkedTargets: verification.checkedTargets,
+    uncheckedTargets: verification.uncheckedTargets,
+    stillShared,
+    totalMissed: stillShared.filter(finding => !finding.reported).length
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Batch locking and stall watchdog for Google Drive Email Access Remover
+ *
+ * Runs are chains of one-off triggers, one per batch. Two things can go
+ * wrong with that: two batches can run at once (a manual processBatch(), a
+ * duplicated trigger or a retry) and work on the same page, and a trigger
+ * that never fires leaves the run marked as running forever.
+ *
+ * Every batch therefore runs under the script lock, scheduling a batch
+ * replaces any trigger already pending for it, and each finished batch
+ * records a heartbeat. While a run is in progress a recurring watchdog
+ * trigger checks the heartbeat: a run that has gone quiet is resumed, and
+ * if resuming doesn't help the run is stopped and we get an email.
+ */
+
+const WATCHDOG_HANDLER = 'checkRunHealth';
+
+const WATCHDOG_STATE_KEYS = {
+  HEARTBEATS: 'batchHeartbeats'  // { [handler]: { time, resumes } }
+};
+
+/**
+ * Trigger handlers that run trigger-chained batches, how to tell whether
+ * their run is still in progress and how to stop it when it fails
+ */
+function getBatchRunners() {
+  return {
+    processBatch: { name: 'cleanup', isRunning: isProcessRunning, handleError: handleProcessError },
+    processRestoreBatch: { name: 'restore', isRunning: isRestoreRunning, handleError: handleRestoreError }
+  };
+}
+
+// ==================== LOCKING ====================
+
+/**
+ * Runs one batch of handlerFunction's run under the script lock - if
+ * another batch is still going this one is skipped, as that batch
+ * schedules the next one itself
+ */
+function withBatchLock(handlerFunction, runBatch) {
+  const runner = getBatchRunners()[handlerFunction];
+  const lock = LockService.getScriptLock();
+
+  if (!lock.tryLock(CONFIG.LOCK_TIMEOUT)) {
+    console.warn(`🔒 Another batch is still running - skipping this ${handlerFunction} call`);
+    return;
+  }
+
+  try {
+    // A leftover trigger of a run that has already finished or was stopped
+    if (!runner.isRunning()) {
+      console.log(`💤 No ${runner.name} in progress - nothing to do`);
+      return;
+    }
+
+    runBatch();
+
+    if (runner.isRunning()) {
+      recordHeartbeat(handlerFunction);
+      ensureWatchdog();
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ==================== TRIGGERS ====================
+
+/**
+ * Removes pending triggers for a handler, so a run never has more than
+ * one next batch waiting
+ */
+function deleteTriggersFor(handlerFunction) {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === handlerFunction) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
+
+function hasTriggerFor(handlerFunction) {
+  return ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handlerFunction);
+}
+
+// ==================== HEARTBEAT ====================
+
+function getHeartbeats() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(WATCHDOG_STATE_KEYS.HEARTBEATS) || '{}');
+  } catch (error) {
+    console.warn('⚠️ Could not parse batch heartbeats');
+    return {};
+  }
+}
+
+function saveHeartbeats(heartbeats) {
+  PropertiesService.getScriptProperties().setProperty(WATCHDOG_STATE_KEYS.HEARTBEATS, JSON.stringify(heartbeats));
+}
+
+/**
+ * Notes that a batch finished - the run is making progress again, so the
+ * watchdog's resume count starts over
+ */
+function recordHeartbeat(handlerFunction) {
+  const heartbeats = getHeartbeats();
+  heartbeats[handlerFunction] = { time: new Date().toISOString(), resumes: 0 };
+  saveHeartbeats(heartbeats);
+}
+
+/**
+ * When the last batch of a run finished, or null if none has yet
+ */
+function getLastHeartbeat(handlerFunction = 'processBatch') {
+  const heartbeat = getHeartbeats()[handlerFunction];
+  return heartbeat ? heartbeat.time : null;
+}
+
+// ==================== WATCHDOG ====================
+
+function ensureWatchdog() {
+  if (!hasTriggerFor(WATCHDOG_HANDLER)) {
+    ScriptApp.newTrigger(WATCHDOG_HANDLER)
+      .timeBased()
+      .everyMinutes(CONFIG.WATCHDOG_INTERVAL_MINUTES)
+      .create();
+    console.log(`🐕 Watchdog checks the run every ${CONFIG.WATCHDOG_INTERVAL_MINUTES} minutes`);
+  }
+}
+
+/**
+ * Forgets a finished run's heartbeat and removes the watchdog once no run
+ * is left for it to watch
+ */
+function stopWatchdog(handlerFunction) {
+  const heartbeats = getHeartbeats();
+  delete heartbeats[handlerFunction];
+  saveHeartbeats(heartbeats);
+
+  const runners = getBatchRunners();
+  if (Object.keys(runners).every(handler => handler === handlerFunction || !runners[handler].isRunning())) {
+    deleteTriggersFor(WATCHDOG_HANDLER);
+  }
+}
+
+/**
+ * Watchdog trigger handler - resumes runs whose batches stopped coming,
+ * and stops them (with an email) when resuming doesn't help
+ */
+function checkRunHealth() {
+  const runners = getBatchRunners();
+  const heartbeats = getHeartbeats();
+  let watching = false;
+
+  for (const [handlerFunction, runner] of Object.entries(runners)) {
+    if (!runner.isRunning()) {
+      continue;
+    }
+    watching = true;
+
+    const heartbeat = heartbeats[handlerFunction] || { time: null, resumes: 0 };
+    const quietFor = heartbeat.time ? Date.now() - new Date(heartbeat.time).getTime() : Infinity;
+    if (quietFor < CONFIG.STALL_TIMEOUT) {
+      continue;
+    }
+
+    // A batch holding the lock is still working, however long it has been
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(0)) {
+      continue;
+    }
+    lock.releaseLock();
+
+    const quietMinutes = Number.isFinite(quietFor) ? Math.round(quietFor / 60000) : null;
+    const quietText = quietMinutes === null ? 'no batch has finished yet' : `no batch has finished for ${quietMinutes} minutes`;
+
+    if (heartbeat.resumes < CONFIG.MAX_WATCHDOG_RESUMES) {
+      heartbeats[handlerFunction] = { time: new Date().toISOString(), resumes: heartbeat.resumes + 1 };
+      saveHeartbeats(heartbeats);
+      console.warn(`🐕 The ${runner.name} has stalled (${quietText}) - resuming it (${heartbeat.resumes + 1}/${CONFIG.MAX_WATCHDOG_RESUMES})`);
+      scheduleNextBatch(handlerFunction);
+      continue;
+    }
+
+    console.error(`🐕 The ${runner.name} is still stalled after ${heartbeat.resumes} resume(s) - stopping it`);
+    deleteTriggersFor(handlerFunction);
+    delete heartbeats[handlerFunction];
+    runner.handleError(new Error(`The ${runner.name} stalled: ${quietText}, and resuming it ${heartbeat.resumes} time(s) didn't help`));
+  }
+
+  if (!watching) {
+    deleteTriggersFor(WATCHDOG_HANDLER);
+  }
+}
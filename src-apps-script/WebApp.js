@@ -0,0 +1,133 @@
+/**
+ * Web app control panel for Google Drive Email Access Remover
+ *
+ * Deploy as a web app (Deploy > New deployment > Web app, or `npm run gopen`)
+ * to start, monitor and stop cleanups without opening the script editor.
+ * The deployment only allows access to the account that deployed it.
+ */
+
+const WEB_APP = {
+  TITLE: 'Drive Email Access Remover',
+  RECENT_RESULTS_LIMIT: 50
+};
+
+function doGet() {
+  return HtmlService.createTemplateFromFile('ControlPanel')
+    .evaluate()
+    .setTitle(WEB_APP.TITLE)
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+// ==================== SERVER FUNCTIONS (google.script.run) ====================
+
+/**
+ * Everything the control panel shows, in one round trip
+ */
+function getControlPanelData() {
+  const properties = PropertiesService.getScriptProperties();
+  const recentLogs = getRecentRunLogs();
+
+  let lastRun = null;
+  try {
+    lastRun = JSON.parse(properties.getProperty(SETTINGS_KEYS.LAST_RUN_SUMMARY) || 'null');
+  } catch (error) {
+    console.warn('⚠️ Could not parse last run summary');
+  }
+
+  // Polled every few seconds, so everything comes from script properties -
+  // the complete list of files to review is in the run log
+  const runLogId = properties.getProperty(STATE_KEYS.RUN_LOG_FILE_ID);
+  const manualReview = {
+    results: getRecentRunLogs(STATE_KEYS.MANUAL_REVIEW_LOGS).reverse().map(toControlPanelResult),
+    total: parseInt(properties.getProperty(STATE_KEYS.MANUAL_REVIEW_COUNT) || '0'),
+    runLogUrl: runLogId ? getDataFileUrl(runLogId) : null
+  };
+
+  return {
+    status: checkStatus(),
+    recentResults: recentLogs.slice(-WEB_APP.RECENT_RESULTS_LIMIT).reverse().map(toControlPanelResult),
+    manualReview,
+    lastRun: lastRun && { ...lastRun, runLogUrl: lastRun.runLogId ? getDataFileUrl(lastRun.runLogId) : null },
+    defaultTargets: getConfiguredTargets().join('\n'),
+    currentUser: Session.getActiveUser().getEmail()
+  };
+}
+
+/**
+ * Starts a run for the addresses entered in the control panel
+ * Returns { started, errors } - errors are per address so they can be shown inline
+ */
+function startCleanupFromWebApp(targetsText, dryRun) {
+  const currentUserEmail = Session.getActiveUser().getEmail();
+  const targetEmails = String(targetsText || '')
+    .split(/[\s,;]+/)
+    .map(email => email.trim())
+    .filter(email => email);
+
+  const errors = [];
+  for (const email of targetEmails) {
+    const error = getTargetEmailError(email, currentUserEmail);
+    if (error) {
+      errors.push(`${email}: ${error}`);
+    }
+  }
+
+  if (targetEmails.length === 0) {
+    errors.push('Enter at least one email address');
+  }
+
+  if (errors.length > 0) {
+    return { started: false, errors };
+  }
+
+  if (isProcessRunning()) {
+    return { started: false, errors: ['A cleanup is already running'] };
+  }
+
+  const uniqueEmails = [...new Set(targetEmails)];
+  const mode = dryRun ? RUN_MODES.DRY_RUN : RUN_MODES.CLEANUP;
+  const started = startRun(mode, uniqueEmails, {}, false);
+
+  return { started, errors: started ? [] : ['The run could not be started - check the execution log'] };
+}
+
+function stopCleanupFromWebApp() {
+  stopProcess();
+  return getControlPanelData();
+}
+
+// ==================== HELPERS ====================
+
+function getRecentRunLogs(key = STATE_KEYS.LOGS) {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(key) || '[]');
+  } catch (error) {
+    console.warn('⚠️ Could not parse run logs for the control panel');
+    return [];
+  }
+}
+
+function toControlPanelResult(log) {
+  let outcome = 'Not shared';
+  if (log.removed) outcome = 'Removed';
+  else if (log.wouldRemove) outcome = 'Would remove';
+  else if (log.downgraded) outcome = 'Downgraded';
+  else if (log.wouldDowngrade) outcome = 'Would downgrade';
+  else if (log.pendingTransfer) outcome = 'Transfer pending';
+  else if (log.foundButCantRemove) outcome = 'Manual review';
+  else if (log.error) outcome = 'Error';
+  else if (log.protected) outcome = 'Protected';
+  else if (log.memberAccess) outcome = 'Shared drive member';
+  else if (log.skipped) outcome = 'Skipped';
+
+  return {
+    title: log.title,
+    email: log.targetEmail,
+    fileType: log.fileType,
+    role: log.targetPermissionRole,
+    ownerEmail: log.ownerEmail || null,
+    outcome,
+    error: log.error || log.skipReason || log.protectionReason || null,
+    link: log.webViewLink
+  };
+}
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, runToEnd, sharedFile, userPermission } = require('./harness/loadProject');
+
+const TARGET = 'jane.doe@example.com';
+
+function runCleanup(files, config = {}, targets = [TARGET]) {
+  return runToEnd({ files, targets, config: { EXPORT_SPREADSHEET: false, ...config } });
+}
+
+test('normalizes case, and Gmail dots and suffixes only when asked to', () => {
+  const project = loadProject();
+
+  assert.equal(project.call('normalizeAddress', ' Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  assert.equal(project.call('normalizeAddress', 'J.Doe+work@googlemail.com'), 'j.doe+work@googlemail.com');
+
+  project.run('CONFIG.NORMALIZE_GMAIL = true');
+  assert.equal(project.call('normalizeAddress', 'J.Doe+work@googlemail.com'), 'jdoe@gmail.com');
+  assert.equal(project.call('normalizeAddress', 'j.doe+work@example.com'), 'j.doe+work@example.com');
+});
+
+test('searches for every alias of a target', () => {
+  const project = loadProject({ config: { ADDRESS_ALIASES: { 'Jane.Doe@example.com': ['jdoe@example.com', 'JANE.DOE@example.com'] } } });
+
+  const query = project.call('buildSearchQuery', project.call('parseTarget', TARGET));
+
+  assert.match(query, /'jane\.doe@example\.com' in readers/);
+  assert.match(query, /'jdoe@example\.com' in writers/);
+  assert.doesNotMatch(query, /JANE/, 'spellings of the same address are searched once');
+});
+
+test('removes every spelling and alias of the target and reports which one matched', () => {
+  const project = runCleanup([
+    sharedFile('upper', [userPermission('p1', 'Jane.Doe@Example.com')]),
+    sharedFile('alias', [userPermission('p2', 'jdoe@example.com', 'reader')]),
+    sharedFile('other', [userPermission('p3', 'john@example.com')])
+  ], { ADDRESS_ALIASES: { [TARGET]: ['jdoe@example.com'] } });
+
+  assert.equal(project.drive.getFile('upper').permissions.length, 1);
+  assert.equal(project.drive.getFile('alias').permissions.length, 1);
+  assert.equal(project.drive.getFile('other').permissions.length, 2);
+
+  const email = project.lastEmail();
+  assert.match(email.htmlBody, /Addresses matched for jane\.doe@example\.com \(2\)/);
+  assert.match(email.htmlBody, /<tr><td>jdoe@example\.com<\/td><td>jdoe@example\.com<\/td><td>1<\/td>/);
+});
+
+test('matches Gmail variants of the target', () => {
+  const gmailTarget = 'jane.doe@gmail.com';
+  const files = [sharedFile('dotless', [userPermission('p1', 'janedoe@gmail.com')])];
+
+  const strict = runCleanup(files, {}, [gmailTarget]);
+  assert.equal(strict.drive.getFile('dotless').permissions.length, 2);
+
+  const normalized = runCleanup(files, { NORMALIZE_GMAIL: true }, [gmailTarget]);
+  assert.equal(normalized.drive.getFile('dotless').permissions.length, 1);
+});
+
+test('cancels pending ownership offers to the target', () => {
+  const project = runCleanup([sharedFile('offer', [{ ...userPermission('p1', TARGET), pendingOwner: true }])]);
+
+  assert.equal(project.drive.getFile('offer').permissions.length, 1);
+  assert.match(project.lastEmail().htmlBody, /Ownership Offers Cancelled:<\/td><td[^>]*>1</);
+  assert.doesNotMatch(project.lastEmail().htmlBody, /Addresses matched for/, 'nothing to explain when the address matched as written');
+});
+
+test('never targets our own address through an alias', () => {
+  const project = loadProject({ config: { ADDRESS_ALIASES: { [TARGET]: ['Me@Company.com'] } } });
+
+  assert.equal(project.call('getTargetEmailError', TARGET, 'me@company.com'), 'Cannot target your own email address');
+  assert.equal(project.call('getTargetEmailError', 'ME@company.com', 'me@company.com'), 'Cannot target your own email address');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, baseConfig, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const BLOCKED = 'former@example.com';
+
+function sweepProject(files) {
+  const project = loadProject({ files, config: { ...baseConfig, EXPORT_SPREADSHEET: false } });
+  project.call('blockAddresses', [BLOCKED]);
+  project.run('var sharerLookups = []');
+  project.run(`setSharerResolver({
+    findSharer(fileId, address, since) {
+      sharerLookups.push({ fileId, address, since });
+      return 'colleague@company.com';
+    }
+  })`);
+  return project;
+}
+
+function sweep(project) {
+  const sentBefore = project.mail.sent.length;
+  project.call('runComplianceSweep');
+  project.runTriggers();
+  return project.mail.sent.length > sentBefore ? project.lastEmail() : null;
+}
+
+function reshare(project, fileId, permissionId) {
+  project.drive.getFile(fileId).permissions.push(userPermission(permissionId, BLOCKED));
+}
+
+test('keeps a validated blocked list', () => {
+  const project = loadProject();
+
+  project.call('blockAddresses', [BLOCKED, '@old-agency.com', BLOCKED, 'me@company.com', 'public-links', 'not an email']);
+  assert.deepEqual(JSON.parse(project.properties.blockedAddresses), [BLOCKED, '@old-agency.com']);
+
+  project.call('unblockAddress', '@old-agency.com');
+  assert.deepEqual(JSON.parse(project.properties.blockedAddresses), [BLOCKED]);
+});
+
+test('schedules recurring sweeps and runs the first one now', () => {
+  const project = sweepProject([sharedFile('a', [userPermission('pa', BLOCKED)])]);
+
+  project.call('startComplianceSweeps');
+  const sweepTriggers = project.triggers.filter(trigger => trigger.handlerFunction === 'runComplianceSweep');
+  assert.deepEqual(sweepTriggers.map(trigger => trigger.everyHours), [24]);
+
+  project.runTriggers();
+  const email = project.lastEmail();
+  assert.match(email.subject, /^🛡️ Compliance Sweep - 1 new share\(s\), 1 removed$/);
+  assert.match(email.htmlBody, /on the first sweep/);
+  assert.equal(project.drive.getFile('a').permissions.length, 1);
+
+  project.call('stopComplianceSweeps');
+  assert.equal(project.triggers.length, 0);
+});
+
+test('reports only what changed since the previous sweep', () => {
+  const project = sweepProject([
+    sharedFile('a', [userPermission('pa', BLOCKED)]),
+    sharedFile('b', [userPermission('pb', 'someone@example.com')]),
+    sharedFile('locked', [userPermission('pl', BLOCKED)])
+  ]);
+  project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'), { id: 'locked' });
+
+  sweep(project);
+  const firstSweepEnd = JSON.parse(project.properties.lastRunSummary).endTime;
+
+  reshare(project, 'a', 'pa2');
+  reshare(project, 'b', 'pb2');
+  const email = sweep(project);
+
+  assert.match(email.subject, /2 new share\(s\), 2 removed \(1 still open\)/);
+  assert.match(email.htmlBody, /New Shares \(2\)/);
+  assert.match(email.htmlBody, /Shared by colleague@company\.com/);
+  const newSharesSection = email.htmlBody.split('New Shares')[1].split('Removed (')[0];
+  assert.doesNotMatch(newSharesSection, /File locked/, 'the share left open last time is not new');
+
+  const lookups = project.run('JSON.stringify(sharerLookups)');
+  assert.deepEqual(JSON.parse(lookups).map(lookup => lookup.fileId).sort(), ['a', 'b']);
+  assert.ok(JSON.parse(lookups).every(lookup => lookup.since === firstSweepEnd), 'looks for shares made since the last sweep');
+
+  const history = project.readDataFile(project.properties.complianceHistoryId);
+  assert.equal(history.length, 2);
+  assert.deepEqual(history[1].changes, { newShares: 2, removed: 2, cleared: 0, stillOpen: 1 });
+});
+
+test('reports open shares that someone else cleared', () => {
+  const project = sweepProject([sharedFile('locked', [userPermission('pl', BLOCKED)])]);
+  project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'), { id: 'locked' });
+
+  sweep(project);
+  const owner = project.drive.getFile('locked');
+  owner.permissions = owner.permissions.filter(permission => permission.emailAddress !== BLOCKED);
+  const email = sweep(project);
+
+  assert.match(email.htmlBody, /Cleared Since the Last Sweep \(1\)/);
+  assert.match(email.subject, /0 new share\(s\), 0 removed$/);
+});
+
+test('only records sweeps that found nothing new', () => {
+  const project = sweepProject([sharedFile('a', [userPermission('pa', BLOCKED)])]);
+
+  sweep(project);
+  assert.equal(sweep(project), null, 'no email');
+  assert.equal(project.readDataFile(project.properties.complianceHistoryId).length, 2);
+
+  project.run('CONFIG.COMPLIANCE_EMAIL_WHEN_UNCHANGED = true');
+  assert.match(sweep(project).subject, /0 new share\(s\), 0 removed/);
+});
+
+test('records a sweep once when its summary step is retried', () => {
+  const project = sweepProject([sharedFile('a', [userPermission('pa', BLOCKED)])]);
+  project.run(`(() => {
+    const sendOnce = sendComplianceSweepEmail;
+    let failed = false;
+    sendComplianceSweepEmail = function (...args) {
+      if (!failed) {
+        failed = true;
+        const error = new Error('Backend error');
+        error.code = 503;
+        throw error;
+      }
+      return sendOnce(...args);
+    };
+  })()`);
+
+  const email = sweep(project);
+
+  assert.equal(project.readDataFile(project.properties.complianceHistoryId).length, 1);
+  assert.match(email.subject, /1 new share\(s\), 1 removed$/);
+});
+
+test('skips a sweep while another run is in progress', () => {
+  const project = sweepProject([sharedFile('a', [userPermission('pa', BLOCKED)])]);
+  project.properties.isRunning = 'true';
+
+  assert.equal(project.call('runComplianceSweep'), false);
+  assert.equal(project.drive.callsTo('Files.list').length, 0);
+});
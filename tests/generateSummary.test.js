@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, plain, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+const OTHER_TARGET = 'contractor@example.com';
+const SHEET = 'application/vnd.google-apps.spreadsheet';
+
+/**
+ * Runs processFile over files set up for every outcome and summarizes the results
+ */
+function summarizeOutcomes() {
+  const files = [
+    sharedFile('removed', [userPermission('p1', TARGET)]),
+    sharedFile('removed-sheet', [userPermission('p2', TARGET, 'reader')], { mimeType: SHEET }),
+    sharedFile('manual', [userPermission('p3', TARGET)], { mimeType: SHEET }),
+    sharedFile('unreadable', [userPermission('p4', TARGET)]),
+    sharedFile('broken', [userPermission('p5', TARGET)]),
+    sharedFile('protected', [userPermission('p6', TARGET)]),
+    sharedFile('downgraded', [userPermission('p7', OTHER_TARGET)])
+  ];
+  const project = loadProject({
+    files,
+    targets: [TARGET, OTHER_TARGET],
+    config: { PROTECTED: { fileIds: ['protected'], folderIds: [], fileTypes: [] } }
+  });
+  project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'), { id: 'manual' });
+  project.drive.failOn('Permissions.list', driveError(404, 'notFound'), { id: 'unreadable' });
+  project.drive.failOn('Permissions.list', driveError(400, 'badRequest'), { id: 'broken' });
+
+  const logs = files.map(({ id, name, mimeType }) => {
+    const listed = { id, name, mimeType };
+    return id === 'downgraded'
+      ? project.call('processFile', listed, OTHER_TARGET, { action: 'downgradeToReader' })
+      : project.call('processFile', listed, TARGET);
+  });
+
+  return plain(project.call('generateSummary', logs, files.length, new Date().toISOString(), {
+    targetEmails: [TARGET, OTHER_TARGET]
+  }));
+}
+
+test('counts each outcome', () => {
+  const summary = summarizeOutcomes();
+
+  assert.equal(summary.totalFiles, 7);
+  assert.equal(summary.totalRemovals, 2);
+  assert.equal(summary.totalFoundButCantRemove, 1);
+  // Unreadable files carry an error message too, so they're counted with the errors
+  assert.equal(summary.totalErrors, 2);
+  assert.equal(summary.totalProtected, 1);
+  assert.equal(summary.totalDowngrades, 1);
+});
+
+test('breaks the counts down per target', () => {
+  const { byEmail } = summarizeOutcomes();
+
+  assert.equal(byEmail[TARGET].filesFound, 6);
+  assert.equal(byEmail[TARGET].removals, 2);
+  assert.equal(byEmail[TARGET].foundButCantRemove, 1);
+  assert.equal(byEmail[TARGET].errors, 2);
+  assert.equal(byEmail[TARGET].protected, 1);
+  assert.equal(byEmail[OTHER_TARGET].filesFound, 1);
+  assert.equal(byEmail[OTHER_TARGET].downgrades, 1);
+  assert.equal(byEmail[OTHER_TARGET].downgradedFiles[0].toRole, 'reader');
+});
+
+test('breaks the counts down per file type', () => {
+  const { byFileType } = summarizeOutcomes();
+
+  assert.deepEqual(Object.keys(byFileType).sort(), ['Google Docs', 'Google Sheets']);
+  assert.equal(byFileType['Google Sheets'].processed, 2);
+  assert.equal(byFileType['Google Sheets'].removed, 1);
+  assert.equal(byFileType['Google Sheets'].foundButCantRemove, 1);
+  assert.equal(byFileType['Google Docs'].processed, 5);
+  assert.equal(byFileType['Google Docs'].files.length, 5, 'every file with an outcome is listed');
+});
+
+test('lists files needing manual review with their owner and link', () => {
+  const { filesNeedingManualReview } = summarizeOutcomes();
+
+  assert.equal(filesNeedingManualReview.length, 1);
+  assert.equal(filesNeedingManualReview[0].title, 'File manual');
+  assert.equal(filesNeedingManualReview[0].ownerEmail, 'me@company.com');
+  assert.equal(filesNeedingManualReview[0].role, 'writer');
+  assert.equal(filesNeedingManualReview[0].link, 'https://drive.google.com/file/d/manual/view');
+});
@@ -0,0 +1,241 @@
+/**
+ * In-memory stand-in for the Drive advanced service (Drive.Files,
+ * Drive.Permissions, Drive.Drives)
+ *
+ * Files are plain objects with their permissions:
+ *   { id: 'f1', name: 'Budget', mimeType: 'application/pdf',
+ *     permissions: [{ id: 'p1', type: 'user', role: 'writer', emailAddress: 'x@y.com' }] }
+ * Searches understand the queries the script builds ('x' in readers/writers/
+ * owners - ignoring case, as Drive does - 'x' in parents, visibility
+ * clauses, trashed = false)
+ * and page through a snapshot taken by the first call, like a Drive page
+ * token. Removing a folder's permission also removes the copies its files
+ * inherit (permissionDetails.inheritedFrom). Errors can be injected per
+ * method and file with failOn().
+ */
+
+const ROLE_FIELDS = {
+  readers: ['reader', 'commenter'],
+  writers: ['writer', 'fileOrganizer', 'organizer'],
+  owners: ['owner']
+};
+
+/**
+ * An error shaped like the ones the Drive advanced service throws
+ */
+function driveError(code, reason, message = reason) {
+  const error = new Error(`API call to drive failed with error: ${message}`);
+  error.details = { code, message, errors: [{ reason, message }] };
+  return error;
+}
+
+function createFakeDrive({ files = [], drives = [] } = {}) {
+  const calls = [];
+  const failures = [];
+  const pageSnapshots = {};
+  let nextId = 1;
+
+  const findFile = id => {
+    const file = files.find(candidate => candidate.id === id) ||
+      drives.find(drive => drive.id === id);
+    if (!file) {
+      throw driveError(404, 'notFound', `File not found: ${id}`);
+    }
+    file.permissions = file.permissions || [];
+    return file;
+  };
+
+  // Records the call and throws an injected failure if one matches
+  const track = (method, id = null) => {
+    calls.push({ method, id });
+    const failure = failures.find(candidate =>
+      candidate.method === method && (candidate.id === null || candidate.id === id) && candidate.times > 0
+    );
+    if (failure) {
+      failure.times--;
+      throw failure.error;
+    }
+  };
+
+  const matchesQuery = (file, q) => {
+    if (file.trashed) return false;
+
+    const parent = q.match(/'([^']+)' in parents/);
+    if (parent) {
+      return (file.parents || []).includes(parent[1]);
+    }
+
+    const clauses = [...q.matchAll(/'([^']+)' in (readers|writers|owners)/g)];
+    if (clauses.length > 0) {
+      return clauses.some(([, email, field]) => (file.permissions || []).some(permission =>
+        String(permission.emailAddress).toLowerCase() === email.toLowerCase() && ROLE_FIELDS[field].includes(permission.role)
+      ));
+    }
+
+    if (q.includes('visibility')) {
+      return (file.permissions || []).some(permission => permission.type === 'anyone' || permission.type === 'domain');
+    }
+
+    return true;
+  };
+
+  const toListedFile = (file, fields) => {
+    const listed = {
+      id: file.id,
+      name: file.name,
+      mimeType: file.mimeType,
+      parents: file.parents || [],
+      driveId: file.driveId,
+      modifiedTime: file.modifiedTime,
+      capabilities: file.capabilities || { canShare: true }
+    };
+    if (fields.includes('permissions(')) {
+      listed.permissions = file.permissions.map(permission => ({ ...permission }));
+    }
+    return listed;
+  };
+
+  const Drive = {
+    Files: {
+      list(options) {
+        track('Files.list');
+
+        let snapshot = pageSnapshots[options.pageToken];
+        if (!snapshot) {
+          snapshot = files.filter(file =>
+            (!options.driveId || file.driveId === options.driveId) && matchesQuery(file, options.q || '')
+          );
+        }
+
+        const start = options.pageToken ? parseInt(options.pageToken.split(':')[1]) : 0;
+        const end = start + (options.pageSize || 100);
+        const response = { files: snapshot.slice(start, end).map(file => toListedFile(file, options.fields || '')) };
+
+        if (end < snapshot.length) {
+          response.nextPageToken = `page${nextId++}:${end}`;
+          pageSnapshots[response.nextPageToken] = snapshot;
+        }
+        return response;
+      },
+
+      get(id) {
+        track('Files.get', id);
+        // My Drive's root folder is 'root' unless a test defines its own
+        if (id === 'root' && !files.some(candidate => candidate.id === 'root')) {
+          return { id: 'root', name: 'My Drive', parents: [] };
+        }
+        const file = findFile(id);
+        return {
+          id: file.id,
+          name: file.name,
+          mimeType: file.mimeType,
+          parents: file.parents || [],
+          capabilities: file.capabilities || { canShare: true }
+        };
+      },
+
+      update(resource, id, blob, options = {}) {
+        track('Files.update', id);
+        const file = findFile(id);
+        if (options.addParents) {
+          file.parents = [options.addParents];
+          file.driveId = options.addParents;
+          file.permissions = file.permissions.filter(permission => permission.role !== 'owner');
+        }
+        return file;
+      }
+    },
+
+    Permissions: {
+      list(id) {
+        track('Permissions.list', id);
+        return { permissions: findFile(id).permissions.map(permission => ({ ...permission })) };
+      },
+
+      remove(id, permissionId) {
+        track('Permissions.remove', id);
+        const file = findFile(id);
+        if (!file.permissions.some(permission => permission.id === permissionId)) {
+          throw driveError(404, 'notFound', `Permission not found: ${permissionId}`);
+        }
+        file.permissions = file.permissions.filter(permission => permission.id !== permissionId);
+
+        // Files inheriting the permission from this folder lose it too
+        for (const child of files) {
+          child.permissions = (child.permissions || []).filter(permission => permission.id !== permissionId ||
+            !(permission.permissionDetails || []).some(detail => detail.inheritedFrom === id));
+        }
+      },
+
+      update(resource, id, permissionId) {
+        track('Permissions.update', id);
+        const permission = findFile(id).permissions.find(candidate => candidate.id === permissionId);
+        if (!permission) {
+          throw driveError(404, 'notFound', `Permission not found: ${permissionId}`);
+        }
+        return Object.assign(permission, resource);
+      },
+
+      create(resource, id, options = {}) {
+        track('Permissions.create', id);
+        const file = findFile(id);
+
+        if (options.transferOwnership) {
+          file.permissions.forEach(permission => {
+            if (permission.role === 'owner') permission.role = 'writer';
+          });
+          const existing = file.permissions.find(permission => permission.emailAddress === resource.emailAddress);
+          if (existing) {
+            existing.role = 'owner';
+            return existing;
+          }
+        }
+
+        const permission = { id: `created${nextId++}`, ...resource };
+        file.permissions.push(permission);
+        return permission;
+      }
+    },
+
+    Drives: {
+      list() {
+        track('Drives.list');
+        return { drives: drives.map(drive => ({ id: drive.id, name: drive.name, capabilities: drive.capabilities || { canManageMembers: true } })) };
+      },
+
+      get(id) {
+        track('Drives.get', id);
+        const drive = drives.find(candidate => candidate.id === id);
+        if (!drive) {
+          throw driveError(404, 'notFound', `Shared drive not found: ${id}`);
+        }
+        return { id: drive.id, name: drive.name, capabilities: drive.capabilities || { canManageMembers: true } };
+      }
+    }
+  };
+
+  return {
+    Drive,
+    files,
+    drives,
+    calls,
+
+    /**
+     * Makes method (e.g. 'Permissions.remove') throw error - for one file
+     * or every file (id null), the given number of times
+     */
+    failOn(method, error, { id = null, times = Infinity } = {}) {
+      failures.push({ method, error, id, times });
+    },
+
+    callsTo(method) {
+      return calls.filter(call => call.method === method);
+    },
+
+    getFile(id) {
+      return files.find(file => file.id === id);
+    }
+  };
+}
+
+module.exports = { createFakeDrive, driveError };
@@ -0,0 +1,351 @@
+/**
+ * In-memory stand-ins for the Apps Script services the script uses besides
+ * Drive: PropertiesService, ScriptApp (with a trigger queue), MailApp,
+ * Session, Utilities, DriveApp (data files), SpreadsheetApp, LockService
+ * and UrlFetchApp (Drive batch requests, answered by the fake Drive)
+ */
+
+function createFakeProperties() {
+  const values = {};
+
+  const store = {
+    getProperty: key => (key in values ? values[key] : null),
+    setProperty(key, value) {
+      values[key] = String(value);
+      return store;
+    },
+    setProperties(properties) {
+      for (const [key, value] of Object.entries(properties)) {
+        values[key] = String(value);
+      }
+      return store;
+    },
+    deleteProperty(key) {
+      delete values[key];
+      return store;
+    },
+    getProperties: () => ({ ...values })
+  };
+
+  return {
+    values,
+    PropertiesService: { getScriptProperties: () => store }
+  };
+}
+
+/**
+ * Triggers are only recorded - the harness fires one-off triggers in order
+ * with runTriggers()
+ */
+function createFakeScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+
+  const createTrigger = (handlerFunction, schedule) => {
+    const id = `trigger${nextId++}`;
+    const trigger = {
+      ...schedule,
+      handlerFunction,
+      getHandlerFunction: () => handlerFunction,
+      getUniqueId: () => id
+    };
+    triggers.push(trigger);
+    return trigger;
+  };
+
+  const ScriptApp = {
+    newTrigger: handlerFunction => ({
+      timeBased: () => ({
+        after: delay => ({ create: () => createTrigger(handlerFunction, { delay }) }),
+        everyMinutes: minutes => ({ create: () => createTrigger(handlerFunction, { everyMinutes: minutes }) }),
+        everyHours: hours => ({ create: () => createTrigger(handlerFunction, { everyHours: hours }) })
+      })
+    }),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger(trigger) {
+      const index = triggers.indexOf(trigger);
+      if (index >= 0) {
+        triggers.splice(index, 1);
+      }
+    },
+    getOAuthToken: () => 'fake-oauth-token'
+  };
+
+  return { ScriptApp, triggers };
+}
+
+/**
+ * Sent emails are recorded; set mail.quota to shrink the daily quota and
+ * add to mail.rejected to make MailApp refuse an address
+ */
+function createFakeMailApp() {
+  const mail = {
+    sent: [],
+    quota: 100,
+    rejected: [],
+    MailApp: {
+      sendEmail(message) {
+        if (mail.rejected.includes(message.to)) {
+          throw new Error(`Invalid email: ${message.to}`);
+        }
+        mail.quota--;
+        mail.sent.push(message);
+      },
+      getRemainingDailyQuota: () => mail.quota
+    }
+  };
+
+  return mail;
+}
+
+function createFakeSession(userEmail) {
+  const user = { getEmail: () => userEmail };
+
+  return {
+    getActiveUser: () => user,
+    getEffectiveUser: () => user,
+    getScriptTimeZone: () => 'UTC'
+  };
+}
+
+function createFakeUtilities() {
+  let nextUuid = 1;
+  const sleeps = [];
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    sleeps,
+    Utilities: {
+      // Only the patterns the script uses
+      formatDate(date, timeZone, pattern) {
+        return pattern
+          .replace('yyyy', date.getUTCFullYear())
+          .replace('MM', pad(date.getUTCMonth() + 1))
+          .replace('dd', pad(date.getUTCDate()))
+          .replace('HH', pad(date.getUTCHours()))
+          .replace('mm', pad(date.getUTCMinutes()))
+          .replace('ss', pad(date.getUTCSeconds()));
+      },
+      getUuid: () => `uuid-${nextUuid++}`,
+      newBlob: (data, contentType, name) => ({
+        data,
+        contentType,
+        getName: () => name,
+        getContentType: () => contentType,
+        getDataAsString: () => data
+      }),
+      sleep(milliseconds) {
+        sleeps.push(milliseconds);
+      }
+    }
+  };
+}
+
+/**
+ * The data folder and its JSONL files
+ */
+function createFakeDriveApp() {
+  const dataFiles = {};
+  let nextId = 1;
+
+  const wrapFile = file => ({
+    getId: () => file.id,
+    getName: () => file.name,
+    getUrl: () => `https://drive.google.com/file/d/${file.id}/view`,
+    getBlob: () => ({ getDataAsString: () => file.content }),
+    getSize: () => Buffer.byteLength(file.content),
+    getDescription: () => file.description || null,
+    setDescription(description) {
+      file.description = description;
+    },
+    setContent(content) {
+      file.content = content;
+    },
+    moveTo(folder) {
+      file.folderId = folder.getId();
+    }
+  });
+
+  const folder = {
+    getId: () => 'data-folder',
+    isTrashed: () => false,
+    createFile(name, content) {
+      const file = { id: `data${nextId++}`, name, content };
+      dataFiles[file.id] = file;
+      return wrapFile(file);
+    },
+    getFilesByName(name) {
+      const matches = Object.values(dataFiles).filter(file => file.name === name);
+      let index = 0;
+      return {
+        hasNext: () => index < matches.length,
+        next: () => wrapFile(matches[index++])
+      };
+    }
+  };
+
+  return {
+    dataFiles,
+    DriveApp: {
+      createFolder: () => folder,
+      getFolderById: () => folder,
+      getFileById(id) {
+        if (!dataFiles[id]) {
+          throw new Error(`No data file ${id}`);
+        }
+        return wrapFile(dataFiles[id]);
+      }
+    }
+  };
+}
+
+/**
+ * Spreadsheets keep each tab's values and formats; they're also Drive
+ * files, so they're registered with the fake DriveApp's files
+ */
+function createFakeSpreadsheetApp(dataFiles) {
+  const spreadsheets = [];
+  let nextId = 1;
+
+  const createSheet = name => {
+    const sheet = { name, values: [], numberFormats: [], frozenRows: 0 };
+    const wrapper = {
+      getName: () => sheet.name,
+      setName(newName) {
+        sheet.name = newName;
+        return wrapper;
+      },
+      setFrozenRows(rows) {
+        sheet.frozenRows = rows;
+      },
+      getRange: (row, column, rows = 1, columns = 1) => {
+        const range = {
+          setValues(values) {
+            values.forEach((rowValues, i) => {
+              sheet.values[row - 1 + i] = sheet.values[row - 1 + i] || [];
+              rowValues.forEach((value, j) => {
+                sheet.values[row - 1 + i][column - 1 + j] = value;
+              });
+            });
+            return range;
+          },
+          setNumberFormat(format) {
+            sheet.numberFormats.push({ row, column, rows, columns, format });
+            return range;
+          },
+          setFontWeight: () => range
+        };
+        return range;
+      }
+    };
+    return { sheet, wrapper };
+  };
+
+  return {
+    spreadsheets,
+    SpreadsheetApp: {
+      create(name) {
+        const id = `spreadsheet${nextId++}`;
+        const sheets = [createSheet('Sheet1')];
+        const spreadsheet = { id, name, sheets: sheets.map(({ sheet }) => sheet) };
+        spreadsheets.push(spreadsheet);
+        dataFiles[id] = { id, name, content: '' };
+
+        return {
+          getId: () => id,
+          getUrl: () => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+          getSheets: () => sheets.map(({ wrapper }) => wrapper),
+          insertSheet(sheetName = `Sheet${sheets.length + 1}`) {
+            const created = createSheet(sheetName);
+            sheets.push(created);
+            spreadsheet.sheets.push(created.sheet);
+            return created.wrapper;
+          }
+        };
+      }
+    }
+  };
+}
+
+function createFakeLockService() {
+  const lock = { held: false };
+
+  return {
+    lock,
+    LockService: {
+      getScriptLock: () => ({
+        tryLock() {
+          if (lock.held) return false;
+          lock.held = true;
+          return true;
+        },
+        releaseLock() {
+          lock.held = false;
+        }
+      })
+    }
+  };
+}
+
+/**
+ * Answers Drive batch requests part by part with the fake Drive, so
+ * injected Drive errors show up as failed parts
+ */
+function createFakeUrlFetchApp(fakeDrive) {
+  const requests = [];
+
+  const answerPart = part => {
+    const contentId = /Content-ID: <([^>]+)>/.exec(part)[1];
+    const [, method, path] = /\r\n\r\n(GET|DELETE) (\S+)/.exec(part);
+    const segments = path.split('?')[0].split('/').map(decodeURIComponent);
+    const fileId = segments[4];
+
+    let status = 200;
+    let body = '';
+    try {
+      if (method === 'GET') {
+        body = JSON.stringify(fakeDrive.Drive.Permissions.list(fileId));
+      } else {
+        fakeDrive.Drive.Permissions.remove(fileId, segments[6]);
+        status = 204;
+      }
+    } catch (error) {
+      const details = error.details || { code: 500, message: error.message, errors: [] };
+      status = details.code;
+      body = JSON.stringify({ error: details });
+    }
+
+    return `--batch_response\r\nContent-Type: application/http\r\nContent-ID: <response-${contentId}>\r\n\r\n` +
+      `HTTP/1.1 ${status} Status\r\nContent-Type: application/json\r\n\r\n${body}\r\n`;
+  };
+
+  return {
+    requests,
+    UrlFetchApp: {
+      fetch(url, options) {
+        requests.push({ url, options });
+        const boundary = options.contentType.split('boundary=')[1];
+        const parts = options.payload.split(`--${boundary}`).filter(part => part.includes('Content-ID'));
+        const content = parts.map(answerPart).join('') + '--batch_response--';
+
+        return {
+          getResponseCode: () => 200,
+          getContentText: () => content,
+          getHeaders: () => ({ 'Content-Type': 'multipart/mixed; boundary=batch_response' })
+        };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFakeProperties,
+  createFakeScriptApp,
+  createFakeMailApp,
+  createFakeSession,
+  createFakeUtilities,
+  createFakeDriveApp,
+  createFakeSpreadsheetApp,
+  createFakeLockService,
+  createFakeUrlFetchApp
+};
@@ -0,0 +1,189 @@
+/**
+ * Loads the Apps Script project into a Node VM context with fake services
+ *
+ * Every .js file in src-apps-script is evaluated in one shared global scope,
+ * in name order, the way Apps Script does it:
+ *   const project = loadProject({ files: [...], targets: ['x@y.com'] });
+ *   project.call('startEmailCleanup');
+ *   project.runTriggers();
+ *   project.mail.sent[0].subject
+ *
+ * Values created inside the project come from another realm - compare them
+ * field by field or through plain() rather than with deepStrictEqual.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createFakeDrive } = require('./fakeDrive');
+const {
+  createFakeProperties,
+  createFakeScriptApp,
+  createFakeMailApp,
+  createFakeSession,
+  createFakeUtilities,
+  createFakeDriveApp,
+  createFakeSpreadsheetApp,
+  createFakeLockService,
+  createFakeUrlFetchApp
+} = require('./fakeServices');
+
+const PROJECT_DIR = path.join(__dirname, '..', '..', 'src-apps-script');
+const MAX_TRIGGER_RUNS = 500;
+
+const silentConsole = { log() {}, info() {}, warn() {}, error() {} };
+
+function loadProject({ files = [], drives = [], targets = null, config = {}, userEmail = 'me@company.com', verbose = false } = {}) {
+  const drive = createFakeDrive({ files, drives });
+  const properties = createFakeProperties();
+  const scriptApp = createFakeScriptApp();
+  const mail = createFakeMailApp();
+  const utilities = createFakeUtilities();
+  const driveApp = createFakeDriveApp();
+  const spreadsheetApp = createFakeSpreadsheetApp(driveApp.dataFiles);
+  const lockService = createFakeLockService();
+  const urlFetch = createFakeUrlFetchApp(drive);
+
+  const context = vm.createContext({
+    console: verbose ? console : silentConsole,
+    Drive: drive.Drive,
+    DriveApp: driveApp.DriveApp,
+    SpreadsheetApp: spreadsheetApp.SpreadsheetApp,
+    PropertiesService: properties.PropertiesService,
+    ScriptApp: scriptApp.ScriptApp,
+    MailApp: mail.MailApp,
+    Session: createFakeSession(userEmail),
+    Utilities: utilities.Utilities,
+    LockService: lockService.LockService,
+    UrlFetchApp: urlFetch.UrlFetchApp,
+    MimeType: { PLAIN_TEXT: 'text/plain' }
+  });
+
+  const sources = fs.readdirSync(PROJECT_DIR).filter(name => name.endsWith('.js')).sort();
+  for (const name of sources) {
+    vm.runInContext(fs.readFileSync(path.join(PROJECT_DIR, name), 'utf8'), context, { filename: name });
+  }
+
+  const project = {
+    context,
+    drive,
+    properties: properties.values,
+    triggers: scriptApp.triggers,
+    mail,
+    dataFiles: driveApp.dataFiles,
+    spreadsheets: spreadsheetApp.spreadsheets,
+    lock: lockService.lock,
+    batchRequests: urlFetch.requests,
+    sleeps: utilities.sleeps,
+
+    /**
+     * Evaluates code in the project's global scope, e.g. run('CONFIG.BATCH_SIZE')
+     */
+    run(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Calls a project function by name
+     */
+    call(name, ...args) {
+      if (typeof context[name] !== 'function') {
+        throw new Error(`No function ${name} in the project`);
+      }
+      return context[name](...args);
+    },
+
+    /**
+     * Fires pending one-off triggers in order until none are left (recurring
+     * ones such as the watchdog or compliance sweeps only run when called directly)
+     * Returns the number of triggers fired
+     */
+    runTriggers(max = MAX_TRIGGER_RUNS) {
+      let fired = 0;
+      for (;;) {
+        const index = scriptApp.triggers.findIndex(trigger => trigger.delay !== undefined);
+        if (index < 0) return fired;
+        if (fired >= max) {
+          throw new Error(`Still scheduling batches after ${max} triggers`);
+        }
+
+        const [trigger] = scriptApp.triggers.splice(index, 1);
+        project.call(trigger.handlerFunction);
+        fired++;
+      }
+    },
+
+    /**
+     * Records of a JSONL data file (run log, journal, plan ...)
+     */
+    readDataFile(id) {
+      return plain(project.call('readJsonLines', id));
+    },
+
+    lastEmail() {
+      return mail.sent[mail.sent.length - 1];
+    }
+  };
+
+  context.__harnessValue = { ...config };
+  project.run('Object.assign(CONFIG, __harnessValue)');
+  if (targets) {
+    context.__harnessValue = targets;
+    project.run('TARGET_EMAILS.splice(0, TARGET_EMAILS.length, ...__harnessValue)');
+  }
+  delete context.__harnessValue;
+
+  return project;
+}
+
+/**
+ * Config for tests of whole runs: small batches, and no shared drive
+ * membership pass or verification search unless a test turns them on
+ */
+const baseConfig = { BATCH_SIZE: 10, SHARED_DRIVE_MEMBERSHIPS: false, VERIFY_AFTER_RUN: false };
+
+/**
+ * Loads a project on top of baseConfig, starts a run and fires its
+ * triggers until it is done:
+ *   const project = runToEnd({ files, targets: [TARGET], config: { OWNER_OUTREACH: true } });
+ *   const project = runToEnd({ files, start: 'startAccessInventory', args: [[TARGET]] });
+ * setUp(project) runs before the start, e.g. to make Drive calls fail
+ */
+function runToEnd({ config = {}, start = 'startEmailCleanup', args = [], setUp = () => {}, ...options } = {}) {
+  const project = loadProject({ ...options, config: { ...baseConfig, ...config } });
+  setUp(project);
+
+  project.call(start, ...args);
+  project.runTriggers();
+  return project;
+}
+
+/**
+ * Copies a value out of the project's realm so it can be deep-compared
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * A file shared with the given permissions, owned by the running user
+ */
+function sharedFile(id, permissions, extra = {}) {
+  return {
+    id,
+    name: `File ${id}`,
+    mimeType: 'application/vnd.google-apps.document',
+    ...extra,
+    permissions: [
+      { id: `${id}-owner`, type: 'user', role: 'owner', emailAddress: 'me@company.com' },
+      ...permissions
+    ]
+  };
+}
+
+function userPermission(id, emailAddress, role = 'writer') {
+  return { id, type: 'user', role, emailAddress };
+}
+
+module.exports = { loadProject, baseConfig, runToEnd, plain, sharedFile, userPermission };
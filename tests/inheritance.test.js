@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runToEnd, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+
+/**
+ * The target's permission on a file inside folder 'projects', as Drive
+ * reports it - the same permission ID, inherited from the folder
+ */
+function inheritedPermission(extraDetails = []) {
+  return {
+    ...userPermission('tp', TARGET),
+    permissionDetails: [{ permissionType: 'file', role: 'writer', inherited: true, inheritedFrom: 'projects' }, ...extraDetails]
+  };
+}
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+// Files inside the folder come back from the search before the folder itself
+function folderTree(folderExtra = {}) {
+  return [
+    sharedFile('a', [inheritedPermission()], { parents: ['projects'] }),
+    sharedFile('b', [inheritedPermission()], { parents: ['projects'] }),
+    sharedFile('projects', [userPermission('tp', TARGET)], { name: 'Projects', mimeType: FOLDER, ...folderExtra })
+  ];
+}
+
+function run(files, options = {}) {
+  return runToEnd({ files, targets: [TARGET], ...options, config: { EXPORT_SPREADSHEET: false, ...options.config } });
+}
+
+test('removes inherited access once, at the folder that grants it', () => {
+  const project = run(folderTree());
+
+  assert.deepEqual(project.drive.callsTo('Permissions.remove').map(call => call.id), ['projects']);
+  for (const id of ['a', 'b', 'projects']) {
+    assert.equal(project.drive.getFile(id).permissions.length, 1, `${id} is no longer shared`);
+  }
+
+  const email = project.lastEmail();
+  assert.match(email.htmlBody, /Covered by Folder Removal:<\/strong><\/td><td[^>]*>3</, 'both files and the folder itself');
+  assert.match(email.htmlBody, /Access Removed at the Folder \(1\)/);
+  assert.match(email.htmlBody, /Projects<\/a><\/td>\s*<td[^>]*>leaver@example\.com \(writer\)<\/td><td[^>]*>3<\/td>/);
+  assert.match(email.htmlBody, /Successful Removals:<\/strong><\/td><td[^>]*>0</, 'covered files are not removals of their own');
+});
+
+test('reports the folder\'s own grant as removed there, not inherited from itself', () => {
+  const project = run(folderTree());
+
+  const runLog = Object.values(project.dataFiles).find(file => file.name.startsWith('Run Log'));
+  const folderLog = project.readDataFile(runLog.id).find(log => log.id === 'projects');
+  assert.equal(folderLog.matches[0].inheritedFrom, null);
+  assert.equal(folderLog.matches[0].coveredByFolderRemoval, true);
+});
+
+test('journals the folder so a restore gives the access back there', () => {
+  const project = run(folderTree());
+
+  const journal = Object.values(project.dataFiles).find(file => file.name.startsWith('Undo Journal'));
+  const entries = project.readDataFile(journal.id);
+  assert.deepEqual(entries.map(entry => [entry.fileId, entry.title, entry.role]), [['projects', 'Projects', 'writer']]);
+});
+
+test('previews the folder removal in a dry run', () => {
+  const project = run(folderTree(), { start: 'startDryRun' });
+
+  assert.equal(project.drive.callsTo('Permissions.remove').length, 0);
+  assert.match(project.lastEmail().htmlBody, /Would be removed from folder/);
+});
+
+test('sends files to manual review when the folder cannot be changed', () => {
+  const project = run(folderTree(), {
+    setUp: project => project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'), { id: 'projects' })
+  });
+
+  const email = project.lastEmail();
+  assert.match(email.htmlBody, /Not changed - API call to drive failed with error: insufficientFilePermissions/);
+  assert.match(email.htmlBody, /Files Requiring Manual Review/);
+  assert.doesNotMatch(email.htmlBody, /Covered by Folder Removal/);
+});
+
+test('removes access granted on the file itself as usual', () => {
+  const direct = { permissionType: 'file', role: 'writer', inherited: false };
+  const project = run([sharedFile('a', [inheritedPermission([direct])])]);
+
+  assert.deepEqual(project.drive.callsTo('Permissions.remove').map(call => call.id), ['a']);
+});
+
+test('leaves a folder outside the run scope alone', () => {
+  const files = [
+    sharedFile('sub', [inheritedPermission()], { name: 'Sub', mimeType: FOLDER, parents: ['projects'] }),
+    sharedFile('a', [inheritedPermission()], { parents: ['sub'] }),
+    sharedFile('projects', [userPermission('tp', TARGET)], { name: 'Projects', mimeType: FOLDER })
+  ];
+  const project = run(files, { start: 'startScopedCleanup', args: [{ folderIds: ['sub'] }] });
+
+  assert.equal(project.drive.callsTo('Permissions.remove').length, 0);
+  assert.equal(project.drive.getFile('projects').permissions.length, 2);
+
+  const email = project.lastEmail();
+  assert.match(email.htmlBody, /Not changed - the folder is outside the run scope/);
+  assert.match(email.htmlBody, /Files Requiring Manual Review/);
+});
+
+test('leaves a folder alone when something under it is protected', () => {
+  const cases = [
+    [{ fileIds: ['b'] }, 'contains a protected file'],
+    [{ folderIds: ['inner'] }, 'contains a protected folder'],
+    [{ fileTypes: ['PDF Files'] }, 'contains a protected file type \\(PDF Files\\)']
+  ];
+
+  for (const [protectedList, reason] of cases) {
+    const files = [
+      ...folderTree(),
+      sharedFile('inner', [], { name: 'Inner', mimeType: FOLDER, parents: ['projects'] }),
+      sharedFile('scan', [], { name: 'Scan', mimeType: 'application/pdf', parents: ['inner'] })
+    ];
+    const project = run(files, { config: { PROTECTED: protectedList } });
+
+    assert.equal(project.drive.callsTo('Permissions.remove').length, 0, reason);
+    assert.equal(project.drive.getFile('projects').permissions.length, 2, reason);
+    assert.match(project.lastEmail().htmlBody, new RegExp(`Not changed - the folder ${reason}`), reason);
+  }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, runToEnd, sharedFile, userPermission } = require('./harness/loadProject');
+
+const TARGET = 'leaver@example.com';
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+/**
+ * A folder in My Drive with a document inside, a shared drive file and a
+ * file in someone else's drive whose folders we can't see
+ */
+function inventoryFiles() {
+  return [
+    sharedFile('clients', [userPermission('pc', TARGET)], { name: 'Clients', mimeType: FOLDER, parents: ['root'] }),
+    sharedFile('brief', [userPermission('pb', TARGET, 'reader')], { name: 'Brief', parents: ['clients'], modifiedTime: '2026-03-01T10:00:00.000Z' }),
+    {
+      id: 'notes',
+      name: 'Notes',
+      mimeType: 'application/vnd.google-apps.spreadsheet',
+      driveId: 'sd1',
+      parents: ['sd1'],
+      permissions: [userPermission('pn', TARGET, 'commenter')]
+    },
+    {
+      id: 'loose',
+      name: 'Loose',
+      mimeType: 'application/pdf',
+      parents: ['hidden'],
+      permissions: [{ id: 'po', type: 'user', role: 'owner', emailAddress: 'other@example.com' }, userPermission('pl', TARGET, 'reader')]
+    }
+  ];
+}
+
+function runInventory(options = {}) {
+  return runToEnd({
+    files: inventoryFiles(),
+    drives: [{ id: 'sd1', name: 'Engineering' }],
+    start: 'startAccessInventory',
+    args: [[TARGET]],
+    ...options
+  });
+}
+
+test('lists every item with its location, role, owner and type', () => {
+  const project = runInventory();
+
+  const [spreadsheet] = project.spreadsheets;
+  assert.deepEqual(spreadsheet.sheets.map(sheet => sheet.name), ['Inventory', 'By Location']);
+
+  const [header, ...rows] = spreadsheet.sheets[0].values;
+  assert.deepEqual(header, ['Target', 'Location', 'Path', 'Name', 'File Type', 'Role', 'Access', 'Owner', 'Last Modified', 'Link']);
+  assert.deepEqual(rows.map(row => row.slice(0, 9)), [
+    [TARGET, 'My Drive', '', 'Clients', 'Folders', 'writer', 'Direct', 'me@company.com', ''],
+    [TARGET, 'My Drive', 'Clients', 'Brief', 'Google Docs', 'reader', 'Direct', 'me@company.com', '2026-03-01 10:00'],
+    [TARGET, 'Shared drive: Engineering', '', 'Notes', 'Google Sheets', 'commenter', 'Direct', 'Shared drive', ''],
+    [TARGET, 'Shared with me', '', 'Loose', 'PDF Files', 'reader', 'Direct', 'other@example.com', '']
+  ]);
+
+  const [, ...locations] = spreadsheet.sheets[1].values;
+  assert.deepEqual(locations[0], [TARGET, 'My Drive', 'Clients', 2, 'writer: 1, reader: 1']);
+});
+
+test('changes nothing and leaves no plan to execute', () => {
+  const project = runInventory();
+
+  for (const method of ['Permissions.remove', 'Permissions.update', 'Permissions.create']) {
+    assert.equal(project.drive.callsTo(method).length, 0, method);
+  }
+  assert.equal(project.properties.lastPlanId, undefined);
+  assert.equal(project.mail.sent.length, 1, 'only the inventory email');
+
+  const dataFiles = Object.values(project.dataFiles).map(file => file.name).filter(name => name.endsWith('.jsonl'));
+  assert.deepEqual(dataFiles.map(name => name.split(' - ')[0]), ['Run Log'], 'no plan or undo journal');
+});
+
+test('lists protected files like any other', () => {
+  const project = runInventory({ config: { PROTECTED: { fileIds: ['brief'], fileTypes: ['PDF Files'] } } });
+
+  const [, ...rows] = project.spreadsheets[0].sheets[0].values;
+  assert.deepEqual(rows.map(row => row[3]), ['Clients', 'Brief', 'Notes', 'Loose']);
+});
+
+test('shows which folder inherited access comes from', () => {
+  const inherited = {
+    ...userPermission('pc', TARGET),
+    permissionDetails: [{ permissionType: 'file', role: 'writer', inherited: true, inheritedFrom: 'clients' }]
+  };
+  const project = runInventory({
+    files: [
+      sharedFile('clients', [userPermission('pc', TARGET)], { name: 'Clients', mimeType: FOLDER, parents: ['root'] }),
+      sharedFile('contract', [inherited], { name: 'Contract', parents: ['clients'] })
+    ]
+  });
+
+  const [, ...rows] = project.spreadsheets[0].sheets[0].values;
+  assert.deepEqual(rows.map(row => [row[3], row[6]]), [['Clients', 'Direct'], ['Contract', 'Inherited from folder Clients']]);
+});
+
+test('emails a summary grouped by location', () => {
+  const project = runInventory();
+
+  const email = project.lastEmail();
+  assert.equal(email.subject, `📋 Access Inventory - ${TARGET}: 4 item(s)`);
+  assert.match(email.htmlBody, /No permissions were changed/);
+  assert.match(email.htmlBody, /Roles:<\/strong> writer: 1, reader: 2, commenter: 1/);
+  assert.match(email.htmlBody, /<td[^>]*>Shared drive: Engineering<\/td><td[^>]*>\(top level\)<\/td>\s*<td[^>]*>1<\/td>/);
+  assert.match(email.htmlBody, /Open the inventory spreadsheet/);
+  assert.equal(JSON.parse(project.properties.lastRunSummary).reportUrl, `https://docs.google.com/spreadsheets/d/${project.spreadsheets[0].id}/edit`);
+});
+
+test('needs at least one address', () => {
+  const project = loadProject();
+
+  assert.equal(project.call('startAccessInventory', []), false);
+  assert.equal(project.drive.callsTo('Files.list').length, 0);
+});
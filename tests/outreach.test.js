@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, baseConfig, runToEnd, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+
+const outreachConfig = { ...baseConfig, OWNER_OUTREACH: true };
+
+/**
+ * A file shared with the target that we can't change - owned by ownerEmail,
+ * or with no owner on record when ownerEmail is null
+ */
+function lockedFile(id, ownerEmail) {
+  const owner = ownerEmail ? [{ id: `${id}-owner`, type: 'user', role: 'owner', emailAddress: ownerEmail }] : [];
+  const target = ownerEmail === TARGET ? [] : [userPermission(`${id}-target`, TARGET, 'commenter')];
+  return { id, name: `File ${id}`, mimeType: 'application/pdf', permissions: [...owner, ...target] };
+}
+
+function runCleanup(files, config = {}, setUp = () => {}) {
+  return runToEnd({
+    files,
+    targets: [TARGET],
+    config: { ...outreachConfig, ...config },
+    setUp: project => {
+      project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'));
+      setUp(project);
+    }
+  });
+}
+
+function outreachEmails(project) {
+  return project.mail.sent.filter(email => email.to !== 'me@company.com');
+}
+
+test('emails each owner once with all of their files', () => {
+  const project = runCleanup([lockedFile('a1', 'alice@example.com'), lockedFile('a2', 'Alice@example.com'), lockedFile('b1', 'bob@example.com')]);
+
+  const emails = outreachEmails(project);
+  assert.deepEqual(emails.map(email => email.to), ['alice@example.com', 'bob@example.com']);
+
+  const [alice] = emails;
+  assert.equal(alice.subject, `Please remove ${TARGET} from 2 of your Google Drive files`);
+  assert.equal(alice.replyTo, 'me@company.com');
+  assert.match(alice.htmlBody, /https:\/\/drive\.google\.com\/file\/d\/a1\/view/);
+  assert.match(alice.htmlBody, /https:\/\/drive\.google\.com\/file\/d\/a2\/view/);
+  assert.match(alice.htmlBody, /leaver@example\.com \(commenter\)/);
+  assert.equal(project.sleeps.length, 1, 'pauses between outreach emails');
+});
+
+test('tracks each owner status in the summary email', () => {
+  const project = runCleanup(
+    [lockedFile('a1', 'alice@example.com'), lockedFile('b1', 'bob@example.com'), lockedFile('own', TARGET), lockedFile('orphan', null)],
+    {},
+    project => project.mail.rejected.push('bob@example.com')
+  );
+
+  assert.deepEqual(outreachEmails(project).map(email => email.to), ['alice@example.com']);
+
+  const summary = project.lastEmail();
+  assert.match(summary.htmlBody, /Owner Outreach/);
+  assert.match(summary.htmlBody, /1 owner\(s\) emailed • 1 bounced • 1 owned by the target • 1 with an unknown owner • 0 not sent/);
+  assert.match(summary.htmlBody, /bob@example\.com - 1 file\(s\) - ❌ Bounced \(Invalid email: bob@example\.com\)/);
+  assert.match(summary.htmlBody, /The file owners were emailed/);
+});
+
+test('stops at the per-run limit', () => {
+  const project = runCleanup(
+    [lockedFile('a1', 'alice@example.com'), lockedFile('b1', 'bob@example.com'), lockedFile('c1', 'carol@example.com')],
+    { MAX_OUTREACH_EMAILS: 2 }
+  );
+
+  assert.equal(outreachEmails(project).length, 2);
+  assert.match(project.lastEmail().htmlBody, /2 owner\(s\) emailed .* 1 not sent/);
+  assert.match(project.lastEmail().htmlBody, /Outreach limit of 2 emails per run reached/);
+});
+
+test('leaves the daily quota reserve for the summary email', () => {
+  const project = runCleanup(
+    [lockedFile('a1', 'alice@example.com'), lockedFile('b1', 'bob@example.com')],
+    { OUTREACH_QUOTA_RESERVE: 5 },
+    project => { project.mail.quota = 6; }
+  );
+
+  assert.equal(outreachEmails(project).length, 1);
+  assert.match(project.lastEmail().htmlBody, /Daily email quota reached/);
+  assert.equal(project.mail.quota, 4, 'the summary still went out');
+});
+
+test('does not email owners in a dry run or when turned off', () => {
+  const files = () => [lockedFile('a1', 'alice@example.com')];
+
+  const dryRun = runToEnd({ files: files(), targets: [TARGET], config: outreachConfig, start: 'startDryRun' });
+  assert.equal(outreachEmails(dryRun).length, 0);
+
+  const off = runCleanup(files(), { OWNER_OUTREACH: false });
+  assert.equal(outreachEmails(off).length, 0);
+  assert.doesNotMatch(off.lastEmail().htmlBody, /Owner Outreach/);
+  assert.match(off.lastEmail().htmlBody, /Contact the file owners/);
+});
+
+test('escapes file names in the email to the owner', () => {
+  const file = { ...lockedFile('x1', 'alice@example.com'), name: 'Q3 <img src=x onerror=alert(1)> & "plans"' };
+  const project = runCleanup([file]);
+
+  const [alice] = outreachEmails(project);
+  assert.doesNotMatch(alice.htmlBody, /<img/);
+  assert.match(alice.htmlBody, /Q3 &lt;img src=x onerror=alert\(1\)&gt; &amp; &quot;plans&quot;/);
+});
+
+test('emails owners in a batch of their own, after the last file', () => {
+  const project = loadProject({ files: [lockedFile('a1', 'alice@example.com')], targets: [TARGET], config: outreachConfig });
+  project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'));
+  project.call('startEmailCleanup');
+
+  assert.equal(project.properties.completionStep, 'outreach');
+  assert.equal(project.mail.sent.length, 0, 'the batch that finished the search sent nothing');
+
+  project.runTriggers();
+  assert.deepEqual(project.mail.sent.map(email => email.to), ['alice@example.com', 'me@company.com']);
+  assert.equal(project.properties.completionStep, undefined, 'state is cleared at the end');
+});
+
+test('carries outreach on in the next batch when it runs out of time', () => {
+  const owners = ['alice', 'bob', 'carol', 'dave'];
+  const project = runCleanup(
+    owners.map(owner => lockedFile(owner, `${owner}@example.com`)),
+    { OUTREACH_SEND_DELAY: 200000 },
+    // Each pause between emails takes up most of a batch
+    project => project.run(`(() => {
+      const realNow = Date.now;
+      let slept = 0;
+      Date.now = () => realNow() + slept;
+      Utilities.sleep = milliseconds => { slept += milliseconds; };
+    })()`)
+  );
+
+  assert.deepEqual(outreachEmails(project).map(email => email.to), owners.map(owner => `${owner}@example.com`), 'each owner once');
+  assert.match(project.lastEmail().htmlBody, /4 owner\(s\) emailed • 0 bounced/);
+
+  const resultsFile = Object.values(project.dataFiles).find(file => file.name.startsWith('Owner Outreach'));
+  assert.equal(project.readDataFile(resultsFile.id).length, 4);
+});
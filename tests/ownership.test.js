@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runToEnd, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+const SUCCESSOR = 'manager@example.com';
+
+// Run as the leaver, as only the owner can hand their files over
+function runHandover(files, setUp = () => {}) {
+  return runToEnd({
+    files,
+    targets: [{ email: TARGET, successor: SUCCESSOR }],
+    userEmail: TARGET,
+    config: { EXPORT_SPREADSHEET: false },
+    setUp
+  });
+}
+
+function ownedFile(id) {
+  return {
+    id,
+    name: `File ${id}`,
+    mimeType: 'application/pdf',
+    permissions: [{ id: `${id}-owner`, type: 'user', role: 'owner', emailAddress: TARGET }, userPermission(`${id}-colleague`, 'colleague@example.com')]
+  };
+}
+
+function rolesOf(project, fileId) {
+  return Object.fromEntries(project.drive.getFile(fileId).permissions.map(permission => [permission.emailAddress, permission.role]));
+}
+
+test('hands the target\'s files to the successor when run as the target', () => {
+  const project = runHandover([ownedFile('a'), ownedFile('b')]);
+
+  const transfers = project.drive.callsTo('Permissions.create');
+  assert.deepEqual(transfers.map(call => call.id), ['a', 'b']);
+  for (const id of ['a', 'b']) {
+    assert.deepEqual(rolesOf(project, id), { 'colleague@example.com': 'writer', [SUCCESSOR]: 'owner' }, `${id} belongs to the successor and the leaver is gone`);
+  }
+  assert.match(project.lastEmail().htmlBody, /Ownership Transferred:<\/strong><\/td><td[^>]*>2</);
+});
+
+test('leaves an offer pending when the successor has to accept it', () => {
+  const project = runHandover([ownedFile('a')], project => {
+    project.drive.failOn('Permissions.create', driveError(400, 'consentRequiredForOwnershipTransfer', 'Consent is required'), { times: 1 });
+  });
+
+  assert.deepEqual(rolesOf(project, 'a'), { [TARGET]: 'owner', 'colleague@example.com': 'writer', [SUCCESSOR]: 'writer' });
+  assert.equal(project.drive.getFile('a').permissions.find(permission => permission.emailAddress === SUCCESSOR).pendingOwner, true);
+  assert.match(project.lastEmail().htmlBody, /Pending Ownership Transfers/);
+});
+
+test('still refuses the running user as a target without a successor', () => {
+  const project = runToEnd({ files: [ownedFile('a')], targets: [TARGET], userEmail: TARGET });
+
+  assert.equal(project.drive.callsTo('Files.list').length, 0);
+  assert.equal(project.properties.isRunning, undefined);
+});
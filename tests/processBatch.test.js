@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+const OTHER_TARGET = 'contractor@example.com';
+
+function filesSharedWith(count, ...emails) {
+  return Array.from({ length: count }, (_, index) =>
+    sharedFile(`f${index}`, emails.map(email => userPermission(`f${index}-${email}`, email)))
+  );
+}
+
+function remainingPermissions(project, email) {
+  return project.drive.files.reduce((count, file) =>
+    count + file.permissions.filter(permission => permission.emailAddress === email).length, 0);
+}
+
+/**
+ * Makes every batch stop after `limit` files, as if it hit MAX_EXECUTION_TIME
+ */
+function stopBatchesAfter(project, limit) {
+  project.run(`
+    (() => {
+      let filesThisBatch = 0;
+      const processNextBatchFully = processNextBatch;
+      const processFileForTargetsFully = processFileForTargets;
+      processNextBatch = function () {
+        filesThisBatch = 0;
+        CONFIG.MAX_EXECUTION_TIME = 280000;
+        return processNextBatchFully();
+      };
+      processFileForTargets = function (...args) {
+        if (++filesThisBatch >= ${limit}) CONFIG.MAX_EXECUTION_TIME = -1;
+        return processFileForTargetsFully(...args);
+      };
+    })()
+  `);
+}
+
+const baseConfig = { BATCH_SIZE: 10, SHARED_DRIVE_MEMBERSHIPS: false, VERIFY_AFTER_RUN: false };
+
+test('pages through every search result and removes the target everywhere', () => {
+  const project = loadProject({ files: filesSharedWith(35, TARGET), targets: [TARGET], config: baseConfig });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.equal(project.drive.callsTo('Files.list').length, 4);
+  assert.match(project.lastEmail().subject, /35 emails removed from 35 files/);
+  assert.equal(project.properties.isRunning, undefined, 'run state is cleared');
+  assert.equal(project.triggers.length, 0, 'no triggers are left behind');
+});
+
+test('lists permissions once per file for all targets of a pass', () => {
+  const project = loadProject({
+    files: filesSharedWith(6, TARGET, OTHER_TARGET),
+    targets: [TARGET, OTHER_TARGET],
+    config: { ...baseConfig, BATCH_REQUESTS: false }
+  });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(project.drive.callsTo('Permissions.list').length, 6);
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.equal(remainingPermissions(project, OTHER_TARGET), 0);
+  assert.match(project.lastEmail().subject, /12 emails removed/);
+});
+
+test('reads and removes permissions through batch requests', () => {
+  const project = loadProject({ files: filesSharedWith(8, TARGET), targets: [TARGET], config: baseConfig });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(project.drive.callsTo('Permissions.list').length, 8, 'answered from the batch');
+  assert.equal(project.batchRequests.length, 2, 'one batch to read, one to remove');
+  assert.equal(remainingPermissions(project, TARGET), 0);
+});
+
+test('resumes a page cut short by the time limit without skipping files', () => {
+  const project = loadProject({ files: filesSharedWith(25, TARGET), targets: [TARGET], config: baseConfig });
+  stopBatchesAfter(project, 3);
+
+  project.call('startDryRun');
+  project.runTriggers();
+
+  const planId = project.properties.lastPlanId;
+  const entries = project.readDataFile(planId).filter(record => record.fileId);
+  assert.equal(entries.length, 25);
+  assert.equal(new Set(entries.map(entry => entry.fileId)).size, 25, 'no file is handled twice');
+});
+
+test('retries rate limited searches and counts the retries', () => {
+  const project = loadProject({ files: filesSharedWith(3, TARGET), targets: [TARGET], config: baseConfig });
+  project.drive.failOn('Files.list', driveError(403, 'userRateLimitExceeded'), { times: 2 });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.equal(project.sleeps.length, 2);
+  assert.match(project.lastEmail().htmlBody, /2 call\(s\), 0 batch\(es\)/);
+});
+
+test('stops the run on a permanent error and emails it', () => {
+  const project = loadProject({ files: filesSharedWith(3, TARGET), targets: [TARGET], config: baseConfig });
+  project.drive.failOn('Files.list', driveError(400, 'invalid', 'Invalid query'));
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(project.properties.isRunning, 'false');
+  assert.match(project.lastEmail().subject, /Process Error/);
+  assert.equal(remainingPermissions(project, TARGET), 3);
+});
+
+test('leaves a file for the next batch when a retry would not fit in the time left', () => {
+  const project = loadProject({
+    files: filesSharedWith(3, TARGET),
+    targets: [TARGET],
+    config: { ...baseConfig, BATCH_REQUESTS: false, MAX_EXECUTION_TIME: 1500, BACKOFF_BASE_DELAY: 4000 }
+  });
+  project.drive.failOn('Permissions.list', driveError(403, 'userRateLimitExceeded'), { id: 'f1', times: 1 });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(project.sleeps.length, 0, 'never sleeps past the batch budget');
+  assert.equal(project.drive.callsTo('Files.list').length, 2, 'the page is searched again');
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.match(project.lastEmail().subject, /3 emails removed from 3 files/);
+});
+
+test('leaves a file for the next batch when a batched removal could not be retried in time', () => {
+  const project = loadProject({
+    files: filesSharedWith(3, TARGET),
+    targets: [TARGET],
+    config: { ...baseConfig, MAX_EXECUTION_TIME: 1500, BACKOFF_BASE_DELAY: 4000 }
+  });
+  project.drive.failOn('Permissions.remove', driveError(403, 'userRateLimitExceeded'), { id: 'f1', times: 1 });
+
+  project.call('startEmailCleanup');
+  project.runTriggers();
+
+  assert.equal(project.sleeps.length, 0, 'never sleeps past the batch budget');
+  assert.equal(project.drive.callsTo('Files.list').length, 2, 'the page is searched again');
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.match(project.lastEmail().subject, /3 emails removed from 3 files/);
+});
+
+test('does a plan entry again when its batched removal could not be retried in time', () => {
+  const project = loadProject({
+    files: filesSharedWith(3, TARGET),
+    targets: [TARGET],
+    config: { ...baseConfig, MAX_EXECUTION_TIME: 1500, BACKOFF_BASE_DELAY: 4000 }
+  });
+  project.call('startDryRun');
+  project.runTriggers();
+  project.drive.failOn('Permissions.remove', driveError(403, 'userRateLimitExceeded'), { id: 'f1', times: 1 });
+
+  project.call('executePlan');
+  project.runTriggers();
+
+  assert.equal(project.sleeps.length, 0, 'never sleeps past the batch budget');
+  assert.deepEqual(project.drive.callsTo('Permissions.remove').map(call => call.id), ['f0', 'f1', 'f2', 'f1']);
+  assert.equal(remainingPermissions(project, TARGET), 0);
+  assert.match(project.lastEmail().subject, /3 emails removed from 3 files/);
+});
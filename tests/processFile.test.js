@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+
+/**
+ * A project whose Drive holds one file, plus that file as a search returns
+ * it (without permissions, so processFile lists them itself)
+ */
+function projectWithFile(permissions, extra = {}, config = {}) {
+  const file = sharedFile('f1', permissions, extra);
+  const project = loadProject({ files: [file], config });
+  const { id, name, mimeType } = file;
+  return { project, file, listed: { id, name, mimeType } };
+}
+
+function targetRoles(file) {
+  return file.permissions.filter(permission => permission.emailAddress === TARGET).map(permission => permission.role);
+}
+
+test('removes a matching permission', () => {
+  const { project, file, listed } = projectWithFile([userPermission('p1', TARGET)]);
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.removed, true);
+  assert.equal(result.matches.length, 1);
+  assert.equal(result.targetPermissionRole, 'writer');
+  assert.deepEqual(targetRoles(file), []);
+});
+
+test('reports nothing when the target is not on the file', () => {
+  const { project, listed } = projectWithFile([userPermission('p1', 'someone@example.com')]);
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.matches.length, 0);
+  assert.equal(result.removed, false);
+  assert.equal(result.error, null);
+});
+
+test('only previews the removal in a dry run', () => {
+  const { project, file, listed } = projectWithFile([userPermission('p1', TARGET)]);
+
+  const result = project.call('processFile', listed, TARGET, { dryRun: true });
+
+  assert.equal(result.wouldRemove, true);
+  assert.equal(result.canRemove, true);
+  assert.equal(result.removed, false);
+  assert.deepEqual(targetRoles(file), ['writer']);
+});
+
+test('flags a permission we are not allowed to remove for manual review', () => {
+  const { project, listed } = projectWithFile([userPermission('p1', TARGET)]);
+  project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'));
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.removed, false);
+  assert.equal(result.foundButCantRemove, true);
+  assert.match(result.error, /insufficient permissions to remove/);
+  assert.equal(result.ownerEmail, 'me@company.com');
+});
+
+test('skips files whose permissions we cannot read', () => {
+  const { project, listed } = projectWithFile([userPermission('p1', TARGET)]);
+  project.drive.failOn('Permissions.list', driveError(404, 'notFound'));
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.skipped, true);
+  assert.equal(result.error, 'Cannot access file permissions');
+});
+
+test('reports other errors without skipping the file', () => {
+  const { project, listed } = projectWithFile([userPermission('p1', TARGET)]);
+  project.drive.failOn('Permissions.list', driveError(400, 'badRequest', 'Bad request'));
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.skipped, false);
+  assert.match(result.error, /^Permission error: .*Bad request/);
+});
+
+test('retries a rate limited removal', () => {
+  const { project, listed } = projectWithFile([userPermission('p1', TARGET)]);
+  project.drive.failOn('Permissions.remove', driveError(429, 'rateLimitExceeded'), { times: 1 });
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.removed, true);
+  assert.equal(project.sleeps.length, 1);
+});
+
+test('downgrades instead of removing when asked to', () => {
+  const { project, file, listed } = projectWithFile([userPermission('p1', TARGET)]);
+
+  const result = project.call('processFile', listed, TARGET, { action: 'downgradeToReader' });
+
+  assert.equal(result.downgraded, true);
+  assert.equal(result.removed, false);
+  assert.deepEqual(targetRoles(file), ['reader']);
+});
+
+test('leaves protected files alone', () => {
+  const { project, file, listed } = projectWithFile([userPermission('p1', TARGET)], {}, {
+    PROTECTED: { fileIds: ['f1'], folderIds: [], fileTypes: [] }
+  });
+
+  const result = project.call('processFile', listed, TARGET);
+
+  assert.equal(result.protected, true);
+  assert.equal(result.protectionReason, 'Protected file');
+  assert.deepEqual(targetRoles(file), ['writer']);
+});
+
+test('removes every permission of a domain target', () => {
+  const { project, file, listed } = projectWithFile([
+    userPermission('p1', 'a@agency.com'),
+    userPermission('p2', 'b@agency.com', 'reader'),
+    userPermission('p3', 'someone@example.com')
+  ]);
+
+  const result = project.call('processFile', listed, '@agency.com');
+
+  assert.equal(result.removed, true);
+  assert.equal(result.matches.length, 2);
+  assert.equal(file.permissions.length, 2, 'owner and the unrelated user remain');
+});
+
+test('does not promise a transfer of a file someone else owns', () => {
+  const project = loadProject({
+    files: [{ id: 'f1', name: 'Owned', mimeType: 'application/pdf', permissions: [{ id: 'po', type: 'user', role: 'owner', emailAddress: TARGET }] }]
+  });
+
+  const result = project.call('processFile', { id: 'f1', name: 'Owned', mimeType: 'application/pdf' }, TARGET,
+    { dryRun: true, transfer: { successor: 'manager@example.com' } });
+
+  assert.equal(result.wouldTransfer, false);
+  assert.equal(result.foundButCantRemove, true);
+  assert.match(result.matches[0].error, /only the owner can transfer it to manager@example\.com/);
+});
+
+test('recognizes a transfer needing consent by its reason, not its wording', () => {
+  const project = loadProject();
+
+  assert.equal(project.call('isConsentRequiredError', driveError(400, 'consentRequiredForOwnershipTransfer', 'Needs approval')), true);
+  assert.equal(project.call('isConsentRequiredError', driveError(403, 'insufficientFilePermissions', 'No consent given')), false);
+});
+
+test('counts only group memberships it could verify as remaining access', () => {
+  const { project, listed } = projectWithFile([
+    userPermission('p1', TARGET),
+    { id: 'g1', type: 'group', role: 'writer', emailAddress: 'team@example.com' },
+    { id: 'g2', type: 'group', role: 'reader', emailAddress: 'hidden@example.com' },
+    { id: 'g3', type: 'group', role: 'reader', emailAddress: 'other@example.com' }
+  ]);
+  project.run(`setGroupResolver({
+    getGroupsForUser: () => ['team@example.com'],
+    isMember: groupEmail => (groupEmail === 'hidden@example.com' ? null : false)
+  })`);
+
+  const result = project.call('processFile', listed, TARGET, { targetGroups: ['team@example.com'] });
+
+  assert.deepEqual(result.groupAccess.map(access => access.groupEmail), ['team@example.com']);
+  assert.deepEqual(result.unverifiedGroups.map(group => group.groupEmail), ['hidden@example.com']);
+});
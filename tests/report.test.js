@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject, baseConfig, runToEnd, sharedFile, userPermission } = require('./harness/loadProject');
+const { driveError } = require('./harness/fakeDrive');
+
+const TARGET = 'leaver@example.com';
+const OTHER_TARGET = 'contractor@example.com';
+
+/**
+ * A finished cleanup of five files: three removals (one of them a sheet),
+ * one for manual review and one with a title a spreadsheet would run
+ */
+function finishedRun(config = {}) {
+  return runToEnd({
+    files: [
+      sharedFile('a', [userPermission('pa', TARGET)]),
+      sharedFile('b', [userPermission('pb', TARGET), userPermission('pb2', OTHER_TARGET)]),
+      sharedFile('sheet', [userPermission('ps', OTHER_TARGET)], { mimeType: 'application/vnd.google-apps.spreadsheet' }),
+      sharedFile('locked', [userPermission('pl', TARGET)]),
+      sharedFile('formula', [userPermission('pf', OTHER_TARGET)], { name: '=HYPERLINK("http://evil.example")' })
+    ],
+    targets: [TARGET, OTHER_TARGET],
+    config,
+    setUp: project => project.drive.failOn('Permissions.remove', driveError(403, 'insufficientFilePermissions'), { id: 'locked' })
+  });
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      rows.push([...row, cell.replace(/\r$/, '')]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  return rows;
+}
+
+function sheetNamed(spreadsheet, name) {
+  return spreadsheet.sheets.find(sheet => sheet.name === name);
+}
+
+test('attaches every file result to the summary email as a CSV', () => {
+  const project = finishedRun();
+
+  const [attachment] = project.lastEmail().attachments;
+  assert.match(attachment.getName(), /^Drive Cleanup Report - .+\.csv$/);
+  assert.equal(attachment.getContentType(), 'text/csv');
+
+  const [header, ...rows] = parseCsv(attachment.getDataAsString());
+  assert.deepEqual(header, ['Target', 'File', 'File Type', 'Outcome', 'Role', 'Matched Addresses', 'Owner', 'Error', 'Link', 'File ID']);
+  assert.equal(rows.length, 6, 'one row per file and target');
+
+  const locked = rows.find(row => row[9] === 'locked');
+  assert.equal(locked[3], 'Needs manual review');
+  assert.equal(locked[6], 'me@company.com');
+});
+
+test('keeps a title from running as a formula in the CSV', () => {
+  const project = finishedRun();
+
+  const rows = parseCsv(project.lastEmail().attachments[0].getDataAsString());
+  const formula = rows.find(row => row[9] === 'formula');
+  assert.equal(formula[1], `'=HYPERLINK("http://evil.example")`);
+});
+
+test('creates a report spreadsheet in the data folder and links it', () => {
+  const project = finishedRun();
+
+  assert.equal(project.spreadsheets.length, 1);
+  const spreadsheet = project.spreadsheets[0];
+  assert.equal(project.dataFiles[spreadsheet.id].folderId, 'data-folder');
+  assert.deepEqual(spreadsheet.sheets.map(sheet => sheet.name), [TARGET, OTHER_TARGET, 'Manual Review', 'By File Type']);
+
+  const url = `https://docs.google.com/spreadsheets/d/${spreadsheet.id}/edit`;
+  assert.ok(project.lastEmail().htmlBody.includes(url));
+  assert.equal(JSON.parse(project.properties.lastRunSummary).reportUrl, url);
+});
+
+test('creates the spreadsheet in a batch of its own, before the summary email', () => {
+  const project = loadProject({ files: [sharedFile('a', [userPermission('pa', TARGET)])], targets: [TARGET], config: baseConfig });
+
+  project.call('startEmailCleanup');
+  assert.equal(project.properties.completionStep, 'report');
+  assert.equal(project.spreadsheets.length, 0, 'not in the batch that finished the search');
+
+  project.call('processBatch');
+  assert.equal(project.spreadsheets.length, 1);
+  assert.equal(project.mail.sent.length, 0);
+  assert.equal(project.properties.completionStep, 'summary');
+
+  project.runTriggers();
+  assert.equal(project.spreadsheets.length, 1);
+  assert.ok(project.lastEmail().htmlBody.includes(project.spreadsheets[0].id));
+});
+
+test('fills a tab per target, the manual review list and the file type stats', () => {
+  const spreadsheet = finishedRun().spreadsheets[0];
+
+  const targetRows = sheetNamed(spreadsheet, TARGET).values;
+  assert.equal(targetRows.length, 4);
+  assert.deepEqual(targetRows.slice(1).map(row => row[3]).sort(), ['Needs manual review', 'Removed', 'Removed']);
+  assert.equal(sheetNamed(spreadsheet, OTHER_TARGET).values.length, 4);
+  assert.equal(sheetNamed(spreadsheet, TARGET).numberFormats[0].format, '@', 'titles are written as plain text');
+
+  const review = sheetNamed(spreadsheet, 'Manual Review').values;
+  assert.equal(review.length, 2);
+  assert.equal(review[1][0], 'File locked');
+  assert.equal(review[1][3], 'me@company.com');
+
+  const fileTypes = sheetNamed(spreadsheet, 'By File Type').values;
+  const sheets = fileTypes.find(row => row[0] === 'Google Sheets');
+  const docs = fileTypes.find(row => row[0] === 'Google Docs');
+  assert.deepEqual([sheets[1], sheets[2]], [1, 1]);
+  assert.deepEqual([docs[1], docs[2], docs[5]], [5, 4, 1]);
+});
+
+test('still sends the summary when the spreadsheet cannot be created', () => {
+  const project = runToEnd({
+    files: [sharedFile('a', [userPermission('pa', TARGET)])],
+    targets: [TARGET],
+    setUp: project => project.run('SpreadsheetApp.create = () => { throw new Error("Quota exceeded"); }')
+  });
+
+  assert.match(project.lastEmail().subject, /1 emails removed/);
+  assert.equal(project.lastEmail().attachments.length, 1, 'the CSV is still attached');
+  assert.doesNotMatch(project.lastEmail().htmlBody, /report spreadsheet/);
+});
+
+test('can be turned off', () => {
+  const project = finishedRun({ EXPORT_CSV: false, EXPORT_SPREADSHEET: false });
+
+  assert.equal(project.lastEmail().attachments.length, 0);
+  assert.equal(project.spreadsheets.length, 0);
+});
+
+test('names tabs safely and uniquely', () => {
+  const project = loadProject();
+  const usedNames = {};
+  const name = value => project.call('getUniqueSheetName', value, usedNames);
+
+  assert.equal(name('group:team@example.com'), 'group_team@example.com');
+  assert.equal(name('Manual Review'), 'Manual Review');
+  assert.equal(name('manual review'), 'manual review (2)');
+  assert.ok(name('x'.repeat(150)).length <= 100);
+});
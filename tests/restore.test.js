@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runToEnd, sharedFile, userPermission } = require('./harness/loadProject');
+
+const TARGET = 'leaver@example.com';
+
+function cleanedUpProject() {
+  return runToEnd({
+    files: [sharedFile('a', [userPermission('pa', TARGET)]), sharedFile('b', [userPermission('pb', TARGET, 'reader')])],
+    targets: [TARGET],
+    config: { EXPORT_SPREADSHEET: false }
+  });
+}
+
+function lastRunId(project) {
+  return JSON.parse(project.properties.lastRunSummary).runId;
+}
+
+test('filters the restore by address without regard to case', () => {
+  const project = cleanedUpProject();
+
+  project.call('restorePermissions', lastRunId(project), 'Leaver@Example.COM');
+  project.runTriggers();
+
+  assert.equal(project.drive.getFile('a').permissions.length, 2);
+  assert.equal(project.drive.getFile('b').permissions.length, 2);
+  assert.match(project.lastEmail().subject, /2 restored/);
+});
+
+test('stops a failed restore cleanly and says how to run it again', () => {
+  const project = cleanedUpProject();
+  const runId = lastRunId(project);
+  project.run("readJsonLines = () => { throw new Error('Journal unreadable'); }");
+
+  project.call('restorePermissions', runId);
+  project.runTriggers();
+
+  assert.equal(project.properties.restoreIsRunning, undefined, 'restore state is cleared');
+  assert.equal(project.properties.isRunning, undefined, 'the cleanup state is left alone');
+  assert.equal(project.triggers.length, 0, 'no batch or watchdog trigger is left behind');
+
+  const email = project.lastEmail();
+  assert.match(email.subject, /Restore - Error/);
+  assert.match(email.body, new RegExp(`restorePermissions\\('${runId}'\\)`));
+  assert.doesNotMatch(email.body, /startEmailCleanup/);
+});
+
+test('stops a stalled restore without touching the cleanup that is running', () => {
+  const project = cleanedUpProject();
+  project.run('CONFIG.BATCH_SIZE = 1');
+  project.call('restorePermissions', lastRunId(project));
+  assert.equal(project.properties.restoreIsRunning, 'true', 'the restore has a batch left');
+
+  project.properties.isRunning = 'true';
+  const stalledSince = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  project.properties.batchHeartbeats = JSON.stringify({
+    processBatch: { time: new Date().toISOString(), resumes: 0 },
+    processRestoreBatch: { time: stalledSince, resumes: 3 }
+  });
+
+  project.call('checkRunHealth');
+
+  assert.equal(project.properties.restoreIsRunning, undefined, 'restore state is cleared');
+  assert.equal(project.properties.isRunning, 'true', 'the cleanup carries on');
+  assert.deepEqual(Object.keys(JSON.parse(project.properties.batchHeartbeats)), ['processBatch']);
+  assert.match(project.lastEmail().subject, /Restore - Error/);
+  assert.match(project.lastEmail().body, /restore stalled/);
+});
+
+test('does not start a cleanup or a compliance sweep while a restore is running', () => {
+  const project = cleanedUpProject();
+  project.run('CONFIG.BATCH_SIZE = 1');
+  project.call('restorePermissions', lastRunId(project));
+
+  assert.equal(project.call('startRun', 'cleanup', [TARGET]), false);
+  assert.equal(project.call('runComplianceSweep'), false);
+  assert.equal(project.properties.isRunning, undefined);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject } = require('./harness/loadProject');
+
+const TARGET = 'leaver@example.com';
+
+function log(id, outcome) {
+  return {
+    id,
+    title: `File ${id}`,
+    mimeType: 'application/pdf',
+    fileType: 'PDFs',
+    targetEmail: TARGET,
+    removed: false,
+    error: null,
+    skipped: false,
+    protected: false,
+    foundButCantRemove: false,
+    targetPermissionRole: 'writer',
+    matches: [],
+    groupAccess: [],
+    webViewLink: `https://drive.google.com/file/d/${id}/view`,
+    ...outcome
+  };
+}
+
+/**
+ * Builds the summary of the given logs and sends it, returning the email
+ */
+function sendSummary(logs, runInfo = {}) {
+  const project = loadProject({ targets: [TARGET] });
+  const startTime = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  const summary = project.call('generateSummary', logs, logs.length, startTime, { targetEmails: [TARGET], ...runInfo });
+
+  project.call('sendSummaryEmail', summary);
+
+  assert.equal(project.mail.sent.length, 1);
+  assert.equal(project.lastEmail().to, 'me@company.com', 'the summary goes to the running user');
+  return project.lastEmail();
+}
+
+test('puts the removal count in the subject', () => {
+  const email = sendSummary([log('a', { removed: true }), log('b', { removed: true }), log('c', {})]);
+
+  assert.equal(email.subject, '✅ Drive Cleanup Complete - 2 emails removed from 3 files');
+  assert.match(email.htmlBody, /Process Complete!/);
+});
+
+test('lists files needing manual review with a link and their owner', () => {
+  const email = sendSummary([
+    log('a', { removed: true }),
+    log('locked', { foundButCantRemove: true, ownerEmail: 'owner@example.com' })
+  ]);
+
+  assert.match(email.subject, /\(1 need manual review\)$/);
+  assert.match(email.htmlBody, /Files Requiring Manual Review/);
+  assert.match(email.htmlBody, /https:\/\/drive\.google\.com\/file\/d\/locked\/view/);
+  assert.match(email.htmlBody, /owner@example\.com/);
+});
+
+test('leaves the manual review section out when nothing needs it', () => {
+  const email = sendSummary([log('a', { removed: true })]);
+
+  assert.doesNotMatch(email.htmlBody, /Files Requiring Manual Review/);
+});
+
+test('marks a dry run and tells how to apply its plan', () => {
+  const email = sendSummary([log('a', { wouldRemove: true })], { mode: 'dryRun', planId: 'plan-123' });
+
+  assert.match(email.subject, /^🔍 Drive Cleanup Preview \(no changes made\) - 1 permissions would be removed/);
+  assert.match(email.htmlBody, /This was a dry run/);
+  assert.match(email.htmlBody, /executePlan\('plan-123'\)/);
+});
+
+test('reports access still found by the verification search', () => {
+  const verification = {
+    checkedTargets: [TARGET],
+    uncheckedTargets: ['@agency.com'],
+    findings: [
+      { fileId: 'a', title: 'File a', targetEmail: TARGET, emailAddress: TARGET, role: 'writer', webViewLink: 'https://drive.google.com/file/d/a/view' },
+      { fileId: 'missed', title: 'File missed', targetEmail: TARGET, emailAddress: TARGET, role: 'reader', webViewLink: 'https://drive.google.com/file/d/missed/view' }
+    ]
+  };
+
+  const email = sendSummary([log('a', { foundButCantRemove: true })], { verification });
+
+  assert.match(email.subject, /\(1 still shared after verification\)$/);
+  assert.match(email.htmlBody, /Verification - Still Shared/);
+  assert.match(email.htmlBody, /2 permission\(s\)/);
+  assert.match(email.htmlBody, /1 of them weren't reported by this run/);
+  assert.match(email.htmlBody, /Not re-checked .*@agency\.com/);
+});
+
+test('confirms a clean verification', () => {
+  const verification = { checkedTargets: [TARGET], uncheckedTargets: [], findings: [] };
+
+  const email = sendSummary([log('a', { removed: true })], { verification });
+
+  assert.match(email.htmlBody, /nothing is still shared/);
+  assert.doesNotMatch(email.subject, /verification/);
+});
+
+test('lists groups it could not check apart from access that remains', () => {
+  const email = sendSummary([
+    log('a', { removed: true, groupAccess: [{ groupEmail: 'team@example.com', role: 'writer' }] }),
+    log('b', { removed: true, unverifiedGroups: [{ groupEmail: 'hidden@example.com', role: 'reader' }] })
+  ]);
+
+  assert.match(email.htmlBody, /<strong>1 file\(s\)<\/strong> are still reachable through a group/);
+  assert.match(email.htmlBody, /Group Memberships That Could Not Be Checked/);
+  assert.match(email.htmlBody, /leaver@example\.com in hidden@example\.com <span[^>]*>\(1 file\(s\)\)/);
+});
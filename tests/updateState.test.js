@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject } = require('./harness/loadProject');
+
+function startedProject(config = {}) {
+  const project = loadProject({ config });
+  project.call('initializeState', 'cleanup', ['leaver@example.com']);
+  return project;
+}
+
+function batchLog(index) {
+  return {
+    id: `f${index}`,
+    title: `File ${index} with a reasonably long title to fill the log`,
+    mimeType: 'application/pdf',
+    targetEmail: 'leaver@example.com',
+    removed: true,
+    matches: [{ emailAddress: 'leaver@example.com', role: 'writer', removed: true }]
+  };
+}
+
+test('writes every result to the run log and a slim tail to properties', () => {
+  const project = startedProject();
+
+  project.call('updateState', 'token-2', 2, [batchLog(1), batchLog(2)], 0, 'leaver@example.com');
+
+  const runLog = project.readDataFile(project.properties.runLogFileId);
+  assert.equal(runLog.length, 2);
+  assert.equal(runLog[0].matches.length, 1, 'the run log keeps full results');
+
+  const recent = JSON.parse(project.properties.processLogs);
+  assert.equal(recent.length, 2);
+  assert.equal(recent[0].matches, undefined);
+  assert.equal(recent[0].mimeType, undefined);
+  assert.equal(recent[0].title, batchLog(1).title);
+});
+
+test('saves where the next batch starts', () => {
+  const project = startedProject();
+
+  project.call('updateState', 'token-2', 7, [], 1, 'pass label', ['f1', 'f2']);
+
+  assert.equal(project.properties.nextPageToken, 'token-2');
+  assert.equal(project.properties.processedCount, '7');
+  assert.equal(project.properties.passIndex, '1');
+  assert.equal(project.properties.currentTargets, 'pass label');
+  assert.deepEqual(JSON.parse(project.properties.pageDoneIds), ['f1', 'f2']);
+});
+
+test('trims the recent tail to MAX_LOG_SIZE but keeps the run log complete', () => {
+  const project = startedProject({ MAX_LOG_SIZE: 2000 });
+
+  for (let batch = 0; batch < 5; batch++) {
+    const logs = Array.from({ length: 10 }, (_, index) => batchLog(batch * 10 + index));
+    project.call('updateState', '', (batch + 1) * 10, logs, 0, 'leaver@example.com');
+  }
+
+  assert.ok(project.properties.processLogs.length <= 2000);
+  const recent = JSON.parse(project.properties.processLogs);
+  assert.equal(recent[recent.length - 1].id, 'f49', 'the newest results are kept');
+  assert.equal(project.readDataFile(project.properties.runLogFileId).length, 50);
+});
+
+test('starts a fresh tail when the stored one is unreadable', () => {
+  const project = startedProject();
+  project.properties.processLogs = '{not json';
+
+  project.call('updateState', '', 1, [batchLog(1)], 0, 'leaver@example.com');
+
+  assert.equal(JSON.parse(project.properties.processLogs).length, 1);
+});
+
+test('continues a large run log in new parts instead of rewriting it', () => {
+  const project = startedProject({ MAX_DATA_FILE_SIZE: 3000 });
+
+  for (let batch = 0; batch < 5; batch++) {
+    const logs = Array.from({ length: 10 }, (_, index) => batchLog(batch * 10 + index));
+    project.call('updateState', '', (batch + 1) * 10, logs, 0, 'leaver@example.com');
+  }
+
+  const parts = Object.values(project.dataFiles).filter(file => file.name.startsWith('Run Log'));
+  assert.ok(parts.length > 1);
+  assert.match(parts[1].name, /^Run Log - .+ \(part 2\)\.jsonl$/);
+  for (const part of parts) {
+    assert.ok(part.content.length <= 3000, `${part.name} stays within the limit`);
+  }
+
+  const runLog = project.readDataFile(project.properties.runLogFileId);
+  assert.deepEqual(runLog.map(log => log.id), Array.from({ length: 50 }, (_, index) => `f${index}`));
+});
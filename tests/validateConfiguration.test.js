@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject } = require('./harness/loadProject');
+
+const project = loadProject({ userEmail: 'me@company.com' });
+const validate = targets => project.call('validateConfiguration', targets);
+
+test('accepts addresses, domains, groups and the public link sweep', () => {
+  assert.equal(validate(['leaver@example.com', '@agency.com', 'group:team@example.com', 'public-links']), true);
+});
+
+test('rejects an empty target list', () => {
+  assert.equal(validate([]), false);
+});
+
+test('rejects the running user as a target', () => {
+  assert.equal(validate(['leaver@example.com', 'me@company.com']), false);
+});
+
+test('accepts the running user as a target only to hand their files over', () => {
+  assert.equal(project.call('validateConfiguration', ['me@company.com'], { 'me@company.com': { successor: 'manager@company.com' } }), true);
+  assert.equal(project.call('validateConfiguration', ['me@company.com'], { 'me@company.com': { action: 'downgradeToReader' } }), false);
+});
+
+test("rejects a domain that covers the running user's own address", () => {
+  assert.equal(validate(['@company.com']), false);
+});
+
+test('rejects malformed entries', () => {
+  assert.equal(validate(['not-an-email']), false);
+  assert.equal(validate(['@nodot']), false);
+  assert.equal(validate(['leaver@example']), false);
+});
+
+test('explains what is wrong with a single target', () => {
+  const error = email => project.call('getTargetEmailError', email, 'me@company.com');
+
+  assert.equal(error(''), 'Email is empty');
+  assert.equal(error('nope'), 'Invalid email format');
+  assert.equal(error('me@company.com'), 'Cannot target your own email address');
+  assert.equal(error('@company.com'), 'Domain would include your own email address');
+  assert.equal(error('leaver@example.com'), null);
+});
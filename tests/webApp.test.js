@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProject } = require('./harness/loadProject');
+
+const TARGET = 'leaver@example.com';
+
+function batchLog(index, extra = {}) {
+  return { id: `f${index}`, title: `File ${index}`, targetEmail: TARGET, webViewLink: `https://drive.google.com/file/d/f${index}`, ...extra };
+}
+
+test('serves the control panel from script properties, not the run log', () => {
+  const project = loadProject({ config: { MAX_LOG_SIZE: 600 } });
+  project.call('initializeState', 'cleanup', [TARGET]);
+
+  for (let batch = 0; batch < 4; batch++) {
+    const logs = Array.from({ length: 5 }, (_, index) => batchLog(batch * 5 + index, index % 2 ? { removed: true } : { foundButCantRemove: true, error: 'owner only' }));
+    project.call('updateState', '', (batch + 1) * 5, logs, 0, TARGET);
+  }
+
+  // Reading the run log would fail now
+  const runLogId = project.properties.runLogFileId;
+  delete project.dataFiles[runLogId];
+  const data = project.call('getControlPanelData');
+
+  assert.equal(project.properties.manualReviewCount, '12');
+  assert.equal(data.manualReview.total, 12);
+  assert.ok(data.manualReview.results.length < 12, 'only the recent ones are kept in properties');
+  assert.equal(data.manualReview.results[0].title, 'File 19', 'newest first');
+  assert.equal(data.manualReview.results[0].outcome, 'Manual review');
+  assert.equal(data.manualReview.runLogUrl, `https://drive.google.com/file/d/${runLogId}/view`);
+});